@@ -0,0 +1,54 @@
+// api/alerts.js - 提醒訂閱管理與排程執行（需要 ALERTS_ADMIN_TOKEN；?action=run 也接受 CRON_SECRET）
+
+import { getStore } from '../lib/store/index.js';
+import { hasBearerToken } from '../lib/auth.js';
+import { runAlerts, getLastAlertRun } from '../lib/alerts/index.js';
+import {
+  validateSubscription, listSubscriptions, addSubscription, removeSubscription, maskSubscription
+} from '../lib/alerts/subscriptions.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const action = req.query?.action;
+  const allowed = action === 'run'
+    ? hasBearerToken(req, process.env.ALERTS_ADMIN_TOKEN, process.env.CRON_SECRET)
+    : hasBearerToken(req, process.env.ALERTS_ADMIN_TOKEN);
+  if (!allowed) {
+    const configured = process.env.ALERTS_ADMIN_TOKEN || (action === 'run' && process.env.CRON_SECRET);
+    return res.status(401).json({ success: false, error: configured ? '未授權' : '未設定 ALERTS_ADMIN_TOKEN' });
+  }
+
+  try {
+    const store = getStore();
+
+    // 排程更新（lib/refresh.js）已會執行提醒，這裡供手動或外部排程觸發；?dryRun=1 只預覽，不寄送也不記錄
+    if (action === 'run') {
+      const report = await runAlerts(store, { dryRun: ['1', 'true'].includes(req.query.dryRun) });
+      return res.status(200).json({ success: report.errors.length === 0, report });
+    }
+
+    if (req.method === 'POST') {
+      const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : req.body || {};
+      const { subscription, errors } = validateSubscription(body);
+      if (!subscription) return res.status(200).json({ success: false, error: '訂閱內容有誤', errors });
+      const created = await addSubscription(store, subscription);
+      return res.status(200).json({ success: true, subscription: maskSubscription(created) });
+    }
+
+    if (req.method === 'DELETE') {
+      const removed = await removeSubscription(store, req.query?.id);
+      return res.status(200).json(removed ? { success: true } : { success: false, error: '找不到此訂閱' });
+    }
+
+    const [subscriptions, lastRun] = await Promise.all([listSubscriptions(store), getLastAlertRun(store)]);
+    res.status(200).json({ success: true, subscriptions: subscriptions.map(maskSubscription), lastRun });
+  } catch (error) {
+    console.error('提醒 API 錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
@@ -0,0 +1,64 @@
+// api/archive.js - 新聞歸檔 API：?id= 讀取單則；?date= 讀取單日；?from=&to= 依區間瀏覽，可加 q / category / region / ticker 搜尋
+
+import { getStore } from '../lib/store/index.js';
+import { parseNewsFilters } from '../lib/news/taxonomy.js';
+import { MAX_RANGE_DAYS, isArchiveDate, resolveRange, getArchiveDays, getArchiveDay, getArchiveItem, searchArchive } from '../lib/news/archive.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const query = req.query || {};
+    const store = getStore();
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+
+    if (query.id !== undefined) {
+      const item = await getArchiveItem(store, String(query.id));
+      if (!item) return res.status(200).json({ success: false, error: '找不到這則新聞，可能已超過保留期限' });
+      return res.status(200).json({ success: true, news: item });
+    }
+
+    // 單日頁面：附上前後有資料的日期，方便逐日翻閱
+    if (query.date !== undefined) {
+      if (!isArchiveDate(query.date)) return res.status(200).json({ success: false, error: '日期格式應為 YYYY-MM-DD' });
+      const [news, days] = await Promise.all([getArchiveDay(store, query.date), getArchiveDays(store)]);
+      return res.status(200).json({
+        success: true,
+        date: query.date,
+        news,
+        total: news.length,
+        previousDate: days.find(day => day.date < query.date)?.date || null,
+        nextDate: [...days].reverse().find(day => day.date > query.date)?.date || null
+      });
+    }
+
+    const { from, to, clamped } = resolveRange(query);
+    const filters = parseNewsFilters(query);
+    const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const [days, matched] = await Promise.all([getArchiveDays(store, { from, to }), searchArchive(store, { from, to, filters })]);
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      ...(clamped ? { message: `區間過長，已截斷為最近 ${MAX_RANGE_DAYS} 天` } : {}),
+      filters,
+      days,
+      news: matched.slice((page - 1) * pageSize, page * pageSize),
+      total: matched.length,
+      page,
+      pageSize,
+      hasMore: page * pageSize < matched.length
+    });
+  } catch (error) {
+    console.error('新聞歸檔 API 錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
@@ -0,0 +1,163 @@
+// api/ask.js - 針對單則新聞或日曆事件追問 AI，以 SSE 串流回答（只根據原文、處理後摘要與事件數據作答）
+
+import { getStore, getDailyCount, incrementDailyCount } from '../lib/store/index.js';
+import { getNewsFeed, getArticleContext } from '../lib/news/feed.js';
+import { getCachedFullText } from '../lib/news/fulltext.js';
+import { getCalendarFeed, getCachedCalendar } from '../lib/calendar/feed.js';
+import { getArchiveItem } from '../lib/news/archive.js';
+import { streamChat, getProvider, describeMissingConfig } from '../lib/llm/index.js';
+import { getBudgetStatus, trackUsage } from '../lib/usage.js';
+import { getClientIp, parseRateLimits, checkRateLimit } from '../lib/rate-limit.js';
+
+const MAX_QUESTION_LENGTH = 500;
+const MAX_HISTORY_TURNS = 6;
+const MAX_DAILY_REQUESTS = 500;
+// 每個 IP 每分鐘 5 次、每天 50 次，可用 ASK_RATE_LIMIT 調整
+const DEFAULT_LIMITS = [{ limit: 5, windowSeconds: 60 }, { limit: 50, windowSeconds: 24 * 60 * 60 }];
+const EVENT_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})-[0-9a-f]{8}$/;
+
+const SYSTEM_PROMPT = `你是一個專業的財經分析助手，負責回答使用者對某一則新聞或經濟事件的追問。
+只能根據「參考資料」作答；資料中沒有的資訊請直說無法從這則內容得知，不要臆測或引用其他來源的數字。
+請用繁體中文回答，簡潔清楚（200 字以內），不要提供個別投資建議。`;
+
+/**
+ * POST { newsId | eventId, question, history: [{ role: 'user' | 'assistant', content }] }
+ * 參數錯誤、限流、額度不足時回傳一般 JSON；否則以 text/event-stream 送出 meta → delta… → done（或 error）。
+ */
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ success: false, error: '請使用 POST' });
+
+  let streaming = false;
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : req.body || {};
+    const question = String(body.question || '').trim();
+    if (!question) return res.status(200).json({ success: false, error: '請輸入問題' });
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return res.status(200).json({ success: false, error: `問題請在 ${MAX_QUESTION_LENGTH} 字以內` });
+    }
+    if (!body.newsId && !body.eventId) return res.status(200).json({ success: false, error: '請提供 newsId 或 eventId' });
+
+    const provider = getProvider();
+    if (!provider) return res.status(200).json({ success: false, error: describeMissingConfig() });
+
+    const store = getStore();
+    const rate = await checkRateLimit(store, 'ask', getClientIp(req), parseRateLimits(process.env.ASK_RATE_LIMIT, DEFAULT_LIMITS));
+    if (!rate.allowed) {
+      res.setHeader('Retry-After', String(rate.retryAfter));
+      return res.status(429).json({ success: false, error: `提問太頻繁，請 ${rate.retryAfter} 秒後再試`, retryAfter: rate.retryAfter });
+    }
+    if (await getDailyCount(store, 'ask') >= MAX_DAILY_REQUESTS) {
+      return res.status(200).json({ success: false, error: '今日 AI 問答已達上限' });
+    }
+    if ((await getBudgetStatus(store)).exceeded) {
+      return res.status(200).json({ success: false, error: '已超過 AI 預算，暫停問答' });
+    }
+
+    const context = body.newsId ? await loadNewsContext(store, String(body.newsId)) : await loadEventContext(store, String(body.eventId));
+    if (!context) return res.status(200).json({ success: false, error: '找不到這則內容，可能已從最新資料中移除' });
+
+    await incrementDailyCount(store, 'ask');
+
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.status(200);
+    res.flushHeaders?.();
+    streaming = true;
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('meta', { title: context.title, grounded: context.grounded });
+
+    const { text, model } = await streamChat(
+      [...normalizeHistory(body.history), { role: 'user', content: `參考資料：\n${context.text}\n\n問題：${question}` }],
+      {
+        provider,
+        system: SYSTEM_PROMPT,
+        temperature: 0.3,
+        onDelta: delta => send('delta', { text: delta }),
+        onUsage: trackUsage(store, 'ask')
+      }
+    );
+    send('done', { model, length: text.length });
+    res.end();
+  } catch (error) {
+    console.error('AI 問答 API 錯誤:', error);
+    if (!streaming) {
+      return res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+    }
+    res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+    res.end();
+  }
+}
+
+// 只保留最近幾輪、角色正確的對話；參考資料只附在最新的問題上
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) return [];
+  const turns = history
+    .filter(turn => (turn?.role === 'user' || turn?.role === 'assistant') && typeof turn.content === 'string' && turn.content.trim())
+    .map(turn => ({ role: turn.role, content: turn.content.substring(0, 2000) }))
+    .slice(-MAX_HISTORY_TURNS * 2);
+  // 對話須以使用者開頭
+  while (turns.length && turns[0].role !== 'user') turns.shift();
+  return turns;
+}
+
+// 已不在最新新聞集的新聞（例如從新聞回顧或分享連結開啟）改從歸檔讀取
+async function loadNewsContext(store, id) {
+  const feed = await getNewsFeed(store);
+  const item = feed.payload.news.find(value => String(value.id) === id) || await getArchiveItem(store, id);
+  if (!item || item.category === '系統提示') return null;
+  const article = await getArticleContext(store, id);
+  // 使用者看過深度解讀時已擷取全文，有的話優先使用
+  const fullText = await getCachedFullText(store, id);
+  const lines = [
+    `標題：${item.title}`,
+    item.originalTitle && item.originalTitle !== item.title ? `原文標題：${item.originalTitle}` : null,
+    `來源：${item.source}（${item.publishedAt}）`,
+    `摘要：${item.summary}`,
+    `AI 解讀：${item.aiInsight}`,
+    item.tickers?.length ? `相關標的：${item.tickers.join('、')}` : null,
+    article?.description ? `原文描述：${article.description}` : null,
+    fullText ? `原文全文：\n${fullText.text}` : article?.content ? `原文內容：${article.content}` : null
+  ];
+  return { title: item.title, grounded: Boolean(fullText || article?.description || article?.content), text: lines.filter(Boolean).join('\n') };
+}
+
+// 依序查詢未來 7 天、過去 30 天的日曆；其他日期的事件只從 /api/calendar 已建立的快取讀取（區間由事件 id 的日期決定），
+// 不替用戶端產生新的區間
+async function findEvent(store, id) {
+  for (const mode of ['upcoming', 'past']) {
+    const { payload } = await getCalendarFeed(store, { mode });
+    const event = (payload.events || []).find(value => String(value.id) === id);
+    if (event) return event;
+  }
+  const date = id.match(EVENT_ID_PATTERN)?.[1];
+  if (!date) return null;
+  for (const range of [{ mode: 'upcoming', start: date }, { mode: 'past', end: date }]) {
+    const cached = await getCachedCalendar(store, range);
+    const event = cached?.payload.events?.find(value => String(value.id) === id);
+    if (event) return event;
+  }
+  return null;
+}
+
+async function loadEventContext(store, id) {
+  const event = await findEvent(store, id);
+  if (!event) return null;
+  const lines = [
+    `事件：${event.event}${event.country ? `（${event.country}）` : ''}`,
+    `日期：${event.date}${event.time ? ` ${event.time}` : ''}`,
+    `前值：${event.previous ?? '無'}`,
+    `市場預期：${event.forecast ?? '無'}`,
+    event.actual ? `公布值：${event.actual}` : null,
+    event.surprise ? `意外幅度：${event.surprise.label}` : null,
+    event.aiAnalysis ? `AI 影響分析：${event.aiAnalysis}` : null,
+    event.surpriseNote ? `AI 落差解讀：${event.surpriseNote}` : null
+  ];
+  return { title: event.event, grounded: true, text: lines.filter(Boolean).join('\n') };
+}
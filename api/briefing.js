@@ -0,0 +1,47 @@
+// api/briefing.js - 每日市場簡報 API（每天產生一次並快取，可匯出 Markdown / 純文字郵件）
+
+import { getStore, todayKey } from '../lib/store/index.js';
+import { getDailyBriefing, getStoredBriefing } from '../lib/briefing/index.js';
+import { briefingToMarkdown, briefingToEmailText } from '../lib/briefing/format.js';
+
+const EXPORTS = {
+  markdown: { format: briefingToMarkdown, type: 'text/markdown', extension: 'md' },
+  text: { format: briefingToEmailText, type: 'text/plain', extension: 'txt' }
+};
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const store = getStore();
+    // ?date=YYYY-MM-DD 只讀取當天已產生的簡報，不會補產生過去的日期
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query?.date || '') ? req.query.date : todayKey();
+    const entry = date === todayKey()
+      ? await getDailyBriefing(store)
+      : await getStoredBriefing(store, date);
+
+    if (!entry) {
+      return res.status(200).json({ success: false, error: `沒有 ${date} 的簡報`, timestamp: new Date().toISOString() });
+    }
+
+    const exporter = EXPORTS[req.query?.format];
+    if (exporter) {
+      res.setHeader('Content-Type', `${exporter.type}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="briefing-${date}.${exporter.extension}"`);
+      return res.status(200).send(exporter.format(entry.payload));
+    }
+
+    res.status(200).json({
+      success: true,
+      briefing: entry.payload,
+      timestamp: new Date(entry.timestamp).toISOString(),
+      fromCache: entry.fromCache ?? true
+    });
+  } catch (error) {
+    console.error('每日簡報 API 錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
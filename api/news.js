@@ -1,11 +1,11 @@
-// api/news.js - 帶快取和成本控制的新聞抓取 API (v6 增強版 - 支持 9 條新聞 & sk-*** 穩定版)
+// api/news.js - 帶快取和成本控制的新聞抓取 API（支援分頁、分類 / 地區 / 代號篩選與關鍵字搜尋）
 
-let newsCache = null;
-let cacheTimestamp = null;
-const CACHE_DURATION = 30 * 60 * 1000; 
-const MAX_DAILY_REQUESTS = 50; 
-let dailyRequestCount = 0;
-let lastResetDate = new Date().toDateString();
+import { getStore } from '../lib/store/index.js';
+import { getNewsFeed, NEWS_CACHE_KEY, NEWS_CACHE_DURATION } from '../lib/news/feed.js';
+import { CATEGORIES, REGIONS, ASSET_CLASSES, parseNewsFilters, hasFilters, filterKey, filterNews } from '../lib/news/taxonomy.js';
+
+const DEFAULT_PAGE_SIZE = 9;
+const MAX_PAGE_SIZE = 30;
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -13,144 +13,81 @@ export default async function handler(req, res) {
   
   if (req.method === 'OPTIONS') return res.status(200).end();
 
+  let store = null;
   try {
-    const currentDate = new Date().toDateString();
-    if (currentDate !== lastResetDate) {
-      dailyRequestCount = 0;
-      lastResetDate = currentDate;
-    }
-
-    const now = Date.now();
-    if (newsCache && cacheTimestamp && (now - cacheTimestamp < CACHE_DURATION)) {
-      return res.status(200).json({ success: true, news: newsCache, timestamp: new Date(cacheTimestamp).toISOString(), fromCache: true });
-    }
-
-    if (dailyRequestCount >= MAX_DAILY_REQUESTS) {
-      return res.status(200).json({ success: true, news: newsCache || getDefaultNews(), timestamp: new Date().toISOString(), fromCache: true, message: '已達每日更新上限' });
-    }
-
-    const NEWS_API_KEY = process.env.NEWS_API_KEY;
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-    
-    let BASE_URL = process.env.API_BASE_URL || 'https://api.openai.com/v1';
-    if (BASE_URL.endsWith('/')) BASE_URL = BASE_URL.slice(0, -1);
-    if (!BASE_URL.includes('/v1')) BASE_URL += '/v1';
-
-    const MODEL = process.env.AI_MODEL || 'gpt-4o-mini';
-
-    if (!NEWS_API_KEY) throw new Error('未設定 NEWS_API_KEY');
-
-    // 1. 從 NewsAPI 抓取新聞（抓取 9 篇）
-    const newsResponse = await fetch(`https://newsapi.org/v2/top-headlines?category=business&language=en&pageSize=9&apiKey=${NEWS_API_KEY}`);
-    if (!newsResponse.ok) throw new Error(`NewsAPI 錯誤: ${newsResponse.status}`);
-    const newsData = await newsResponse.json();
-    const articles = newsData.articles || [];
-    if (articles.length === 0) throw new Error('未獲取到新聞內容');
-
-    if (newsCache && articlesAreSame(articles, newsCache)) {
-      cacheTimestamp = now;
-      return res.status(200).json({ success: true, news: newsCache, timestamp: new Date().toISOString(), fromCache: true });
-    }
-
-    // 2. AI 處理 (標準 OpenAI 格式)
-    let processedNews;
-    if (OPENAI_API_KEY) {
-      const batchPrompt = articles.slice(0, 9).map((article, i) => 
-        `新聞 ${i + 1}:\n標題: ${article.title}\n內容: ${article.description || article.content?.substring(0, 200) || ''}\n來源: ${article.source.name}`
-      ).join('\n\n---\n\n');
-
-      try {
-        dailyRequestCount++;
-        const apiUrl = `${BASE_URL}/chat/completions`;
-
-        const aiResponse = await fetch(apiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${OPENAI_API_KEY}`,
-            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-          },
-          body: JSON.stringify({
-            model: MODEL,
-            messages: [
-              { role: 'system', content: '你是一個專業的財經翻譯和分析助手。請將新聞翻譯成繁體中文，並提供投資解讀。' },
-              { role: 'user', content: `請將以下 ${articles.length} 則新聞翻譯成繁體中文，並提供 AI 投資解讀。請以 JSON 陣列格式回應，不要包含 markdown 標記：\n\n${batchPrompt}\n\n回應格式：[{"title":"...","summary":"...","aiInsight":"...","category":"..."}]` }
-            ],
-            temperature: 0.7
-          })
-        });
-
-        if (!aiResponse.ok) {
-          const errorDetail = await aiResponse.text();
-          if (errorDetail.includes('<!DOCTYPE html>')) {
-            throw new Error(`被 Cloudflare 攔截。請檢查中轉站地址。`);
-          }
-          throw new Error(`AI API 錯誤 (${aiResponse.status}): ${errorDetail.substring(0, 50)}`);
-        }
+    const filters = parseNewsFilters(req.query);
+    const { offset, pageSize } = parsePaging(req.query || {});
+
+    store = getStore();
+    const feed = await getNewsFeed(store);
+    const { news: pool, ...meta } = feed.payload;
+    const matched = await getFilteredView(store, feed, filters);
+    const nextOffset = offset + pageSize;
+
+    // 每種篩選組合的 URL 各自在 CDN 快取
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    res.status(200).json({
+      success: true,
+      ...meta,
+      news: matched.slice(offset, nextOffset),
+      total: matched.length,
+      page: Math.floor(offset / pageSize) + 1,
+      pageSize,
+      hasMore: nextOffset < matched.length,
+      nextCursor: nextOffset < matched.length ? encodeCursor(nextOffset) : null,
+      filters,
+      taxonomy: { categories: CATEGORIES, regions: REGIONS, assetClasses: ASSET_CLASSES },
+      poolSize: pool.length,
+      timestamp: new Date(feed.timestamp).toISOString(),
+      fromCache: feed.fromCache
+    });
 
-        const aiData = await aiResponse.json();
-        const responseText = aiData.choices[0].message.content;
-        const cleanedText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        const parsedArray = JSON.parse(cleanedText);
+  } catch (error) {
+    const cached = await store?.get(NEWS_CACHE_KEY).catch(() => null);
+    res.status(200).json({ success: false, error: error.message, news: cached?.payload.news.slice(0, DEFAULT_PAGE_SIZE) || getDefaultNews(), timestamp: new Date().toISOString(), fromCache: true });
+  }
+}
 
-        processedNews = parsedArray.map((parsed, index) => ({
-          id: index + 1,
-          title: parsed.title,
-          source: articles[index].source.name,
-          time: getRelativeTime(articles[index].publishedAt),
-          summary: parsed.summary,
-          aiInsight: parsed.aiInsight,
-          category: parsed.category,
-          url: articles[index].url,
-          image: articles[index].urlToImage,
-          originalTitle: articles[index].title
-        }));
-      } catch (error) {
-        processedNews = createFallbackNews(articles, error.message);
-      }
-    } else {
-      processedNews = createFallbackNews(articles, '缺少 OPENAI_API_KEY');
-    }
+// ?cursor= 優先（無限捲動用），其次 ?page=（從 1 開始）
+function parsePaging(query) {
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const cursorOffset = decodeCursor(query.cursor);
+  if (cursorOffset !== null) return { offset: cursorOffset, pageSize };
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { offset: (page - 1) * pageSize, pageSize };
+}
 
-    newsCache = processedNews;
-    cacheTimestamp = now;
-    res.status(200).json({ success: true, news: processedNews, timestamp: new Date().toISOString(), fromCache: false });
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
 
-  } catch (error) {
-    res.status(200).json({ success: false, error: error.message, news: newsCache || getDefaultNews(), timestamp: new Date().toISOString(), fromCache: true });
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
   }
 }
 
-function articlesAreSame(newArticles, cachedNews) {
-  if (!cachedNews || newArticles.length !== cachedNews.length) return false;
-  return newArticles.every((article, i) => cachedNews[i] && article.title === cachedNews[i].originalTitle);
-}
+// 篩選結果以 id 清單快取，鍵含新聞集的時間戳，新聞集更新後自動換一組
+async function getFilteredView(store, feed, filters) {
+  const news = feed.payload.news;
+  if (!hasFilters(filters)) return news;
+
+  const viewKey = `news:view:${feed.timestamp}:${filterKey(filters)}`;
+  const cachedIds = await store.get(viewKey);
+  if (cachedIds) {
+    const byId = new Map(news.map(item => [item.id, item]));
+    return cachedIds.map(id => byId.get(id)).filter(Boolean);
+  }
 
-function createFallbackNews(articles, errorMessage = '') {
-  return articles.slice(0, 9).map((article, index) => ({
-    id: index + 1,
-    title: article.title,
-    source: article.source.name,
-    time: getRelativeTime(article.publishedAt),
-    summary: article.description || '請點擊閱讀原文查看詳情',
-    aiInsight: `💡 狀態：${errorMessage}`,
-    category: '系統提示',
-    url: article.url,
-    image: article.urlToImage,
-    originalTitle: article.title
-  }));
+  const matched = filterNews(news, filters);
+  await store.set(viewKey, matched.map(item => item.id), { ttl: NEWS_CACHE_DURATION / 1000 });
+  return matched;
 }
 
 function getDefaultNews() {
   return [{ id: 1, title: "系統訊息", source: "系統", time: "現在", summary: "請檢查環境變量設定。", aiInsight: "💡 提示：請確保 API_BASE_URL 正確。", category: "系統", url: "#" }];
 }
-
-function getRelativeTime(publishedAt) {
-  const now = new Date();
-  const published = new Date(publishedAt);
-  const diffMs = now - published;
-  const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
-  if (diffHours < 1) return '剛剛';
-  if (diffHours < 24) return `${diffHours}小時前`;
-  return published.toLocaleDateString('zh-TW');
-}
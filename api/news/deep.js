@@ -0,0 +1,25 @@
+// api/news/deep.js - 單則新聞的深度解讀：?id=<新聞 id>，第一次點開時抓取原文並交給 AI，之後讀快取
+
+import { getStore } from '../../lib/store/index.js';
+import { getDeepAnalysis } from '../../lib/news/deep.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const id = String(req.query?.id || '').trim();
+    if (!id) return res.status(200).json({ success: false, error: '請提供新聞 id' });
+
+    const result = await getDeepAnalysis(getStore(), id);
+    if (!result) return res.status(200).json({ success: false, error: '找不到這則新聞，可能已從最新資料中移除' });
+
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=86400');
+    res.status(200).json({ success: true, ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('深度解讀 API 錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
@@ -0,0 +1,51 @@
+// api/news/personalized.js - 依關注清單重新排序新聞並附上個人化說明（沿用共用的新聞快取，不重新翻譯）
+
+import { getStore } from '../../lib/store/index.js';
+import { getNewsFeed } from '../../lib/news/feed.js';
+import { parseWatchlist, isEmptyWatchlist, rankNews, addWatchlistNotes } from '../../lib/news/personalize.js';
+
+const DEFAULT_LIMIT = 9;
+const MAX_LIMIT = 30;
+
+/**
+ * POST { watchlist: { tickers, sectors, keywords }, limit } 或 GET ?tickers=&sectors=&keywords=&limit=
+ */
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : req.body || {};
+    const source = req.method === 'POST' ? body : req.query || {};
+    const watchlist = parseWatchlist(source.watchlist || source);
+    if (isEmptyWatchlist(watchlist)) {
+      return res.status(200).json({ success: false, error: '關注清單是空的，請至少提供一個代號、產業或關鍵字' });
+    }
+    const limit = Math.min(Math.max(parseInt(source.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const store = getStore();
+    const feed = await getNewsFeed(store);
+    const ranked = rankNews(feed.payload.news, watchlist);
+    const { news, generated, skippedReason } = await addWatchlistNotes(store, ranked.slice(0, limit));
+
+    // 回應因人而異，不讓 CDN 快取
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200).json({
+      success: true,
+      watchlist,
+      news,
+      matched: ranked.filter(item => item.relevance.score > 0).length,
+      total: ranked.length,
+      notesGenerated: generated,
+      notesSkipped: skippedReason,
+      timestamp: new Date(feed.timestamp).toISOString(),
+      fromCache: feed.fromCache
+    });
+  } catch (error) {
+    console.error('個人化新聞 API 錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
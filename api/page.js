@@ -0,0 +1,48 @@
+// api/page.js - 預先渲染的 HTML 頁面：vercel.json 把非 /api/ 的路徑改寫到這裡，依路徑套上標題、OG、結構化資料與內文
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { getStore } from '../lib/store/index.js';
+import { resolvePage, SITE_NAME } from '../lib/seo/pages.js';
+import { renderDocument } from '../lib/seo/html.js';
+
+// 建置後的範本為 build/app.html（見 vite.config.js）；本機未建置時改用根目錄的 index.html
+const TEMPLATE_FILES = ['build/app.html', 'index.html'];
+let templatePromise = null;
+
+function loadTemplate() {
+  templatePromise ||= (async () => {
+    for (const file of TEMPLATE_FILES) {
+      try {
+        return await readFile(path.resolve(process.cwd(), file), 'utf8');
+      } catch {
+        // 試下一個
+      }
+    }
+    templatePromise = null;
+    throw new Error('找不到頁面範本');
+  })();
+  return templatePromise;
+}
+
+// 連範本都讀不到時的最小錯誤頁
+const ERROR_PAGE = `<!doctype html><html lang="zh-TW"><head><meta charset="UTF-8"><title>${SITE_NAME}</title></head><body><p>頁面暫時無法載入，請稍後再試。</p></body></html>`;
+
+export default async function handler(req, res) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  let template = null;
+
+  try {
+    template = await loadTemplate();
+    const pathname = String(req.query?.path ?? new URL(req.url || '/', 'http://localhost').pathname);
+    const page = await resolvePage(getStore(), pathname);
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+    res.status(page.status).send(renderDocument(template, page));
+  } catch (error) {
+    // 預先渲染失敗時仍回傳前端範本，頁面照常由瀏覽器載入；範本也讀不到時回傳錯誤頁
+    console.error('頁面渲染錯誤:', error);
+    res.setHeader('Cache-Control', 'no-store');
+    if (template) res.status(200).send(template);
+    else res.status(500).send(ERROR_PAGE);
+  }
+}
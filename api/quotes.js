@@ -0,0 +1,25 @@
+// api/quotes.js - 投資組合報價 API：?symbols=2330.TW,AAPL&currencies=USD&base=TWD
+
+import { getStore } from '../lib/store/index.js';
+import { getQuotes, parseSymbols, parseCurrencies } from '../lib/quotes/index.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const symbols = parseSymbols(req.query?.symbols);
+    if (symbols.length === 0) {
+      return res.status(200).json({ success: false, error: '請提供 symbols 參數，例如 ?symbols=2330.TW,AAPL' });
+    }
+    const base = parseCurrencies(req.query?.base)[0] || 'TWD';
+    const result = await getQuotes(getStore(), { symbols, currencies: parseCurrencies(req.query?.currencies), base });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('報價 API 錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
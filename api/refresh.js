@@ -0,0 +1,29 @@
+// api/refresh.js - 排程更新的進入點（Vercel Cron 以 GET 呼叫，需帶 CRON_SECRET 或 ALERTS_ADMIN_TOKEN）
+
+import { getStore } from '../lib/store/index.js';
+import { hasBearerToken } from '../lib/auth.js';
+import { runRefresh, REFRESH_TASKS } from '../lib/refresh.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (!hasBearerToken(req, process.env.CRON_SECRET, process.env.ALERTS_ADMIN_TOKEN)) {
+    const configured = process.env.CRON_SECRET || process.env.ALERTS_ADMIN_TOKEN;
+    return res.status(401).json({ success: false, error: configured ? '未授權' : '未設定 CRON_SECRET' });
+  }
+
+  try {
+    // ?only=news,calendar 只執行部分工作
+    const only = req.query?.only ? String(req.query.only).split(',').filter(name => REFRESH_TASKS.includes(name)) : null;
+    const trigger = req.headers['user-agent']?.startsWith('vercel-cron') ? 'cron' : 'manual';
+    const run = await runRefresh(getStore(), { only, trigger });
+    res.status(200).json({ success: !run.skipped && run.ok, run });
+  } catch (error) {
+    console.error('排程更新 API 錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
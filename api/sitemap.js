@@ -0,0 +1,16 @@
+// api/sitemap.js - sitemap.xml：由歸檔與日曆快取即時產生（vercel.json 將 /sitemap.xml 改寫到這裡）
+
+import { getStore } from '../lib/store/index.js';
+import { buildSitemap } from '../lib/seo/sitemap.js';
+
+export default async function handler(req, res) {
+  try {
+    const xml = await buildSitemap(getStore());
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=86400');
+    res.status(200).send(xml);
+  } catch (error) {
+    console.error('Sitemap 產生錯誤:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,42 @@
+// api/status.js - 排程更新狀態：上次執行、耗時、錯誤、下次執行時間，以及各份快取的更新時間
+
+import { getStore, todayKey } from '../lib/store/index.js';
+import { getRefreshStatus } from '../lib/refresh.js';
+import { NEWS_CACHE_KEY } from '../lib/news/feed.js';
+import { briefingKey } from '../lib/briefing/index.js';
+import { getRefreshCron, getNextRefresh, isScheduledRefresh } from '../lib/schedule.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const store = getStore();
+    const [status, news, briefing] = await Promise.all([
+      getRefreshStatus(store),
+      store.get(NEWS_CACHE_KEY),
+      store.get(briefingKey(todayKey()))
+    ]);
+    const updatedAt = entry => (entry ? new Date(entry.timestamp).toISOString() : null);
+    const nextRun = getNextRefresh();
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      mode: isScheduledRefresh() ? 'scheduled' : 'on-request',
+      schedule: isScheduledRefresh() ? getRefreshCron() : null,
+      ...status,
+      nextRun: nextRun ? nextRun.toISOString() : null,
+      caches: {
+        news: updatedAt(news),
+        briefing: updatedAt(briefing)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('狀態 API 錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
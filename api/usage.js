@@ -0,0 +1,31 @@
+// api/usage.js - AI 用量與費用報表（每日 / 每個 endpoint / 每個模型，需帶 ALERTS_ADMIN_TOKEN 或 CRON_SECRET）
+
+import { getStore } from '../lib/store/index.js';
+import { getBudgetStatus, getUsageReport } from '../lib/usage.js';
+import { hasBearerToken } from '../lib/auth.js';
+
+const MAX_DAYS = 90;
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (!hasBearerToken(req, process.env.ALERTS_ADMIN_TOKEN, process.env.CRON_SECRET)) {
+    const configured = process.env.ALERTS_ADMIN_TOKEN || process.env.CRON_SECRET;
+    return res.status(401).json({ success: false, error: configured ? '未授權' : '未設定 ALERTS_ADMIN_TOKEN' });
+  }
+
+  try {
+    const days = Math.min(Math.max(parseInt(req.query?.days, 10) || 7, 1), MAX_DAYS);
+    const store = getStore();
+    const [budget, usage] = await Promise.all([getBudgetStatus(store), getUsageReport(store, days)]);
+
+    res.status(200).json({ success: true, budget, days: usage, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('用量報表錯誤:', error);
+    res.status(200).json({ success: false, error: error.message, timestamp: new Date().toISOString() });
+  }
+}
@@ -0,0 +1,65 @@
+// lib/alerts/channels/webhook.js - Slack / Discord / LINE Notify 形式與通用 JSON webhook
+
+const TIMEOUT = 10000;
+const LINE_NOTIFY_URL = 'https://notify-api.line.me/api/notify';
+
+function itemLines(message, format) {
+  return message.items.map(item => format(item)).join('\n');
+}
+
+// Slack mrkdwn 需跳脫 & < >，否則標題中的角括號會被當成連結語法
+function slackText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const FORMATTERS = {
+  // 沒有網址的項目（例如經濟事件）只列標題，不產生空連結
+  slack: message => ({
+    body: JSON.stringify({
+      text: `*${slackText(message.subject)}*\n${itemLines(message, item => `• ${item.url?.startsWith('http') ? `<${item.url}|${slackText(item.title)}>` : slackText(item.title)}${item.detail ? ` — ${slackText(item.detail)}` : ''}`)}`
+    }),
+    headers: { 'Content-Type': 'application/json' }
+  }),
+  // Discord 單則訊息最多 10 個 embed、content 2000 字
+  discord: message => ({
+    body: JSON.stringify({
+      content: message.subject.slice(0, 2000),
+      embeds: message.items.slice(0, 10).map(item => ({
+        title: item.title.slice(0, 256),
+        ...(item.url?.startsWith('http') ? { url: item.url } : {}),
+        description: (item.detail || '').slice(0, 4096)
+      }))
+    }),
+    headers: { 'Content-Type': 'application/json' }
+  }),
+  line: (message, channel) => ({
+    body: new URLSearchParams({
+      message: `\n${message.subject}\n${itemLines(message, item => `・${item.title}${item.url?.startsWith('http') ? `\n${item.url}` : ''}`)}`.slice(0, 1000)
+    }).toString(),
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: `Bearer ${channel.token}` }
+  }),
+  webhook: message => ({
+    body: JSON.stringify(message),
+    headers: { 'Content-Type': 'application/json' }
+  })
+};
+
+export const WEBHOOK_TYPES = Object.keys(FORMATTERS);
+
+/**
+ * channel 為 { type, url }；LINE 為 { type: 'line', token, url? }，url 省略時使用 LINE Notify。
+ */
+export async function sendWebhook(channel, message) {
+  const { body, headers } = FORMATTERS[channel.type](message, channel);
+  const url = channel.type === 'line' ? channel.url || LINE_NOTIFY_URL : channel.url;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`${channel.type} webhook 回應 ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+}
@@ -0,0 +1,144 @@
+// lib/alerts/index.js - 提醒評估：以目前的新聞集與經濟日曆比對每個訂閱，新符合的項目才寄送
+
+import { getNewsFeed } from '../news/feed.js';
+import { getCalendarFeed } from '../calendar/feed.js';
+import { todayKey } from '../store/index.js';
+import { listSubscriptions } from './subscriptions.js';
+import { createSMTPTransport } from './channels/smtp.js';
+import { sendWebhook } from './channels/webhook.js';
+
+// 已寄送紀錄保留兩週，足以涵蓋新聞集與未來 7 天日曆的範圍
+const SENT_TTL = 14 * 24 * 60 * 60;
+const LAST_RUN_KEY = 'alerts:lastRun';
+const IMPORTANCE_RANK = { medium: 1, high: 2 };
+
+// 提醒的代號帶有「.」後綴（BRK.A、2330.TW）時只比對完全相同的代號；沒有後綴時才比對主代號（2330 也符合 2330.TW）
+function mentionsTicker(itemTickers, ticker) {
+  if (itemTickers.includes(ticker)) return true;
+  return !ticker.includes('.') && itemTickers.some(other => other.split('.')[0] === ticker);
+}
+
+export function matchNews(rule, news) {
+  const tickers = rule.tickers || [];
+  const keywords = (rule.keywords || []).map(keyword => keyword.toLowerCase());
+  return news.filter(item => {
+    if (rule.category && item.category !== rule.category) return false;
+    if (rule.region && !item.regions?.includes(rule.region)) return false;
+    // tickers 與 keywords 視為同一組「提到」條件，符合任一即可
+    if (!tickers.length && !keywords.length) return true;
+    const itemTickers = item.tickers || [];
+    if (tickers.some(ticker => mentionsTicker(itemTickers, ticker))) return true;
+    const text = [item.title, item.summary, item.aiInsight, item.originalTitle].join('\n').toLowerCase();
+    return keywords.some(keyword => text.includes(keyword));
+  }).map(item => ({
+    key: `news:${item.id}`,
+    title: item.title,
+    url: item.url,
+    detail: item.summary
+  }));
+}
+
+export function matchEvents(rule, events, today) {
+  const target = new Date(`${today}T00:00:00Z`);
+  target.setUTCDate(target.getUTCDate() + rule.daysAhead);
+  const date = todayKey(target);
+  return events.filter(event =>
+    event.date === date &&
+    IMPORTANCE_RANK[event.importance] >= IMPORTANCE_RANK[rule.importance] &&
+    (!rule.countries || rule.countries.includes(event.country))
+  ).map(event => ({
+    key: `event:${event.id}`,
+    title: `${event.date}${event.time ? ` ${event.time}` : ''} ${event.event}`,
+    url: '',
+    detail: [
+      event.previous && `前值 ${event.previous}`,
+      event.forecast && `預期 ${event.forecast}`,
+      event.aiAnalysis
+    ].filter(Boolean).join('｜')
+  }));
+}
+
+function buildMessage(subscription, items) {
+  const subject = `【AI 財經提醒】${subscription.name}（${items.length} 則）`;
+  const text = [
+    subject,
+    '',
+    ...items.map((item, index) => [
+      `${index + 1}. ${item.title}`,
+      item.detail && `   ${item.detail}`,
+      item.url && `   ${item.url}`
+    ].filter(Boolean).join('\n')),
+    '',
+    `訂閱 id：${subscription.id}`
+  ].join('\n');
+  return { subject, text, items, subscription: { id: subscription.id, name: subscription.name } };
+}
+
+async function deliver(channel, message, env) {
+  if (channel.type !== 'email') return sendWebhook(channel, message);
+  if (!env.SMTP_URL) throw new Error('未設定 SMTP_URL');
+  const transport = createSMTPTransport({ url: env.SMTP_URL, from: env.ALERTS_FROM || 'AI 財經工具站 <alerts@localhost>' });
+  return transport.send({ to: channel.to, subject: message.subject, text: message.text });
+}
+
+/**
+ * 逐一評估訂閱並寄送。每個（訂閱, 項目）以 setIfAbsent 記錄，同一項目不會重複寄出；
+ * 寄送失敗時撤回紀錄，下次執行再試。dryRun 時只回報會寄出的內容。
+ */
+export async function runAlerts(store, { dryRun = false, env = process.env } = {}) {
+  const startedAt = Date.now();
+  const subscriptions = await listSubscriptions(store);
+  const report = { subscriptions: subscriptions.length, matched: 0, sent: 0, deliveries: [], errors: [] };
+
+  if (subscriptions.length > 0) {
+    const needs = type => subscriptions.some(subscription => subscription.rule.type === type);
+    const [newsFeed, calendarFeed] = await Promise.all([
+      needs('news') ? getNewsFeed(store) : null,
+      needs('calendar') ? getCalendarFeed(store, { mode: 'upcoming' }) : null
+    ]);
+    // 備用內容不寄送
+    const news = newsFeed ? newsFeed.payload.news.filter(item => item.category !== '系統提示') : [];
+    const events = calendarFeed && !calendarFeed.payload.isStatic ? calendarFeed.payload.events : [];
+    const today = todayKey();
+
+    for (const subscription of subscriptions) {
+      const items = subscription.rule.type === 'news'
+        ? matchNews(subscription.rule, news)
+        : matchEvents(subscription.rule, events, today);
+      report.matched += items.length;
+
+      const fresh = [];
+      for (const item of items) {
+        const sentKey = `alerts:sent:${subscription.id}:${item.key}`;
+        if (dryRun ? !(await store.get(sentKey)) : await store.setIfAbsent(sentKey, Date.now(), { ttl: SENT_TTL })) {
+          fresh.push({ ...item, sentKey });
+        }
+      }
+      if (fresh.length === 0) continue;
+
+      const message = buildMessage(subscription, fresh.map(({ sentKey, ...item }) => item));
+      if (dryRun) {
+        report.deliveries.push({ id: subscription.id, channel: subscription.channel.type, items: fresh.length, subject: message.subject });
+        continue;
+      }
+
+      try {
+        await deliver(subscription.channel, message, env);
+        report.sent += fresh.length;
+        report.deliveries.push({ id: subscription.id, channel: subscription.channel.type, items: fresh.length });
+      } catch (error) {
+        console.error(`提醒寄送失敗 (${subscription.id}):`, error.message);
+        await Promise.all(fresh.map(item => store.del(item.sentKey)));
+        report.errors.push({ id: subscription.id, channel: subscription.channel.type, error: error.message });
+      }
+    }
+  }
+
+  const result = { ...report, dryRun, startedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt };
+  if (!dryRun) await store.set(LAST_RUN_KEY, result);
+  return result;
+}
+
+export async function getLastAlertRun(store) {
+  return store.get(LAST_RUN_KEY);
+}
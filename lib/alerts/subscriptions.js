@@ -0,0 +1,111 @@
+// lib/alerts/subscriptions.js - 提醒訂閱的儲存與驗證（存放在共用 store 的 alerts:subscriptions）
+
+import { randomUUID } from 'node:crypto';
+import { validateValue } from '../llm/validate.js';
+import { CATEGORIES, REGIONS, normalizeTicker } from '../news/taxonomy.js';
+import { WEBHOOK_TYPES } from './channels/webhook.js';
+
+const SUBSCRIPTIONS_KEY = 'alerts:subscriptions';
+
+const SUBSCRIPTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    rule: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['news', 'calendar'] },
+        category: { type: 'string', enum: CATEGORIES },
+        region: { type: 'string', enum: REGIONS },
+        tickers: { type: 'array', items: { type: 'string' } },
+        keywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+        importance: { type: 'string', enum: ['high', 'medium'] },
+        daysAhead: { type: 'integer', minimum: 0, maximum: 6 },
+        countries: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['type']
+    },
+    channel: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['email', ...WEBHOOK_TYPES] },
+        to: { type: 'string', pattern: '^[^\\s@,]+@[^\\s@,]+$' },
+        url: { type: 'string', pattern: '^https?://' },
+        token: { type: 'string', minLength: 1 }
+      },
+      required: ['type']
+    }
+  },
+  required: ['name', 'rule', 'channel']
+};
+
+/**
+ * 檢查並整理訂閱內容，回傳 { subscription, errors }。
+ * rule 範例：{ type: 'news', category: '央行' }、{ type: 'news', tickers: ['2330.TW'], keywords: ['TSMC', '台積電'] }、
+ * { type: 'calendar', importance: 'high', daysAhead: 1 }（明天的高重要性事件）。
+ */
+export function validateSubscription(input) {
+  const errors = validateValue(input, SUBSCRIPTION_SCHEMA, '');
+  if (errors.length) return { subscription: null, errors };
+
+  const { rule, channel } = input;
+  if (channel.type === 'email' && !channel.to) errors.push('channel.to 缺少內容');
+  if (channel.type === 'line' && !channel.token) errors.push('channel.token 缺少內容');
+  if (!['email', 'line'].includes(channel.type) && !channel.url) errors.push('channel.url 缺少內容');
+  const tickers = (rule.tickers || []).map(normalizeTicker);
+  if (tickers.includes(null)) errors.push('rule.tickers 含有無效的代號');
+  if (errors.length) return { subscription: null, errors };
+
+  return {
+    subscription: {
+      name: input.name.trim(),
+      rule: rule.type === 'news'
+        ? {
+          type: 'news',
+          ...(rule.category ? { category: rule.category } : {}),
+          ...(rule.region ? { region: rule.region } : {}),
+          ...(tickers.length ? { tickers } : {}),
+          ...(rule.keywords?.length ? { keywords: rule.keywords.map(keyword => keyword.trim()) } : {})
+        }
+        : {
+          type: 'calendar',
+          importance: rule.importance || 'high',
+          daysAhead: rule.daysAhead ?? 1,
+          ...(rule.countries?.length ? { countries: rule.countries } : {})
+        },
+      channel: Object.fromEntries(['type', 'to', 'url', 'token'].filter(key => channel[key]).map(key => [key, channel[key]]))
+    },
+    errors: []
+  };
+}
+
+export async function listSubscriptions(store) {
+  return (await store.get(SUBSCRIPTIONS_KEY)) || [];
+}
+
+export async function addSubscription(store, subscription) {
+  const entry = { id: randomUUID().slice(0, 8), ...subscription, createdAt: new Date().toISOString() };
+  await store.set(SUBSCRIPTIONS_KEY, [...await listSubscriptions(store), entry]);
+  return entry;
+}
+
+export async function removeSubscription(store, id) {
+  const subscriptions = await listSubscriptions(store);
+  const remaining = subscriptions.filter(subscription => subscription.id !== id);
+  if (remaining.length === subscriptions.length) return false;
+  await store.set(SUBSCRIPTIONS_KEY, remaining);
+  return true;
+}
+
+// 對外列出時遮住 webhook 網址與 token
+export function maskSubscription(subscription) {
+  const { channel } = subscription;
+  return {
+    ...subscription,
+    channel: {
+      ...channel,
+      ...(channel.url ? { url: channel.url.replace(/^(https?:\/\/[^/]+).*/, '$1/…') } : {}),
+      ...(channel.token ? { token: '…' } : {})
+    }
+  };
+}
@@ -0,0 +1,16 @@
+// lib/auth.js - 管理用 API 的 Bearer token 檢查（Vercel Cron 會帶 Authorization: Bearer $CRON_SECRET）
+
+import { timingSafeEqual } from 'node:crypto';
+
+/**
+ * Authorization 標頭符合任一個已設定的 secret 時回傳 true；未設定的 secret 一律不通過。
+ */
+export function hasBearerToken(req, ...secrets) {
+  const header = req.headers?.authorization || '';
+  const token = header.startsWith('Bearer ') ? Buffer.from(header.slice(7)) : null;
+  if (!token) return false;
+  return secrets.filter(Boolean).some(secret => {
+    const expected = Buffer.from(secret);
+    return expected.length === token.length && timingSafeEqual(expected, token);
+  });
+}
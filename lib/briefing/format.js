@@ -0,0 +1,75 @@
+// lib/briefing/format.js - 每日簡報匯出：Markdown 與純文字電子郵件
+
+const SECTIONS = [
+  ['themes', '今日主題'],
+  ['risks', '風險提示'],
+  ['watchToday', '今日觀察']
+];
+
+function eventLabel(citation) {
+  return `${citation.date}${citation.time ? ` ${citation.time}` : ''} ${citation.event}`;
+}
+
+/**
+ * 新聞引用以連結呈現，事件引用附上日期。
+ */
+export function briefingToMarkdown(briefing) {
+  const lines = [`# AI 財經日報 ${briefing.date}`, ''];
+
+  for (const [key, heading] of SECTIONS) {
+    if (!briefing[key]?.length) continue;
+    lines.push(`## ${heading}`, '');
+    for (const point of briefing[key]) {
+      lines.push(`- **${point.title}**：${point.summary}`);
+      const refs = point.citations.map(citation => citation.type === 'news'
+        ? `[${citation.title}](${citation.url})`
+        : `📅 ${eventLabel(citation)}`);
+      if (refs.length) lines.push(`  - 依據：${refs.join('；')}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('## 短期展望', '', briefing.outlook, '');
+  lines.push('---', '', '_本簡報由 AI 根據當日新聞與經濟日曆整理，僅供參考，不構成投資建議。_', '');
+  return lines.join('\n');
+}
+
+/**
+ * 純文字郵件：第一行為主旨，引用以 [n] 編號，文末列出來源清單。
+ */
+export function briefingToEmailText(briefing) {
+  const references = [];
+  const refNumber = citation => {
+    const index = references.findIndex(ref => ref.type === citation.type && ref.id === citation.id);
+    if (index >= 0) return index + 1;
+    references.push(citation);
+    return references.length;
+  };
+
+  const lines = [`主旨：AI 財經日報 ${briefing.date}`, '', `AI 財經日報｜${briefing.date}`, ''];
+
+  for (const [key, heading] of SECTIONS) {
+    if (!briefing[key]?.length) continue;
+    lines.push(`【${heading}】`);
+    briefing[key].forEach((point, index) => {
+      const marks = point.citations.map(citation => `[${refNumber(citation)}]`).join('');
+      lines.push(`${index + 1}. ${point.title}：${point.summary}${marks ? ` ${marks}` : ''}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('【短期展望】', briefing.outlook, '');
+
+  if (references.length) {
+    lines.push('來源：');
+    references.forEach((citation, index) => {
+      lines.push(citation.type === 'news'
+        ? `[${index + 1}] ${citation.title}（${citation.source}） ${citation.url}`
+        : `[${index + 1}] 經濟事件：${eventLabel(citation)}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('本簡報由 AI 根據當日新聞與經濟日曆整理，僅供參考，不構成投資建議。', '');
+  return lines.join('\n');
+}
@@ -0,0 +1,143 @@
+// lib/briefing/index.js - 每日市場簡報：彙整已處理的新聞與高重要性事件，AI 整理主題、風險、今日觀察與展望
+
+import { completeValidated, getProvider, describeMissingConfig } from '../llm/index.js';
+import { getOrRefresh, getDailyCount, incrementDailyCount, todayKey } from '../store/index.js';
+import { getBudgetStatus, trackUsage } from '../usage.js';
+import { getNewsFeed } from '../news/feed.js';
+import { getCalendarFeed } from '../calendar/feed.js';
+
+// 以日期為鍵，同一天只產生一次；過了一天換新鍵
+const BRIEFING_MAX_AGE = 24 * 60 * 60 * 1000;
+const MAX_DAILY_REQUESTS = 10;
+const MAX_NEWS = 15;
+
+export function briefingKey(date) {
+  return `briefing:${date}`;
+}
+
+// 引用的 id 不在清單內時只略過該引用（見 withCitations），不為此整份重寫
+const SECTION_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 2 },
+      summary: { type: 'string', minLength: 10 },
+      newsIds: { type: 'array', items: { type: 'string' } },
+      eventIds: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['title', 'summary']
+  }
+};
+
+const BRIEFING_SCHEMA = {
+  type: 'object',
+  properties: {
+    themes: SECTION_SCHEMA,
+    risks: SECTION_SCHEMA,
+    watchToday: SECTION_SCHEMA,
+    outlook: { type: 'string', minLength: 20 }
+  },
+  required: ['themes', 'risks', 'watchToday', 'outlook']
+};
+
+/**
+ * 取得今天的簡報；已產生過就直接回傳快取。回傳 getOrRefresh 的 { payload, timestamp, fromCache }。
+ * 產生失敗（缺少 AI 設定、超過額度、沒有新聞）時丟出錯誤，不會寫入快取。
+ */
+export function getDailyBriefing(store, { force = false } = {}) {
+  const date = todayKey();
+  return getOrRefresh(store, briefingKey(date), BRIEFING_MAX_AGE, () => generateBriefing(store, date), { force });
+}
+
+/**
+ * 讀取過去某天已產生的簡報，沒有則回傳 null。
+ */
+export async function getStoredBriefing(store, date) {
+  return store.get(briefingKey(date));
+}
+
+async function generateBriefing(store, date) {
+  const provider = getProvider();
+  if (!provider) throw new Error(describeMissingConfig());
+  if (await getDailyCount(store, 'briefing') >= MAX_DAILY_REQUESTS) throw new Error('已達每日簡報產生上限');
+  if ((await getBudgetStatus(store)).exceeded) throw new Error('已超過 AI 預算，暫停產生簡報');
+
+  const [newsFeed, calendarFeed] = await Promise.all([
+    getNewsFeed(store),
+    getCalendarFeed(store, { mode: 'upcoming' })
+  ]);
+
+  // 備用內容（AI 處理失敗的新聞、靜態日曆）沒有可引用的依據，不放進簡報
+  const news = newsFeed.payload.news.filter(item => item.category !== '系統提示').slice(0, MAX_NEWS);
+  const events = calendarFeed.payload.isStatic
+    ? []
+    : calendarFeed.payload.events.filter(event => event.importance === 'high');
+  if (news.length === 0) throw new Error('目前沒有可用的新聞，無法產生簡報');
+
+  const newsList = news.map(item =>
+    `id: ${item.id}\n分類: ${item.category}\n標題: ${item.title}\n摘要: ${item.summary}\nAI 解讀: ${item.aiInsight}`
+  ).join('\n\n');
+  const eventList = events.map(event =>
+    `id: ${event.id}\n日期: ${event.date}${event.time ? ` ${event.time}` : ''}${event.date === date ? '（今天）' : ''}\n事件: ${event.event}${event.country ? `（${event.country}）` : ''}\n前值: ${event.previous ?? '無'}\n市場預期: ${event.forecast ?? '無'}`
+  ).join('\n\n');
+
+  await incrementDailyCount(store, 'briefing');
+  const { items, repaired } = await completeValidated(
+    `今天是 ${date}。請根據以下新聞與本週高重要性經濟事件，撰寫一份繁體中文的每日市場簡報。
+只能使用下列資料，不要編造數據；每一點都要在 newsIds / eventIds 標註依據的新聞與事件 id。
+
+【新聞】
+${newsList}
+
+【經濟事件】
+${eventList || '（本週沒有高重要性事件）'}
+
+請以 JSON 物件格式回應（不要包含 markdown 標記）：
+- themes：今日 3-5 個主要市場主題
+- risks：2-4 個需要留意的風險
+- watchToday：今天（或接下來一兩天）值得關注的事件與數據，2-4 點
+- outlook：60-120 字的短期展望
+每一點的格式為 {"title":"標題","summary":"40-80 字說明","newsIds":["..."],"eventIds":["..."]}
+
+回應格式：{"themes":[...],"risks":[...],"watchToday":[...],"outlook":"..."}`,
+    BRIEFING_SCHEMA,
+    {
+      provider,
+      system: '你是一個專業的財經編輯，負責為投資人撰寫精簡、有依據的每日市場簡報。',
+      onUsage: trackUsage(store, 'briefing')
+    }
+  );
+
+  const newsById = new Map(news.map(item => [item.id, item]));
+  const eventById = new Map(events.map(event => [event.id, event]));
+  const withCitations = section => (section || []).map(point => ({
+    title: point.title,
+    summary: point.summary,
+    citations: [
+      ...(point.newsIds || []).filter(id => newsById.has(id)).map(id => {
+        const item = newsById.get(id);
+        return { type: 'news', id, title: item.title, source: item.source, url: item.url };
+      }),
+      ...(point.eventIds || []).filter(id => eventById.has(id)).map(id => {
+        const event = eventById.get(id);
+        return { type: 'event', id, date: event.date, time: event.time || null, event: event.event };
+      })
+    ]
+  }));
+
+  const briefing = items[0];
+  return {
+    date,
+    themes: withCitations(briefing.themes),
+    risks: withCitations(briefing.risks),
+    watchToday: withCitations(briefing.watchToday),
+    outlook: briefing.outlook,
+    basedOn: {
+      news: news.length,
+      events: events.length,
+      newsTimestamp: new Date(newsFeed.timestamp).toISOString()
+    },
+    repaired: repaired.length > 0
+  };
+}
@@ -0,0 +1,252 @@
+// lib/calendar/feed.js - 經濟日曆的產生與快取：事件來自 CALENDAR_SOURCES，AI 只撰寫影響分析
+
+import { completeValidated, getProvider } from '../llm/index.js';
+import { getOrRefresh, getDailyCount, incrementDailyCount } from '../store/index.js';
+import { getBudgetStatus, trackUsage } from '../usage.js';
+import { loadCalendarEvents } from './index.js';
+import { eventId } from './normalize.js';
+import { readMaxAge } from '../schedule.js';
+
+const PAST_DAYS = 30;
+const CACHE_DURATION = 60 * 60 * 1000;
+const MAX_DAILY_REQUESTS = 50;
+// 自訂區間：快取秒數，以及起訖日與今天的最大距離（天）
+const CUSTOM_CACHE_TTL = 6 * 60 * 60;
+const MAX_CUSTOM_OFFSET_DAYS = 5 * 365;
+
+function buildAnalysisSchema(eventIds) {
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', enum: eventIds },
+        aiAnalysis: { type: 'string', minLength: 10 },
+        surpriseNote: { type: 'string' }
+      },
+      required: ['id', 'aiAnalysis']
+    }
+  };
+}
+
+/**
+ * 取得 mode（'upcoming' | 'past'）的日曆，start / end（YYYY-MM-DD）可指定區間起訖日。
+ * 排程模式下預設區間由排程工作以 force 重建；自訂區間第一次查詢時才產生，不送 AI 分析（只沿用預設區間已有的分析），
+ * 快取 CUSTOM_CACHE_TTL 秒後自動過期。回傳 getOrRefresh 的 { payload, timestamp, fromCache }。
+ */
+export function getCalendarFeed(store, { mode = 'upcoming', start, end, force = false } = {}) {
+  const { from, to } = getDateWindow(mode, { start, end });
+  const key = `calendar:${mode}:${from}:${to}`;
+  if (isDefaultWindow(mode, from, to)) {
+    return getOrRefresh(store, key, readMaxAge(CACHE_DURATION), () => buildCalendar(store, mode, from, to), { force });
+  }
+  return getOrRefresh(
+    store,
+    key,
+    CACHE_DURATION,
+    () => buildCalendar(store, mode, from, to, { annotate: false }),
+    { force, ttl: CUSTOM_CACHE_TTL }
+  );
+}
+
+/**
+ * 只讀快取中的日曆（過期也照用），沒有快取時回傳 null；供頁面預先渲染使用，不會觸發 AI 分析。
+ */
+export async function getCachedCalendar(store, { mode = 'upcoming', start, end } = {}) {
+  const { from, to } = getDateWindow(mode, { start, end });
+  const cached = await store.get(`calendar:${mode}:${from}:${to}`);
+  return cached ? { payload: cached.payload, timestamp: cached.timestamp } : null;
+}
+
+function isDefaultWindow(mode, from, to) {
+  const fallback = getDateWindow(mode, {});
+  return from === fallback.from && to === fallback.to;
+}
+
+async function buildCalendar(store, mode, from, to, { annotate = true } = {}) {
+  const { events, errors, configured } = await loadCalendarEvents({ from, to });
+  if (mode === 'past') events.reverse();
+
+  if (mode === 'upcoming' && (!configured || (events.length === 0 && errors.length > 0))) {
+    return {
+      events: getStaticCalendar(),
+      isStatic: true,
+      sourceErrors: errors,
+      error: configured ? '所有日曆來源皆無法讀取' : '未設定 CALENDAR_SOURCES'
+    };
+  }
+
+  const { validation, analysisError } = annotate
+    ? await annotateEvents(store, events)
+    : await copyCachedAnalysis(store, events);
+
+  return {
+    mode,
+    range: { from, to },
+    events,
+    validation,
+    sourceErrors: errors,
+    ...(analysisError ? { analysisError } : {})
+  };
+}
+
+// start / end（YYYY-MM-DD，來自 ?start= / ?end=）可指定區間起訖日，方便對照離線 fixture；
+// 區間長度固定，日期限制在今天前後 MAX_CUSTOM_OFFSET_DAYS 天內，無效日期視為今天。
+// 今天以外的日期對齊到所在的週（start 往前到週一、end 往後到週日），區間仍包含指定日期，
+// 但每週只有一組快取鍵，不會因為任意日期而無限增加
+function getDateWindow(mode, query) {
+  const parseDate = value => {
+    const today = new Date();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? new Date(`${value}T00:00:00Z`) : today;
+    if (Number.isNaN(date.getTime())) return today;
+    const limit = MAX_CUSTOM_OFFSET_DAYS * 24 * 60 * 60 * 1000;
+    return new Date(Math.min(Math.max(date.getTime(), today.getTime() - limit), today.getTime() + limit));
+  };
+  const shift = (date, days) => {
+    const shifted = new Date(date);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().split('T')[0];
+  };
+  const isToday = date => shift(date, 0) === shift(new Date(), 0);
+  // 0 = 週一 … 6 = 週日
+  const weekday = date => (date.getUTCDay() + 6) % 7;
+
+  if (mode === 'past') {
+    const end = parseDate(query.end);
+    const offset = isToday(end) ? 0 : 6 - weekday(end);
+    return { from: shift(end, offset - PAST_DAYS), to: shift(end, offset) };
+  }
+  const start = parseDate(query.start);
+  const offset = isToday(start) ? 0 : -weekday(start);
+  return { from: shift(start, offset), to: shift(start, offset + 6) };
+}
+
+function applyAnalysis(events, analysisById) {
+  for (const event of events) {
+    const analysis = analysisById.get(event.id);
+    if (!analysis) continue;
+    event.aiAnalysis = analysis.aiAnalysis;
+    event.provenance.aiAnalysis = 'ai';
+    if (event.actual && analysis.surpriseNote) {
+      event.surpriseNote = analysis.surpriseNote;
+      event.provenance.surpriseNote = 'ai';
+    }
+  }
+}
+
+// 自訂區間不呼叫 AI，只從預設區間的快取帶入同一事件已有的分析
+async function copyCachedAnalysis(store, events) {
+  const analysisById = new Map();
+  for (const mode of ['upcoming', 'past']) {
+    const cached = await getCachedCalendar(store, { mode });
+    for (const event of cached?.payload.events || []) {
+      if (event.provenance?.aiAnalysis === 'ai') analysisById.set(event.id, event);
+    }
+  }
+  applyAnalysis(events, analysisById);
+  return { validation: null, analysisError: null };
+}
+
+// 事件與數值一律來自資料來源，AI 只補上 aiAnalysis（已公布者另補 surpriseNote），並在 provenance 標記為 'ai'
+async function annotateEvents(store, events) {
+  const provider = getProvider();
+  if (!provider || events.length === 0) return { validation: null, analysisError: provider ? null : '缺少 AI 設定' };
+  if (await getDailyCount(store, 'calendar') >= MAX_DAILY_REQUESTS) {
+    return { validation: null, analysisError: '已達每日 AI 分析上限' };
+  }
+  if ((await getBudgetStatus(store)).exceeded) {
+    return { validation: null, analysisError: '已超過 AI 預算，暫停分析' };
+  }
+
+  const eventList = events.map(event =>
+    `id: ${event.id}\n日期: ${event.date}${event.time ? ` ${event.time}` : ''}\n事件: ${event.event}${event.country ? `（${event.country}）` : ''}\n前值: ${event.previous ?? '無'}\n市場預期: ${event.forecast ?? '無'}${event.actual ? `\n公布值: ${event.actual}` : ''}${event.surprise ? `\n意外幅度: ${event.surprise.label}` : ''}`
+  ).join('\n\n---\n\n');
+
+  try {
+    await incrementDailyCount(store, 'calendar');
+    const { items, repaired, dropped } = await completeValidated(
+      `以下是已排定的全球經濟事件與來源提供的數據。請不要新增或修改事件、日期與數值，只需為每個事件撰寫 AI 影響分析（50-100字，分析對市場的影響）。
+已有公布值的事件，另外提供 surpriseNote（30-60字），說明實際值與市場預期的落差代表什麼、市場可能如何解讀。
+
+${eventList}
+
+請以 JSON 陣列格式回應（不要包含 markdown 標記），id 必須與上方一致：
+[{"id":"...","aiAnalysis":"分析內容","surpriseNote":"僅已公布事件需要"}]`,
+      buildAnalysisSchema(events.map(event => event.id)),
+      {
+        provider,
+        system: '你是一個專業的財經分析助手。請根據給定的經濟事件與數據撰寫市場影響分析。',
+        key: item => item.id,
+        onUsage: trackUsage(store, 'calendar')
+      }
+    );
+
+    applyAnalysis(events, new Map(items.map(item => [item.id, item])));
+    return { validation: { repaired, dropped }, analysisError: null };
+  } catch (error) {
+    console.error('AI 日曆分析失敗:', error);
+    return { validation: null, analysisError: error.message };
+  }
+}
+
+// 靜態經濟日曆（備用）：只列常見事件類型，不附數值，避免把編造的前值/預測當成真實數據
+export function getStaticCalendar() {
+  const today = new Date();
+  const events = [];
+  
+  const staticEvents = [
+    {
+      daysOffset: 0,
+      event: "美國初領失業金人數",
+      importance: "high",
+      aiAnalysis: "若數據高於預期，可能強化聯準會鴿派立場，利好股市；低於預期則相反。"
+    },
+    {
+      daysOffset: 1,
+      event: "歐元區 CPI 年率終值",
+      importance: "medium",
+      aiAnalysis: "通膨數據符合預期將支持歐洲央行繼續降息，利好歐股和歐元。"
+    },
+    {
+      daysOffset: 3,
+      event: "美國 GDP 季率初值",
+      importance: "high",
+      aiAnalysis: "GDP 放緩符合軟著陸預期，但若大幅低於 2.5% 可能引發衰退擔憂。"
+    },
+    {
+      daysOffset: 4,
+      event: "中國官方製造業 PMI",
+      importance: "medium",
+      aiAnalysis: "PMI 持續擴張顯示中國經濟復甦動能，利好 A 股和港股。"
+    },
+    {
+      daysOffset: 5,
+      event: "美國非農就業人數",
+      importance: "high",
+      aiAnalysis: "就業數據放緩支持聯準會降息預期，但需關注薪資增長是否同步放緩。"
+    }
+  ];
+
+  staticEvents.forEach(event => {
+    const eventDate = new Date(today);
+    eventDate.setDate(today.getDate() + event.daysOffset);
+    
+    const date = eventDate.toISOString().split('T')[0];
+    events.push({
+      // 與 CALENDAR_SOURCES 的事件相同的 id，分享連結與提醒的去重都依賴它
+      id: eventId(date, event.event),
+      date,
+      event: event.event,
+      importance: event.importance,
+      previous: null,
+      forecast: null,
+      actual: null,
+      surprise: null,
+      aiAnalysis: event.aiAnalysis,
+      surpriseNote: null,
+      provenance: { event: 'static', date: 'static', aiAnalysis: 'static' }
+    });
+  });
+
+  return events;
+}
@@ -0,0 +1,63 @@
+// lib/calendar/index.js - 經濟日曆資料來源：讀取 CALENDAR_SOURCES 設定的 ICS / CSV / JSON feed
+
+import path from 'node:path';
+import { readLocation, locationName } from '../read-location.js';
+import { parseICS } from './sources/ics.js';
+import { parseCSV } from './sources/csv.js';
+import { parseJSONFeed } from './sources/json.js';
+import { mergeEvents } from './normalize.js';
+import { computeSurprise } from './surprise.js';
+
+const PARSERS = {
+  ics: parseICS,
+  csv: parseCSV,
+  json: parseJSONFeed
+};
+
+/**
+ * CALENDAR_SOURCES 以逗號分隔，每項為 `類型:位置`，位置可為 URL 或相對專案根目錄的檔案，例如
+ * `ics:https://example.com/calendar.ics,csv:data/calendar/sample.csv`。
+ * 未寫類型時依副檔名判斷。
+ */
+export function parseSourceList(value = '') {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(ics|csv|json):(.+)$/i);
+      if (match) return { type: match[1].toLowerCase(), location: match[2] };
+      const extension = path.extname(entry.split('?')[0]).slice(1).toLowerCase();
+      return { type: extension, location: entry };
+    });
+}
+
+/**
+ * 讀取所有來源並合併，只保留 [from, to] 範圍內（含）且非低重要性的事件；已公布者附上 surprise。
+ * 單一來源失敗不影響其他來源，錯誤收集在 errors 裡回報。
+ */
+export async function loadCalendarEvents({ from, to, sources = process.env.CALENDAR_SOURCES } = {}) {
+  const sourceList = parseSourceList(sources);
+  const errors = [];
+
+  const results = await Promise.all(sourceList.map(async ({ type, location }) => {
+    const parse = PARSERS[type];
+    if (!parse) {
+      errors.push({ source: location, error: `不支援的來源類型: ${type || '未知'}` });
+      return [];
+    }
+    try {
+      return parse(await readLocation(location), locationName(location));
+    } catch (error) {
+      errors.push({ source: location, error: error.message });
+      return [];
+    }
+  }));
+
+  const events = mergeEvents(results.flat())
+    .filter(event => (!from || event.date >= from) && (!to || event.date <= to))
+    .filter(event => event.importance !== 'low')
+    .map(event => ({ ...event, surprise: computeSurprise(event) }));
+
+  return { events, errors, configured: sourceList.length > 0 };
+}
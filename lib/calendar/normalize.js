@@ -0,0 +1,87 @@
+// lib/calendar/normalize.js - 各來源事件統一成同一種格式
+
+import { createHash } from 'node:crypto';
+
+const IMPORTANCE_ALIASES = {
+  high: 'high', h: 'high', '3': 'high', '高': 'high',
+  medium: 'medium', med: 'medium', m: 'medium', '2': 'medium', '中': 'medium',
+  low: 'low', l: 'low', '1': 'low', '低': 'low'
+};
+
+// 來源可能提供的數值欄位；consensus 與 forecast 同義
+const VALUE_FIELDS = ['previous', 'forecast', 'actual'];
+
+export function normalizeImportance(value) {
+  if (value === undefined || value === null || value === '') return 'medium';
+  return IMPORTANCE_ALIASES[String(value).trim().toLowerCase()] || 'medium';
+}
+
+export function eventId(date, name) {
+  const hash = createHash('sha1').update(`${date}|${name.trim().toLowerCase()}`).digest('hex');
+  return `${date}-${hash.slice(0, 8)}`;
+}
+
+function clean(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' || text === '-' || text === '—' ? null : text;
+}
+
+/**
+ * raw 欄位：date、time、country、event、importance、previous、forecast/consensus、actual。
+ * 缺日期或事件名稱的項目回傳 null。
+ */
+export function normalizeEvent(raw, sourceName) {
+  const date = clean(raw.date);
+  const name = clean(raw.event);
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || !name) return null;
+
+  const values = {
+    previous: clean(raw.previous),
+    forecast: clean(raw.forecast ?? raw.consensus),
+    actual: clean(raw.actual)
+  };
+
+  const provenance = { event: 'source', date: 'source' };
+  for (const field of VALUE_FIELDS) {
+    if (values[field] !== null) provenance[field] = 'source';
+  }
+
+  return {
+    id: eventId(date, name),
+    date,
+    time: clean(raw.time),
+    country: clean(raw.country),
+    event: name,
+    importance: normalizeImportance(raw.importance),
+    ...values,
+    aiAnalysis: null,
+    surpriseNote: null,
+    source: sourceName,
+    provenance
+  };
+}
+
+/**
+ * 同一天同名事件視為同一筆：先出現的來源優先，後面的來源只補空欄位。
+ */
+export function mergeEvents(events) {
+  const byId = new Map();
+  for (const event of events) {
+    const existing = byId.get(event.id);
+    if (!existing) {
+      byId.set(event.id, { ...event, provenance: { ...event.provenance } });
+      continue;
+    }
+    for (const field of [...VALUE_FIELDS, 'time', 'country']) {
+      if (existing[field] === null && event[field] !== null) {
+        existing[field] = event[field];
+        if (VALUE_FIELDS.includes(field)) existing.provenance[field] = 'source';
+      }
+    }
+    if (!existing.source.split(', ').includes(event.source)) {
+      existing.source = `${existing.source}, ${event.source}`;
+    }
+  }
+  return [...byId.values()].sort((a, b) => (a.date + (a.time || '')).localeCompare(b.date + (b.time || '')));
+}
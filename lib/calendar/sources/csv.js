@@ -0,0 +1,71 @@
+// lib/calendar/sources/csv.js - CSV 匯入（第一列為欄位名稱）
+
+import { normalizeEvent } from '../normalize.js';
+
+const HEADER_ALIASES = {
+  date: 'date', '日期': 'date',
+  time: 'time', '時間': 'time',
+  country: 'country', '國家': 'country',
+  event: 'event', title: 'event', name: 'event', '事件': 'event',
+  importance: 'importance', impact: 'importance', '重要性': 'importance',
+  previous: 'previous', prior: 'previous', '前值': 'previous',
+  forecast: 'forecast', consensus: 'forecast', '預測': 'forecast',
+  actual: 'actual', '公布值': 'actual'
+};
+
+// RFC 4180：雙引號包住的欄位可含逗號、換行，"" 代表一個引號
+export function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+export function parseCSV(text, sourceName = 'csv') {
+  const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const columns = header.map(name => HEADER_ALIASES[name.trim().toLowerCase()] || null);
+
+  return rows
+    .map(cells => {
+      const raw = {};
+      columns.forEach((field, i) => {
+        if (field) raw[field] = cells[i];
+      });
+      return normalizeEvent(raw, sourceName);
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,118 @@
+// lib/calendar/sources/ics.js - iCal/ICS 經濟日曆解析
+
+import { normalizeEvent } from '../normalize.js';
+
+// 常見財經日曆會把數值放在 X- 屬性或 DESCRIPTION 的「Previous: …」行裡
+const DESCRIPTION_FIELDS = {
+  previous: /^(previous|prior|前值)\s*[:：]\s*(.+)$/i,
+  forecast: /^(consensus|forecast|預測|預期)\s*[:：]\s*(.+)$/i,
+  actual: /^(actual|公布值|實際)\s*[:：]\s*(.+)$/i,
+  country: /^(country|國家)\s*[:：]\s*(.+)$/i,
+  importance: /^(importance|impact|重要性)\s*[:：]\s*(.+)$/i
+};
+
+function unfoldLines(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function parseProperty(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(';');
+  const parameters = {};
+  for (const param of params) {
+    const [key, value] = param.split('=');
+    parameters[key.toUpperCase()] = value;
+  }
+  return { name: name.toUpperCase(), parameters, value: line.slice(colon + 1) };
+}
+
+// UTC 時間（…Z）轉成 ISO 日期與 HH:MM；帶 TZID 或浮動時間則照字面取用
+function parseDateTime(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return { date: null, time: null };
+  const [, year, month, day, hour, minute, , utc] = match;
+  if (hour && utc) {
+    const iso = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute)).toISOString();
+    return { date: iso.slice(0, 10), time: `${iso.slice(11, 16)} UTC` };
+  }
+  return { date: `${year}-${month}-${day}`, time: hour ? `${hour}:${minute}` : null };
+}
+
+function priorityToImportance(priority) {
+  const value = Number(priority);
+  if (!value) return undefined;
+  if (value <= 4) return 'high';
+  if (value === 5) return 'medium';
+  return 'low';
+}
+
+export function parseICS(text, sourceName = 'ics') {
+  const events = [];
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) {
+        const event = normalizeEvent(current, sourceName);
+        if (event) events.push(event);
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const property = parseProperty(line);
+    if (!property) continue;
+    const value = unescapeText(property.value);
+
+    switch (property.name) {
+      case 'DTSTART': {
+        const { date, time } = parseDateTime(property.value);
+        current.date = date;
+        current.time = time && property.parameters.TZID ? `${time} ${property.parameters.TZID}` : time;
+        break;
+      }
+      case 'SUMMARY':
+        current.event = value;
+        break;
+      case 'PRIORITY':
+        current.importance ??= priorityToImportance(value);
+        break;
+      case 'DESCRIPTION':
+        for (const descriptionLine of value.split('\n')) {
+          for (const [field, pattern] of Object.entries(DESCRIPTION_FIELDS)) {
+            const match = descriptionLine.trim().match(pattern);
+            if (match) current[field] ??= match[2].trim();
+          }
+        }
+        break;
+      case 'X-PREVIOUS':
+        current.previous = value;
+        break;
+      case 'X-CONSENSUS':
+      case 'X-FORECAST':
+        current.forecast = value;
+        break;
+      case 'X-ACTUAL':
+        current.actual = value;
+        break;
+      case 'X-COUNTRY':
+        current.country = value;
+        break;
+      case 'X-IMPORTANCE':
+        current.importance = value;
+        break;
+    }
+  }
+
+  return events;
+}
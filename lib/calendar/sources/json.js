@@ -0,0 +1,16 @@
+// lib/calendar/sources/json.js - JSON feed（陣列，或 { events: [...] }）
+
+import { normalizeEvent } from '../normalize.js';
+
+export function parseJSONFeed(text, sourceName = 'json') {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data.events || data.items || [];
+
+  return items
+    .map(item => normalizeEvent({
+      ...item,
+      event: item.event ?? item.title ?? item.name,
+      date: item.date ?? item.datetime?.slice(0, 10)
+    }, sourceName))
+    .filter(Boolean);
+}
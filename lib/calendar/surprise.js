@@ -0,0 +1,74 @@
+// lib/calendar/surprise.js - 公布值 vs 預期：解析「14.3萬」「4.1%」「25bp」等字串並計算意外幅度
+
+const MULTIPLIERS = {
+  '萬': 1e4, '万': 1e4, '億': 1e8, '亿': 1e8, '兆': 1e12,
+  k: 1e3, m: 1e6, b: 1e9, t: 1e12
+};
+
+// 差距小於預期值的 0.5% 視為符合預期
+const INLINE_THRESHOLD = 0.005;
+
+/**
+ * 回傳 { value, unit }，unit 為 '%'、'bp' 或 ''（一般數量，已乘上萬/億/K/M 等倍數）。
+ * 無法解析時回傳 null。
+ */
+export function parseValue(text) {
+  if (text === undefined || text === null) return null;
+  const normalized = String(text).replace(/,/g, '').replace(/\s+/g, '').replace(/[−–]/g, '-');
+  const match = normalized.match(/^([+-]?\d+(?:\.\d+)?)(萬|万|億|亿|兆|[kmbt](?![a-z]))?(%|bps?|個基點|基點)?/i);
+  if (!match) return null;
+
+  const [, number, multiplier, unit] = match;
+  let value = Number(number);
+  if (multiplier) value *= MULTIPLIERS[multiplier.toLowerCase()] || MULTIPLIERS[multiplier];
+
+  if (unit === '%') return { value, unit: '%' };
+  if (unit) return { value, unit: 'bp' };
+  return { value, unit: '' };
+}
+
+function toComparable(parsed, unit) {
+  if (parsed.unit === unit) return parsed.value;
+  if (parsed.unit === '%' && unit === 'bp') return parsed.value * 100;
+  if (parsed.unit === 'bp' && unit === '%') return parsed.value / 100;
+  return null;
+}
+
+function formatDiff(diff, unit) {
+  const sign = diff > 0 ? '+' : '';
+  if (unit === '%') return `${sign}${Number(diff.toFixed(2))} 個百分點`;
+  if (unit === 'bp') return `${sign}${Number(diff.toFixed(1))}bp`;
+  if (Math.abs(diff) >= 1e8) return `${sign}${Number((diff / 1e8).toFixed(2))}億`;
+  if (Math.abs(diff) >= 1e4) return `${sign}${Number((diff / 1e4).toFixed(2))}萬`;
+  return `${sign}${Number(diff.toFixed(2))}`;
+}
+
+/**
+ * 事件有 actual 與 forecast 且單位可比較時回傳意外幅度，否則回傳 null。
+ * - diff：實際值 − 預期值（百分比類為百分點）
+ * - relative：diff / |預期值|，作為跨事件比較用的標準化意外幅度
+ * - direction：'above' | 'below' | 'inline'
+ */
+export function computeSurprise(event) {
+  const actual = parseValue(event.actual);
+  const forecast = parseValue(event.forecast);
+  if (!actual || !forecast) return null;
+
+  const unit = forecast.unit;
+  const actualValue = toComparable(actual, unit);
+  if (actualValue === null) return null;
+
+  const diff = actualValue - forecast.value;
+  const relative = forecast.value === 0 ? null : diff / Math.abs(forecast.value);
+  const inline = diff === 0 || (relative !== null && Math.abs(relative) < INLINE_THRESHOLD);
+
+  return {
+    diff: Number(diff.toFixed(6)),
+    unit,
+    relative: relative === null ? null : Number(relative.toFixed(4)),
+    direction: inline ? 'inline' : diff > 0 ? 'above' : 'below',
+    label: inline
+      ? '符合預期'
+      : `${formatDiff(diff, unit)}${relative === null || unit ? '' : `（${relative > 0 ? '+' : ''}${(relative * 100).toFixed(1)}%）`}`
+  };
+}
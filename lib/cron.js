@@ -0,0 +1,58 @@
+// lib/cron.js - 解析五欄位 cron 表示式（UTC，與 Vercel Cron 相同），計算下一次執行時間
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 0 與 7 都代表星期日
+  { name: 'weekday', min: 0, max: 7 }
+];
+
+// 支援 *、數字、a-b 範圍、*/n 與 a-b/n 間隔，以及逗號清單
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`無法解析的 cron ${name} 欄位: ${value}`);
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+    const step = Number(match[4]) || 1;
+    if (start < min || end > max || start > end) throw new Error(`cron ${name} 欄位超出範圍: ${value}`);
+    for (let i = start; i <= end; i += step) allowed.add(name === 'weekday' && i === 7 ? 0 : i);
+  }
+  return allowed;
+}
+
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron 表示式需要 5 個欄位: ${expression}`);
+  const [minute, hour, day, month, weekday] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  return { minute, hour, day, month, weekday, dayRestricted: parts[2] !== '*', weekdayRestricted: parts[4] !== '*' };
+}
+
+/**
+ * 回傳 from 之後（不含）最近一次符合的時間；一年內都沒有則回傳 null。
+ */
+export function nextCronRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const time = new Date(from);
+  time.setUTCSeconds(0, 0);
+
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    time.setUTCMinutes(time.getUTCMinutes() + 1);
+    // 日與星期同時指定時，依 cron 慣例符合其一即可
+    const dayMatch = cron.dayRestricted && cron.weekdayRestricted
+      ? cron.day.has(time.getUTCDate()) || cron.weekday.has(time.getUTCDay())
+      : cron.day.has(time.getUTCDate()) && cron.weekday.has(time.getUTCDay());
+    if (
+      cron.minute.has(time.getUTCMinutes()) &&
+      cron.hour.has(time.getUTCHours()) &&
+      cron.month.has(time.getUTCMonth() + 1) &&
+      dayMatch
+    ) {
+      return time;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,80 @@
+// lib/llm/anthropic.js - Anthropic Messages API 原生介面
+
+import { readSSE } from './stream.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export function createAnthropicProvider({ apiKey, baseUrl, model, maxTokens = 4096 }) {
+  const apiUrl = `${baseUrl.replace(/\/$/, '')}/v1/messages`;
+
+  const post = async ({ system, messages, temperature, stream = false }) => {
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        messages,
+        temperature,
+        ...(stream ? { stream: true } : {})
+      })
+    });
+
+    if (!response.ok) {
+      const errorDetail = await response.text();
+      throw new Error(`Anthropic API 錯誤 (${response.status}): ${errorDetail.substring(0, 50)}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 'anthropic',
+    model,
+    async complete({ system, prompt, temperature = 0.7 }) {
+      const response = await post({ system, messages: [{ role: 'user', content: prompt }], temperature });
+
+      const data = await response.json();
+      const text = (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        text,
+        model: data.model || model,
+        usage: {
+          promptTokens: data.usage?.input_tokens || 0,
+          completionTokens: data.usage?.output_tokens || 0
+        }
+      };
+    },
+
+    async stream({ system, messages, temperature = 0.7 }, onDelta) {
+      const response = await post({ system, messages, temperature, stream: true });
+
+      let text = '';
+      let responseModel = model;
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      for await (const { event, data } of readSSE(response)) {
+        const payload = JSON.parse(data);
+        if (event === 'message_start') {
+          responseModel = payload.message?.model || model;
+          usage.promptTokens = payload.message?.usage?.input_tokens || 0;
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          text += payload.delta.text;
+          onDelta(payload.delta.text);
+        } else if (event === 'message_delta') {
+          usage.completionTokens = payload.usage?.output_tokens || usage.completionTokens;
+        } else if (event === 'error') {
+          throw new Error(`Anthropic API 錯誤: ${payload.error?.message || 'stream error'}`);
+        }
+      }
+      return { text, model: responseModel, usage };
+    }
+  };
+}
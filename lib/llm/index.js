@@ -0,0 +1,217 @@
+// lib/llm/index.js - 共用 AI 供應商層：依環境變數選擇 adapter，對外提供 completeJSON / completeValidated 與串流對話 streamChat
+
+import { createOpenAIProvider } from './openai.js';
+import { createAnthropicProvider } from './anthropic.js';
+import { createOllamaProvider } from './ollama.js';
+import { validateItems } from './validate.js';
+
+const PROVIDERS = {
+  openai: env => env.OPENAI_API_KEY && createOpenAIProvider({
+    apiKey: env.OPENAI_API_KEY,
+    baseUrl: env.API_BASE_URL || 'https://api.openai.com/v1',
+    model: env.AI_MODEL || 'gpt-4o-mini'
+  }),
+  anthropic: env => env.ANTHROPIC_API_KEY && createAnthropicProvider({
+    apiKey: env.ANTHROPIC_API_KEY,
+    baseUrl: env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    model: env.AI_MODEL || 'claude-3-5-haiku-latest'
+  }),
+  ollama: env => createOllamaProvider({
+    baseUrl: env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model: env.AI_MODEL || 'llama3.1'
+  }),
+  // llama.cpp server 走 OpenAI 相容路徑，本機通常不需要金鑰
+  llamacpp: env => createOpenAIProvider({
+    name: 'llamacpp',
+    apiKey: env.LLAMACPP_API_KEY,
+    baseUrl: env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+    model: env.AI_MODEL || 'local'
+  })
+};
+
+/**
+ * 依 AI_PROVIDER 建立 adapter；未指定時依現有金鑰推斷（OpenAI 優先）。
+ * 沒有可用設定時回傳 null。
+ */
+export function getProvider(env = process.env) {
+  let name = (env.AI_PROVIDER || '').toLowerCase();
+  if (!name) {
+    if (env.OPENAI_API_KEY) name = 'openai';
+    else if (env.ANTHROPIC_API_KEY) name = 'anthropic';
+    else return null;
+  }
+
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`不支援的 AI_PROVIDER: ${name}`);
+  return factory(env) || null;
+}
+
+export function describeMissingConfig(env = process.env) {
+  const name = (env.AI_PROVIDER || '').toLowerCase();
+  if (name === 'anthropic') return '缺少 ANTHROPIC_API_KEY';
+  if (name === 'openai') return '缺少 OPENAI_API_KEY';
+  return '缺少 AI 設定（OPENAI_API_KEY / ANTHROPIC_API_KEY 或 AI_PROVIDER）';
+}
+
+// 每次呼叫（含修正輪）都回報用量；記帳失敗不影響 AI 回應本身
+async function callProvider(provider, request, onUsage, run = () => provider.complete(request)) {
+  const startedAt = Date.now();
+  const report = async record => {
+    if (!onUsage) return;
+    try {
+      await onUsage({ provider: provider.name, latencyMs: Date.now() - startedAt, ...record });
+    } catch (error) {
+      console.error('AI 用量記錄失敗:', error);
+    }
+  };
+
+  try {
+    const result = await run();
+    await report({ model: result.model, ...result.usage });
+    return result;
+  } catch (error) {
+    await report({ model: provider.model, promptTokens: 0, completionTokens: 0, error: error.message });
+    throw error;
+  }
+}
+
+// 模型常在 JSON 外包 markdown 程式碼區塊
+export function parseJSON(text) {
+  const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  return JSON.parse(cleanedText);
+}
+
+/**
+ * 送出提示並解析為 JSON。schema 採 JSON Schema 子集，
+ * 支援結構化輸出的 adapter（Ollama）會直接帶上，其餘只檢查最外層型別。
+ * options.onUsage(record) 會收到 provider / model / token 數 / latencyMs。
+ */
+export async function completeJSON(prompt, schema, options = {}) {
+  const provider = options.provider || getProvider();
+  if (!provider) throw new Error(describeMissingConfig());
+
+  const result = await callProvider(provider, {
+    system: options.system,
+    prompt,
+    temperature: options.temperature,
+    schema
+  }, options.onUsage);
+
+  const data = parseJSON(result.text);
+  if (schema?.type === 'array' && !Array.isArray(data)) {
+    throw new Error('AI 回應格式錯誤：預期為陣列');
+  }
+  if (schema?.type === 'object' && (typeof data !== 'object' || data === null || Array.isArray(data))) {
+    throw new Error('AI 回應格式錯誤：預期為物件');
+  }
+  return data;
+}
+
+function buildRepairPrompt(originalPrompt, previousText, problems, single) {
+  return `${originalPrompt}
+
+---
+你上一次的回應如下：
+${previousText}
+
+其中有以下問題：
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+${single
+  ? '請修正以上問題，重新回傳完整的 JSON 物件，不要包含 markdown 標記或任何說明文字。'
+  : '請修正以上問題，重新回傳「完整」的 JSON 陣列（包含原本正確的項目），不要包含 markdown 標記或任何說明文字。'}`;
+}
+
+/**
+ * 逐項驗證陣列輸出；有不合格項目時送出一次「修正」提示，仍不合格者捨棄。
+ * options.key(item) 用來辨識項目（例如新聞的 index），回報 repaired / dropped 時使用。
+ * 兩輪都沒有任何可用項目才拋出錯誤，交給呼叫端改用備用資料。
+ * schema 為單一物件時視為只有一項的陣列處理，結果同樣放在 items[0]。
+ */
+export async function completeValidated(prompt, schema, options = {}) {
+  const provider = options.provider || getProvider();
+  if (!provider) throw new Error(describeMissingConfig());
+
+  const keyOf = (item, position) => {
+    const key = item && typeof item === 'object' ? options.key?.(item) : undefined;
+    return key ?? `#${position + 1}`;
+  };
+  const describe = ({ item, position, errors }) => ({ key: keyOf(item, position), errors });
+  // 沒有 key 時以原始回應中的位置辨識，不能用 valid 陣列內的索引
+  const validKeys = pass => pass.valid.map((item, index) => keyOf(item, pass.validPositions[index]));
+  const single = schema.type === 'object';
+  const itemsSchema = single ? { type: 'array', items: schema } : schema;
+  const ask = askPrompt => callProvider(provider, {
+    system: options.system,
+    prompt: askPrompt,
+    temperature: options.temperature,
+    schema
+  }, options.onUsage);
+  const check = text => {
+    try {
+      const data = parseJSON(text);
+      return { ...validateItems(single && !Array.isArray(data) ? [data] : data, itemsSchema), parseError: null };
+    } catch (error) {
+      return { valid: [], validPositions: [], invalid: [], parseError: `無法解析 JSON：${error.message}` };
+    }
+  };
+
+  const first = await ask(prompt);
+  const firstPass = check(first.text);
+  if (!firstPass.parseError && firstPass.invalid.length === 0) {
+    return { items: firstPass.valid, repaired: [], dropped: [] };
+  }
+
+  const problems = firstPass.parseError
+    ? [firstPass.parseError]
+    : firstPass.invalid.map(({ item, position, errors }) => `第 ${position + 1} 項（${keyOf(item, position)}）：${errors.join('；')}`);
+
+  let secondPass = null;
+  try {
+    const second = await ask(buildRepairPrompt(prompt, first.text, problems, single));
+    secondPass = check(second.text);
+  } catch (error) {
+    console.error('AI 修正請求失敗:', error);
+  }
+
+  if (!secondPass || secondPass.parseError || secondPass.valid.length === 0) {
+    if (firstPass.valid.length === 0) {
+      throw new Error(`AI 回應驗證失敗：${problems[0]}`);
+    }
+    return { items: firstPass.valid, repaired: [], dropped: firstPass.invalid.map(describe) };
+  }
+
+  // 修正輪以新結果為準，但保留第一輪正確、修正輪卻漏掉的項目
+  const firstKeys = validKeys(firstPass);
+  const secondKeys = validKeys(secondPass);
+  const items = [
+    ...secondPass.valid,
+    ...firstPass.valid.filter((item, index) => !secondKeys.includes(firstKeys[index]))
+  ];
+
+  return {
+    items,
+    repaired: secondKeys.filter(key => !firstKeys.includes(key)),
+    dropped: secondPass.invalid.map(describe)
+  };
+}
+
+/**
+ * 多輪對話並以串流回傳文字：messages 為 [{ role: 'user' | 'assistant', content }]，每段文字交給 options.onDelta。
+ * adapter 沒有 stream 時改用 complete，整段回答一次送出。回傳 { text, model }。
+ */
+export async function streamChat(messages, options = {}) {
+  const provider = options.provider || getProvider();
+  if (!provider) throw new Error(describeMissingConfig());
+  const request = { system: options.system, messages, temperature: options.temperature };
+  const onDelta = options.onDelta || (() => {});
+
+  const result = await callProvider(provider, request, options.onUsage, async () => {
+    if (provider.stream) return provider.stream(request, onDelta);
+    const prompt = messages.map(message => `${message.role === 'assistant' ? '助理' : '使用者'}：${message.content}`).join('\n\n');
+    const completed = await provider.complete({ system: options.system, prompt, temperature: options.temperature });
+    onDelta(completed.text);
+    return completed;
+  });
+  return { text: result.text, model: result.model };
+}
@@ -0,0 +1,82 @@
+// lib/llm/ollama.js - 本機 Ollama 原生 /api/chat 介面
+
+import { readJSONLines } from './stream.js';
+
+export function createOllamaProvider({ baseUrl, model }) {
+  const apiUrl = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+
+  return {
+    name: 'ollama',
+    model,
+    async complete({ system, prompt, temperature = 0.7, schema }) {
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          messages: [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            { role: 'user', content: prompt }
+          ],
+          // 新版 Ollama 接受 JSON Schema 作為結構化輸出，舊版只認 'json'
+          format: schema || 'json',
+          stream: false,
+          options: { temperature }
+        })
+      });
+
+      if (!response.ok) {
+        const errorDetail = await response.text();
+        throw new Error(`Ollama 錯誤 (${response.status}): ${errorDetail.substring(0, 50)}`);
+      }
+
+      const data = await response.json();
+      return {
+        text: data.message?.content || '',
+        model: data.model || model,
+        usage: {
+          promptTokens: data.prompt_eval_count || 0,
+          completionTokens: data.eval_count || 0
+        }
+      };
+    },
+
+    // 串流回答是自由文字，不指定 format
+    async stream({ system, messages, temperature = 0.7 }, onDelta) {
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+          stream: true,
+          options: { temperature }
+        })
+      });
+
+      if (!response.ok) {
+        const errorDetail = await response.text();
+        throw new Error(`Ollama 錯誤 (${response.status}): ${errorDetail.substring(0, 50)}`);
+      }
+
+      let text = '';
+      let last = {};
+      for await (const chunk of readJSONLines(response)) {
+        const delta = chunk.message?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        last = chunk;
+      }
+      return {
+        text,
+        model: last.model || model,
+        usage: {
+          promptTokens: last.prompt_eval_count || 0,
+          completionTokens: last.eval_count || 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,99 @@
+// lib/llm/openai.js - OpenAI 相容介面（官方 API、中轉站、llama.cpp server 皆適用）
+
+import { readSSE } from './stream.js';
+
+// 部分中轉站在 Cloudflare 後面，不帶瀏覽器 UA 會被擋
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+export function normalizeBaseUrl(url) {
+  let baseUrl = url;
+  if (baseUrl.endsWith('/')) baseUrl = baseUrl.slice(0, -1);
+  if (!baseUrl.includes('/v1')) baseUrl += '/v1';
+  return baseUrl;
+}
+
+export function createOpenAIProvider({ name = 'openai', apiKey, baseUrl, model }) {
+  const apiUrl = `${normalizeBaseUrl(baseUrl)}/chat/completions`;
+
+  const post = async body => {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': BROWSER_USER_AGENT
+    };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    const response = await fetch(apiUrl, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!response.ok) {
+      const errorDetail = await response.text();
+      if (errorDetail.includes('<!DOCTYPE html>')) {
+        throw new Error('被 Cloudflare 攔截。請檢查中轉站地址。');
+      }
+      throw new Error(`AI API 錯誤 (${response.status}): ${errorDetail.substring(0, 50)}`);
+    }
+    return response;
+  };
+
+  return {
+    name,
+    model,
+    async complete({ system, prompt, temperature = 0.7 }) {
+      const response = await post({
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content: prompt }
+        ],
+        temperature
+      });
+
+      const data = await response.json();
+      // 部分中轉站出錯時仍回傳 200，內容只有 { error }
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error(`AI API 錯誤: ${data.error?.message || '回應中沒有 choices'}`);
+      }
+      return {
+        text,
+        model: data.model || model,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens || 0,
+          completionTokens: data.usage?.completion_tokens || 0
+        }
+      };
+    },
+
+    // messages 為多輪對話 [{ role: 'user' | 'assistant', content }]；每段文字交給 onDelta
+    async stream({ system, messages, temperature = 0.7 }, onDelta) {
+      const response = await post({
+        model,
+        messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages],
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+
+      let text = '';
+      let responseModel = model;
+      let usage = null;
+      for await (const { data } of readSSE(response)) {
+        if (data === '[DONE]') break;
+        const chunk = JSON.parse(data);
+        if (chunk.model) responseModel = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+      return {
+        text,
+        model: responseModel,
+        usage: {
+          promptTokens: usage?.prompt_tokens || 0,
+          completionTokens: usage?.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
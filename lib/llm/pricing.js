@@ -0,0 +1,47 @@
+// lib/llm/pricing.js - 模型價格表（每百萬 token），可用 AI_PRICE_TABLE 覆寫或新增
+
+// 預設為各家公告的美元牌價；本機模型（Ollama / llama.cpp）不計費
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 }
+};
+
+const FREE_PROVIDERS = ['ollama', 'llamacpp'];
+
+/**
+ * AI_PRICE_TABLE 為 JSON，例如 {"gpt-4o-mini":{"input":4.5,"output":18}}；
+ * 幣別需與 AI_BUDGET_CURRENCY 一致（換成新台幣時整張表一起換算）。
+ */
+export function getPriceTable(env = process.env) {
+  if (!env.AI_PRICE_TABLE) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(env.AI_PRICE_TABLE) };
+  } catch (error) {
+    console.error('AI_PRICE_TABLE 不是有效的 JSON，改用預設價格表:', error.message);
+    return DEFAULT_PRICES;
+  }
+}
+
+// 模型名稱常帶日期或 -latest 後綴，找不到完全相符時取最長的前綴
+function findPrice(table, model) {
+  if (table[model]) return table[model];
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * 回傳估計費用；價格表沒有該模型時 cost 為 null（仍會記錄 token 數）。
+ */
+export function estimateCost({ provider, model, promptTokens, completionTokens }, env = process.env) {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+  const price = findPrice(getPriceTable(env), model || '');
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
@@ -0,0 +1,61 @@
+// lib/llm/stream.js - 讀取供應商的串流回應：SSE（OpenAI、Anthropic）與逐行 JSON（Ollama）
+
+async function* readChunks(response) {
+  const decoder = new TextDecoder();
+  for await (const chunk of response.body) {
+    yield decoder.decode(chunk, { stream: true });
+  }
+}
+
+// 一個以空行結尾的 SSE 區塊；沒有 data 行時回傳 null
+function parseBlock(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  }
+  return data.length ? { event, data: data.join('\n') } : null;
+}
+
+/**
+ * 逐一產生 { event, data } ；data 為原始字串（OpenAI 結尾的 [DONE] 也原樣傳回）。
+ */
+export async function* readSSE(response) {
+  let buffer = '';
+  // 區塊結尾的 \r 可能是 \r\n 被拆到下一個區塊，先保留到下一段（或串流結束）再換行
+  let pendingCR = '';
+  const take = function* () {
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) yield parsed;
+    }
+  };
+  for await (const text of readChunks(response)) {
+    let raw = pendingCR + text;
+    pendingCR = raw.endsWith('\r') ? '\r' : '';
+    if (pendingCR) raw = raw.slice(0, -1);
+    buffer += raw.replace(/\r\n?/g, '\n');
+    yield* take();
+  }
+  if (pendingCR) {
+    buffer += '\n';
+    yield* take();
+  }
+}
+
+export async function* readJSONLines(response) {
+  let buffer = '';
+  for await (const text of readChunks(response)) {
+    buffer += text;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
@@ -0,0 +1,80 @@
+// lib/llm/validate.js - AI 輸出的 schema 驗證（JSON Schema 子集）
+
+/**
+ * 檢查單一值是否符合 schema，回傳錯誤訊息陣列（空陣列代表通過）。
+ * 支援 type / enum / required / properties / items / minimum / maximum / pattern / minLength。
+ */
+export function validateValue(value, schema, path = '') {
+  const errors = [];
+  const at = path || '值';
+
+  if (value === undefined || value === null) {
+    return [`${at} 缺少內容`];
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return [`${at} 應為字串`];
+      if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${at} 內容過短`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} 格式不符`);
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || Number.isNaN(value)) return [`${at} 應為數字`];
+      if (schema.type === 'integer' && !Number.isInteger(value)) return [`${at} 應為整數`];
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} 小於 ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} 大於 ${schema.maximum}`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return [`${at} 應為布林值`];
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return [`${at} 應為陣列`];
+      if (schema.items) {
+        value.forEach((item, i) => errors.push(...validateValue(item, schema.items, `${path}[${i}]`)));
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return [`${at} 應為物件`];
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+          errors.push(`${path ? `${path}.` : ''}${key} 缺少內容`);
+        }
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        if (value[key] === undefined || value[key] === null) continue;
+        errors.push(...validateValue(value[key], propSchema, path ? `${path}.${key}` : key));
+      }
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} 不在允許值內（${schema.enum.join(', ')}）`);
+  }
+
+  return errors;
+}
+
+/**
+ * 逐項驗證陣列輸出，分出可用與不合格的項目，方便只對壞掉的部分要求修正。
+ * validPositions 為各可用項目在原陣列中的位置。
+ */
+export function validateItems(data, schema) {
+  if (!Array.isArray(data)) {
+    return { valid: [], validPositions: [], invalid: [{ position: -1, item: data, errors: ['回應應為 JSON 陣列'] }] };
+  }
+
+  const valid = [];
+  const validPositions = [];
+  const invalid = [];
+  data.forEach((item, position) => {
+    const errors = validateValue(item, schema.items || {});
+    if (errors.length === 0) {
+      valid.push(item);
+      validPositions.push(position);
+    } else {
+      invalid.push({ position, item, errors });
+    }
+  });
+  return { valid, validPositions, invalid };
+}
@@ -0,0 +1,228 @@
+// lib/news/archive.js - 新聞歸檔：每次更新處理過的新聞依發布日（UTC）寫入每日檔案，供回顧與搜尋
+
+import { todayKey } from '../store/index.js';
+import { filterNews } from './taxonomy.js';
+
+const DAYS_KEY = 'archive:days';
+// 新聞 id → 歸檔日期，供單則新聞的網址直接找到所在的每日檔案
+const IDS_KEY = 'archive:ids';
+// 每日檔案與兩個索引都是讀取後整份寫回，排程更新與深度解讀可能同時寫入，以鎖讓寫入依序進行
+const LOCK_KEY = 'lock:archive';
+const LOCK_TTL = 30;
+const LOCK_WAIT = 10000;
+const LOCK_RETRY = 200;
+// 搜尋一次最多讀取的天數，避免單一請求載入整年的資料
+export const MAX_RANGE_DAYS = 92;
+export const DEFAULT_RANGE_DAYS = 30;
+
+function dayKey(date) {
+  return `archive:day:${date}`;
+}
+
+// ARCHIVE_RETENTION_DAYS 未設定時永久保留
+function retentionDays(env = process.env) {
+  const days = Number(env.ARCHIVE_RETENTION_DAYS);
+  return days > 0 ? days : null;
+}
+
+async function withArchiveLock(store, fn) {
+  const deadline = Date.now() + LOCK_WAIT;
+  while (!(await store.setIfAbsent(LOCK_KEY, Date.now(), { ttl: LOCK_TTL }))) {
+    if (Date.now() >= deadline) throw new Error('歸檔正在更新中，請稍後再試');
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY));
+  }
+  try {
+    return await fn();
+  } finally {
+    await store.del(LOCK_KEY);
+  }
+}
+
+function writeDay(store, date, day) {
+  const retention = retentionDays();
+  return store.set(dayKey(date), day, { ttl: retention ? retention * 24 * 60 * 60 : undefined });
+}
+
+export function isArchiveDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return todayKey(shifted);
+}
+
+function archiveDate(item, now) {
+  const published = item.publishedAt ? new Date(item.publishedAt) : null;
+  return published && !Number.isNaN(published.getTime()) ? todayKey(published) : todayKey(now);
+}
+
+// 「N 小時前」只對當下有意義，歸檔時不保存；已附上的深度解讀沿用
+function toArchiveItem(item, previous, now) {
+  const { time, relevance, watchlistNote, noteSource, ...rest } = item;
+  return {
+    ...rest,
+    ...(previous?.deepAnalysis ? { deepAnalysis: previous.deepAnalysis } : {}),
+    archivedAt: previous?.archivedAt || now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+}
+
+function sameContent(a, b) {
+  const content = ({ archivedAt, updatedAt, ...rest }) => JSON.stringify(rest);
+  return content(a) === content(b);
+}
+
+function earliestDate(now = new Date()) {
+  const retention = retentionDays();
+  return retention ? shiftDate(todayKey(now), -retention) : null;
+}
+
+// 移除超過保留期限的日期與 id，並刪除該日檔案（設定 ARCHIVE_RETENTION_DAYS 前寫入的檔案沒有 TTL）
+async function pruneIndexes(store, days, ids, now) {
+  const earliest = earliestDate(now);
+  if (!earliest) return false;
+  const expired = Object.keys(days).filter(date => date < earliest);
+  for (const date of expired) {
+    delete days[date];
+    await store.del(dayKey(date));
+  }
+  let pruned = expired.length > 0;
+  for (const [id, date] of Object.entries(ids)) {
+    if (date >= earliest) continue;
+    delete ids[id];
+    pruned = true;
+  }
+  return pruned;
+}
+
+/**
+ * 將 AI 處理成功的新聞寫入歸檔（備用內容不歸檔）；同一則新聞再次出現時以最新的解讀覆蓋，保留第一次歸檔的時間。
+ * 同時清除索引中超過保留期限的項目。回傳 { added, updated }。
+ */
+export function archiveNews(store, news, { now = new Date() } = {}) {
+  return withArchiveLock(store, () => writeArchive(store, news, now));
+}
+
+async function writeArchive(store, news, now) {
+  const processed = news.filter(item => item.category !== '系統提示');
+  const byDate = new Map();
+  for (const item of processed) {
+    const date = archiveDate(item, now);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(item);
+  }
+
+  let added = 0;
+  let updated = 0;
+  const counts = {};
+  const ids = {};
+  for (const [date, items] of byDate) {
+    const day = (await store.get(dayKey(date))) || {};
+    let changed = false;
+    for (const item of items) {
+      const previous = day[item.id];
+      const next = toArchiveItem(item, previous, now);
+      if (previous && sameContent(previous, next)) continue;
+      day[item.id] = next;
+      changed = true;
+      if (previous) updated++;
+      else {
+        added++;
+        ids[item.id] = date;
+      }
+    }
+    if (changed) await writeDay(store, date, day);
+    counts[date] = Object.keys(day).length;
+  }
+
+  const days = { ...((await store.get(DAYS_KEY)) || {}), ...counts };
+  const allIds = { ...((await store.get(IDS_KEY)) || {}), ...ids };
+  const pruned = await pruneIndexes(store, days, allIds, now);
+  if (added > 0 || pruned) {
+    await store.set(DAYS_KEY, days);
+    await store.set(IDS_KEY, allIds);
+  }
+  return { added, updated };
+}
+
+/**
+ * 把深度解讀附到已歸檔的新聞上（深度解讀快取只保留數天，歸檔後才能在回顧時查看）。
+ */
+export function attachDeepAnalysis(store, item, analysis) {
+  return withArchiveLock(store, async () => {
+    const date = archiveDate(item, new Date());
+    const day = await store.get(dayKey(date));
+    if (!day?.[item.id]) return false;
+    day[item.id] = { ...day[item.id], deepAnalysis: analysis };
+    await writeDay(store, date, day);
+    return true;
+  });
+}
+
+/**
+ * 有歸檔資料的日期與則數，新的在前：[{ date, count }]。
+ */
+export async function getArchiveDays(store, { from, to } = {}) {
+  const days = (await store.get(DAYS_KEY)) || {};
+  const earliest = earliestDate();
+  return Object.entries(days)
+    .filter(([date]) => (!from || date >= from) && (!to || date <= to) && (!earliest || date >= earliest))
+    .map(([date, count]) => ({ date, count }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * 單日的歸檔新聞，依發布時間新到舊排序。
+ */
+export async function getArchiveDay(store, date) {
+  const day = (await store.get(dayKey(date))) || {};
+  return Object.values(day).sort((a, b) => String(b.publishedAt || '').localeCompare(String(a.publishedAt || '')));
+}
+
+/**
+ * 依 id 取得單則歸檔新聞，找不到（或已超過保留期限）時回傳 null。
+ */
+export async function getArchiveItem(store, id) {
+  const date = ((await store.get(IDS_KEY)) || {})[id];
+  if (!date) return null;
+  const day = (await store.get(dayKey(date))) || {};
+  return day[id] || null;
+}
+
+/**
+ * 所有歸檔新聞的 [{ id, date }]，新的在前（供 sitemap 使用，不讀取每日檔案）。
+ */
+export async function getArchivedIds(store) {
+  const ids = (await store.get(IDS_KEY)) || {};
+  const earliest = earliestDate();
+  return Object.entries(ids)
+    .filter(([, date]) => !earliest || date >= earliest)
+    .map(([id, date]) => ({ id, date }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * from / to 未指定時為最近 DEFAULT_RANGE_DAYS 天，區間超過 MAX_RANGE_DAYS 時從 to 往前截斷。
+ */
+export function resolveRange({ from, to }, now = new Date()) {
+  const end = isArchiveDate(to) ? to : todayKey(now);
+  let start = isArchiveDate(from) ? from : shiftDate(end, -(DEFAULT_RANGE_DAYS - 1));
+  if (start > end) start = end;
+  const earliest = shiftDate(end, -(MAX_RANGE_DAYS - 1));
+  return { from: start < earliest ? earliest : start, to: end, clamped: start < earliest };
+}
+
+/**
+ * 在區間內依 filters（分類 / 地區 / 代號 / 關鍵字，與 /api/news 相同）搜尋，回傳依發布時間新到舊排序的新聞。
+ * 只讀取有資料的日期。
+ */
+export async function searchArchive(store, { from, to, filters }) {
+  const days = await getArchiveDays(store, { from, to });
+  const results = [];
+  for (const { date } of days) {
+    results.push(...filterNews(await getArchiveDay(store, date), filters));
+  }
+  return results;
+}
@@ -0,0 +1,106 @@
+// lib/news/dedupe.js - 跨來源新聞合併：網址正規化 + 標題相似度，並依時效與報導家數排序
+
+const TRACKING_PARAMS = /^(utm_|fbclid$|gclid$|mc_cid$|mc_eid$|ref$|ref_src$|cmpid$|taid$|mod$|rss$|feedtype$|outputtype$|__source$)/i;
+
+// 標題 Jaccard 相似度達此門檻即視為同一事件
+const SIMILARITY_THRESHOLD = 0.6;
+// 新鮮度半衰期（小時）與每多一家媒體報導的加分
+const RECENCY_HALF_LIFE_HOURS = 12;
+const COVERAGE_WEIGHT = 0.35;
+
+export function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    parsed.pathname = parsed.pathname.replace(/\/amp\/?$/, '').replace(/\.amp(\.html)?$/, '$1').replace(/\/+$/, '');
+    return `${parsed.hostname}${parsed.pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+// NewsAPI 標題常帶「 - 媒體名稱」尾巴；英文以單字、中日文以雙字元切詞
+function titleTokens(title) {
+  const text = title
+    .replace(/\s[-–—|]\s[^-–—|]{2,40}$/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ');
+
+  const tokens = new Set();
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (/\p{Script=Han}/u.test(word)) {
+      for (let i = 0; i < word.length - 1; i++) tokens.add(word.slice(i, i + 2));
+    } else if (word.length > 2) {
+      tokens.add(word);
+    }
+  }
+  return tokens;
+}
+
+export function titleSimilarity(a, b) {
+  const tokensA = titleTokens(a);
+  const tokensB = titleTokens(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+  let shared = 0;
+  for (const token of tokensA) if (tokensB.has(token)) shared++;
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+/**
+ * 把報導同一事件的文章合併成一則，代表文章取內容最完整的一篇，
+ * sources 列出所有報導的媒體，publishedAt 取最新一篇。
+ */
+export function mergeArticles(articles) {
+  const clusters = [];
+
+  for (const article of articles) {
+    const canonical = canonicalizeUrl(article.url);
+    const cluster = clusters.find(existing =>
+      existing.urls.has(canonical) ||
+      existing.articles.some(other => titleSimilarity(other.title, article.title) >= SIMILARITY_THRESHOLD)
+    );
+    if (cluster) {
+      cluster.urls.add(canonical);
+      cluster.articles.push(article);
+    } else {
+      clusters.push({ urls: new Set([canonical]), articles: [article] });
+    }
+  }
+
+  return clusters.map(({ articles: members }) => {
+    const primary = [...members].sort((a, b) => (b.description?.length || 0) - (a.description?.length || 0))[0];
+    const sources = [];
+    for (const member of members) {
+      if (!sources.some(source => source.name === member.source.name)) {
+        sources.push({ name: member.source.name, url: member.url });
+      }
+    }
+    const timestamps = members
+      .map(member => new Date(member.publishedAt).getTime())
+      .filter(Number.isFinite);
+    const latest = timestamps.length ? new Date(Math.max(...timestamps)).toISOString() : null;
+
+    return {
+      ...primary,
+      urlToImage: primary.urlToImage || members.find(member => member.urlToImage)?.urlToImage || null,
+      publishedAt: latest,
+      canonicalUrl: canonicalizeUrl(primary.url),
+      sources
+    };
+  });
+}
+
+export function rankArticles(articles, now = Date.now()) {
+  const score = article => {
+    const ageHours = article.publishedAt ? Math.max(0, (now - new Date(article.publishedAt)) / 3600000) : 48;
+    return Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS) + COVERAGE_WEIGHT * (article.sources.length - 1);
+  };
+  return articles
+    .map(article => ({ article, score: score(article) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ article }) => article);
+}
@@ -0,0 +1,140 @@
+// lib/news/deep.js - 單則新聞的深度解讀（關鍵數字、多空論點、背景），使用者點開時才抓原文與呼叫 AI
+
+import { completeValidated, getProvider, describeMissingConfig } from '../llm/index.js';
+import { getDailyCount, incrementDailyCount } from '../store/index.js';
+import { getBudgetStatus, trackUsage } from '../usage.js';
+import { getNewsFeed, getArticleContext } from './feed.js';
+import { getFullText } from './fulltext.js';
+import { attachDeepAnalysis } from './archive.js';
+
+const DEEP_TTL = 3 * 24 * 60 * 60;
+const MAX_DAILY_REQUESTS = 100;
+// 解讀欄位有變動時遞增，讓舊快取自然失效
+const DEEP_VERSION = 1;
+
+const DEEP_SCHEMA = {
+  type: 'object',
+  properties: {
+    keyFigures: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string', minLength: 2 },
+          value: { type: 'string', minLength: 1 },
+          note: { type: 'string' }
+        },
+        required: ['label', 'value']
+      }
+    },
+    bullPoints: { type: 'array', items: { type: 'string', minLength: 4 } },
+    bearPoints: { type: 'array', items: { type: 'string', minLength: 4 } },
+    background: { type: 'string', minLength: 20 },
+    takeaway: { type: 'string', minLength: 10 }
+  },
+  required: ['keyFigures', 'bullPoints', 'bearPoints', 'background', 'takeaway']
+};
+
+const inFlight = new Map();
+
+function buildDeepPrompt(item, source) {
+  return `以下是一則財經新聞${source.basis === 'fulltext' ? '的原文全文' : '（只取得摘要，沒有全文）'}。請用繁體中文撰寫深度解讀，以 JSON 物件回應（不要包含 markdown 標記）：
+
+- keyFigures：文中的關鍵數字（最多 6 個），label 為項目名稱（繁體中文），value 必須照抄原文中的數字與單位（例如 "143,000"、"4.5%"），note 為一句說明（與預期或前值比較）
+- bullPoints：對市場或相關標的偏多的論點（2-4 點，每點 20-60 字）
+- bearPoints：偏空或需要留意的風險（2-4 點，每點 20-60 字）
+- background：理解這則新聞需要的背景（80-150 字，可補充一般常識，但不要引用文中沒有的數字）
+- takeaway：一句話結論（20-40 字），不要給個別投資建議
+
+標題：${item.originalTitle || item.title}
+來源：${item.source}（${item.publishedAt}）
+${source.text}
+
+回應格式：{"keyFigures":[{"label":"非農就業人數","value":"143,000","note":"低於預期的 170,000"}],"bullPoints":["..."],"bearPoints":["..."],"background":"...","takeaway":"..."}`;
+}
+
+// 關鍵數字至少要有幾位數字才能確認出處；只有「3」這類數字時幾乎任何原文都找得到
+const MIN_FIGURE_DIGITS = 2;
+
+// 文字中的數字，去除千分位並統一格式（1.50 與 1.5 視為相同）
+function extractNumbers(text) {
+  return (text.replace(/(\d),(?=\d{3})/g, '$1').match(/\d+(?:\.\d+)?/g) || []).map(number => String(Number(number)));
+}
+
+// 關鍵數字只保留原文中確實出現的：每個數字都要與原文中某個完整的數字相同（2 不會因為 2025 而通過），避免模型自行補上數據
+function isGrounded(figure, sourceNumbers) {
+  const numbers = extractNumbers(figure.value);
+  if (!numbers.length || numbers.join('').replace(/\D/g, '').length < MIN_FIGURE_DIGITS) return false;
+  return numbers.every(number => sourceNumbers.has(number));
+}
+
+async function buildDeepAnalysis(store, item) {
+  const context = await getArticleContext(store, String(item.id));
+  const fullText = await getFullText(store, item.id, context?.url || item.url);
+  const fallback = [context?.description, context?.content, `摘要：${item.summary}`].filter(Boolean).join('\n');
+  const source = fullText.text
+    ? { basis: 'fulltext', text: fullText.text }
+    : { basis: 'summary', text: fallback };
+
+  const provider = getProvider();
+  if (!provider) throw new Error(describeMissingConfig());
+  if (await getDailyCount(store, 'deep') >= MAX_DAILY_REQUESTS) throw new Error('今日深度解讀已達上限');
+  if ((await getBudgetStatus(store)).exceeded) throw new Error('已超過 AI 預算，暫停深度解讀');
+
+  await incrementDailyCount(store, 'deep');
+  const { items } = await completeValidated(buildDeepPrompt(item, source), DEEP_SCHEMA, {
+    provider,
+    system: '你是一個專業的財經分析師，擅長從新聞原文整理關鍵數據與多空觀點。只根據提供的內容分析。',
+    onUsage: trackUsage(store, 'deep')
+  });
+  const analysis = items[0];
+  const sourceNumbers = new Set(extractNumbers(source.text));
+  const keyFigures = analysis.keyFigures.filter(figure => isGrounded(figure, sourceNumbers)).slice(0, 6);
+
+  return {
+    id: item.id,
+    title: item.title,
+    keyFigures,
+    bullPoints: analysis.bullPoints.slice(0, 4),
+    bearPoints: analysis.bearPoints.slice(0, 4),
+    background: analysis.background,
+    takeaway: analysis.takeaway,
+    basis: source.basis,
+    extraction: {
+      method: fullText.method,
+      length: fullText.length,
+      truncated: fullText.truncated,
+      error: fullText.error
+    },
+    droppedFigures: analysis.keyFigures.length - keyFigures.length,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * 取得新聞 id 的深度解讀 { analysis, cached }；找不到新聞時回傳 null，AI 不可用或超過額度時拋出。
+ * 同一實例內同時點開同一則時共用一次請求。
+ */
+export async function getDeepAnalysis(store, id) {
+  const cacheKey = `news:deep:v${DEEP_VERSION}:${id}`;
+  const cached = await store.get(cacheKey);
+  if (cached) return { analysis: cached, cached: true };
+
+  const feed = await getNewsFeed(store);
+  const item = feed.payload.news.find(value => String(value.id) === String(id));
+  if (!item) return null;
+
+  if (!inFlight.has(cacheKey)) {
+    inFlight.set(cacheKey, (async () => {
+      try {
+        const analysis = await buildDeepAnalysis(store, item);
+        await store.set(cacheKey, analysis, { ttl: DEEP_TTL });
+        await attachDeepAnalysis(store, item, analysis).catch(error => console.error('深度解讀歸檔失敗:', error));
+        return analysis;
+      } finally {
+        inFlight.delete(cacheKey);
+      }
+    })());
+  }
+  return { analysis: await inFlight.get(cacheKey), cached: false };
+}
@@ -0,0 +1,209 @@
+// lib/news/extract.js - 從新聞網頁 HTML 擷取正文：優先採用 JSON-LD articleBody，否則以 Readability 式評分找出主要內文區塊
+
+import { decodeEntities } from './sources/rss.js';
+
+export const MAX_TEXT_LENGTH = 12000;
+// 段落至少這麼長才列入評分，過濾按鈕、日期、作者列
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_ARTICLE_LENGTH = 200;
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+// 內容（含子元素）一律略過的標籤
+const SKIP_TAGS = new Set(['nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'figcaption', 'iframe', 'object', 'dialog', 'menu']);
+const BLOCK_TAGS = new Set(['p', 'h2', 'h3', 'h4', 'li', 'blockquote', 'pre']);
+const SCORE_TAGS = new Set(['p', 'pre', 'blockquote', 'td']);
+const INLINE_TAGS = new Set(['a', 'abbr', 'b', 'br', 'cite', 'code', 'em', 'i', 'img', 'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u']);
+const TAG_WEIGHTS = { article: 10, main: 5, div: 5, section: 3, pre: 3, td: 3, blockquote: 3, ol: -3, ul: -3, li: -3, dl: -3, form: -3, h1: -5, h2: -5, h3: -5, th: -5 };
+
+const POSITIVE = /article|body|content|entry|main|page|post|story|text/i;
+const NEGATIVE = /\b(comments?|meta|footer|footnote|related|share|sidebar|sponsor|promo|tags|widget)\b/i;
+// 明顯不是內文的區塊整段略過；名稱同時像內文（例如 related-content）時保留，交給評分判斷
+const UNLIKELY = /\b(ad|ads|advert|banner|breadcrumbs?|comments?|cookie|footer|masthead|modal|nav|newsletter|outbrain|paywall|popup|promo|related|share|sharing|sidebar|social|sponsored|subscribe|taboola|toolbar|widget)\b/i;
+const MAYBE_CONTENT = /\b(and|article|body|column|content|main)\b/i;
+const HIDDEN = /(^|\s)hidden(\s|=|\/|$)|display\s*:\s*none|aria-hidden=["']true["']/i;
+
+function attr(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4]) : '';
+}
+
+// 簡化版 HTML 樹：容忍未關閉的標籤（遇到上層的結束標籤時一併關閉），足以支撐內文評分
+function parseTree(html) {
+  const root = { tag: '#root', attrs: '', children: [], parent: null };
+  let current = root;
+  for (const match of html.matchAll(/<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|([^<]+)/g)) {
+    const [, closing, rawTag, attrs, text] = match;
+    if (text !== undefined) {
+      current.children.push(decodeEntities(text));
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      let node = current;
+      while (node !== root && node.tag !== tag) node = node.parent;
+      if (node !== root) current = node.parent;
+      continue;
+    }
+    // 段落與清單項目不能巢狀，新的開頭代表前一個已結束
+    if ((tag === 'p' || tag === 'li') && current.tag === tag) current = current.parent;
+    const node = { tag, attrs, children: [], parent: current };
+    current.children.push(node);
+    if (!VOID_TAGS.has(tag) && !attrs.trim().endsWith('/')) current = node;
+  }
+  return root;
+}
+
+function isSkipped(node) {
+  if (SKIP_TAGS.has(node.tag) || HIDDEN.test(node.attrs)) return true;
+  if (node.tag === 'body' || node.tag === 'article' || node.tag === 'main') return false;
+  const names = `${attr(node.attrs, 'class')} ${attr(node.attrs, 'id')}`;
+  return UNLIKELY.test(names) && !MAYBE_CONTENT.test(names);
+}
+
+function textOf(node, { links = true } = {}) {
+  if (typeof node === 'string') return node;
+  if (isSkipped(node) || (!links && node.tag === 'a')) return '';
+  if (node.tag === 'br') return '\n';
+  return node.children.map(child => textOf(child, { links })).join('');
+}
+
+function clean(text) {
+  return text.replace(/[ \t\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+}
+
+function linkDensity(node) {
+  const length = clean(textOf(node)).length;
+  if (!length) return 1;
+  return 1 - clean(textOf(node, { links: false })).length / length;
+}
+
+// 只含文字與行內元素的 div 視同段落（部分網站以 <br> 分行而不用 <p>）
+function isTextBlock(node) {
+  return (node.tag === 'div' || node.tag === 'section')
+    && node.children.some(child => typeof child === 'string' && child.trim())
+    && node.children.every(child => typeof child === 'string' || INLINE_TAGS.has(child.tag));
+}
+
+function classWeight(node) {
+  const names = `${attr(node.attrs, 'class')} ${attr(node.attrs, 'id')}`;
+  if (attr(node.attrs, 'itemprop') === 'articleBody') return 50;
+  return (POSITIVE.test(names) ? 25 : 0) - (NEGATIVE.test(names) ? 25 : 0);
+}
+
+function* walk(node) {
+  for (const child of node.children) {
+    if (typeof child === 'string' || isSkipped(child)) continue;
+    yield child;
+    yield* walk(child);
+  }
+}
+
+// Readability 的評分方式：每個夠長的段落依逗號數與長度加分給父層（全額）與祖父層（半額），再依連結比例折減
+function findContentNodes(root) {
+  const scores = new Map();
+  const addScore = (node, amount) => {
+    if (!node || node === root) return;
+    if (!scores.has(node)) scores.set(node, (TAG_WEIGHTS[node.tag] || 0) + classWeight(node));
+    scores.set(node, scores.get(node) + amount);
+  };
+
+  for (const node of walk(root)) {
+    if (!SCORE_TAGS.has(node.tag) && !isTextBlock(node)) continue;
+    const text = clean(textOf(node));
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+    const score = 1 + (text.split(/[,，、。]/).length - 1) + Math.min(Math.floor(text.length / 100), 3);
+    addScore(node.parent, score);
+    addScore(node.parent?.parent, score / 2);
+  }
+  if (!scores.size) return [];
+
+  const ranked = [...scores.entries()]
+    .map(([node, score]) => ({ node, score: score * (1 - linkDensity(node)) }))
+    .sort((a, b) => b.score - a.score);
+  const top = ranked[0];
+  const finalScore = new Map(ranked.map(({ node, score }) => [node, score]));
+
+  // 內文被拆成數個相鄰區塊時（例如廣告插在中間），一併收入分數夠高的兄弟節點
+  const threshold = Math.max(10, top.score * 0.2);
+  const siblings = top.node.parent ? top.node.parent.children.filter(child => typeof child !== 'string') : [top.node];
+  return siblings.filter(node => node === top.node || (finalScore.get(node) || 0) >= threshold);
+}
+
+function collectBlocks(node, blocks) {
+  for (const child of node.children) {
+    if (typeof child === 'string' || isSkipped(child)) continue;
+    if (BLOCK_TAGS.has(child.tag) || isTextBlock(child)) {
+      const text = clean(textOf(child));
+      if (text && linkDensity(child) < 0.5) blocks.push(...text.split('\n'));
+    } else {
+      collectBlocks(child, blocks);
+    }
+  }
+  return blocks;
+}
+
+function findArticleBody(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (Array.isArray(value)) return value.map(findArticleBody).find(Boolean) || null;
+  if (typeof value.articleBody === 'string') return value.articleBody;
+  return findArticleBody(value['@graph']) || null;
+}
+
+function jsonLdBody(html) {
+  for (const [, raw] of html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      const body = findArticleBody(JSON.parse(raw.trim()));
+      if (body) return body.split(/\n+/).map(line => clean(decodeEntities(line))).filter(Boolean);
+    } catch {
+      // 部分網站的 JSON-LD 格式錯誤，直接改用 HTML 評分
+    }
+  }
+  return null;
+}
+
+function metaContent(html, names) {
+  for (const name of names) {
+    const match = html.match(new RegExp(`<meta[^>]+(?:property|name)=["']${name}["'][^>]*>`, 'i'));
+    if (match) return attr(match[0], 'content');
+  }
+  return '';
+}
+
+/**
+ * 回傳 { title, text, length, method: 'json-ld' | 'readability', truncated }；找不到足夠長的內文時 text 為空字串。
+ * text 以換行分段並截斷在 maxLength 字以內（以段落為單位）。
+ */
+export function extractArticle(html, { maxLength = MAX_TEXT_LENGTH } = {}) {
+  const structured = jsonLdBody(html);
+  const stripped = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|canvas)[\s>][\s\S]*?<\/\1>/gi, '');
+  const root = parseTree(stripped);
+  // 沒有段落標籤、直接以 <br> 分行的內文，退回整個節點的文字
+  const readability = findContentNodes(root).flatMap(node => {
+    const blocks = collectBlocks(node, []);
+    return blocks.length ? blocks : clean(textOf(node)).split('\n').filter(Boolean);
+  });
+
+  const length = blocks => blocks.reduce((sum, block) => sum + block.length, 0);
+  const useStructured = structured && length(structured) >= length(readability);
+  const blocks = useStructured ? structured : readability;
+
+  const kept = [];
+  let total = 0;
+  for (const block of blocks) {
+    if (total + block.length > maxLength) break;
+    kept.push(block);
+    total += block.length + 1;
+  }
+  const text = length(blocks) >= MIN_ARTICLE_LENGTH ? kept.join('\n') : '';
+  const titleTag = stripped.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  return {
+    title: metaContent(html, ['og:title', 'twitter:title']) || (titleTag ? clean(decodeEntities(titleTag[1])) : ''),
+    text,
+    length: text.length,
+    method: useStructured ? 'json-ld' : 'readability',
+    truncated: kept.length < blocks.length
+  };
+}
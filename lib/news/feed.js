@@ -0,0 +1,167 @@
+// lib/news/feed.js - 新聞集的產生與快取（/api/news、/api/briefing 等共用）
+
+import { getProvider, describeMissingConfig } from '../llm/index.js';
+import { getOrRefresh, getDailyCount } from '../store/index.js';
+import { getBudgetStatus, trackUsage } from '../usage.js';
+import { loadArticles } from './index.js';
+import { processArticles } from './process.js';
+import { archiveNews } from './archive.js';
+import { readMaxAge } from '../schedule.js';
+
+export const NEWS_CACHE_KEY = 'news:feed';
+export const NEWS_CACHE_DURATION = 30 * 60 * 1000; 
+// 原文內容（供 /api/ask 追問時引用），新聞集只保留處理後的摘要
+const ARTICLES_KEY = 'news:articles';
+const MAX_STORED_ARTICLES = 200;
+const MAX_CONTENT_LENGTH = 4000;
+// 逐篇處理後以「篇」計算，已快取的文章不佔額度。原本每天 50 次、每次 9 篇（最多 450 篇），
+// 改為每篇一次後設為 200 篇：足夠每 30 分鐘更新時處理新進的頭條，總量仍低於原本上限
+const MAX_DAILY_REQUESTS = 200; 
+// 每次更新處理的新聞總數（分頁、篩選都在這個範圍內進行）
+const POOL_SIZE = Number(process.env.NEWS_POOL_SIZE) || 27;
+
+/**
+ * 取得目前的新聞集，過期時重新抓取與處理（排程模式下只有排程工作會以 force 重建）。
+ * 回傳 getOrRefresh 的 { payload, timestamp, fromCache }。
+ */
+export function getNewsFeed(store, { force = false } = {}) {
+  return getOrRefresh(store, NEWS_CACHE_KEY, readMaxAge(NEWS_CACHE_DURATION), () => generateNews(store), { force });
+}
+
+/**
+ * 只讀快取中的新聞集（過期也照用），沒有快取時回傳 null；供頁面預先渲染使用，不會觸發 AI 處理。
+ */
+export async function getCachedNewsFeed(store) {
+  const cached = await store.get(NEWS_CACHE_KEY);
+  return cached ? { payload: cached.payload, timestamp: cached.timestamp } : null;
+}
+
+// 快取過期時才會執行；每篇文章各自查快取，只有新文章會送給 AI
+async function generateNews(store) {
+  const quotaReached = await getDailyCount(store, 'news') >= MAX_DAILY_REQUESTS;
+  const budget = await getBudgetStatus(store);
+  const limitMessage = quotaReached ? '已達每日更新上限' : budget.exceeded ? '已超過 AI 預算，暫停更新' : null;
+  const provider = getProvider();
+
+  // 1. 從 NEWS_SOURCES 各來源抓取並合併同一事件的報導（取排序後前 POOL_SIZE 則）
+  const { articles, errors: sourceErrors } = await loadArticles({ limit: POOL_SIZE });
+
+  // 2. AI 處理（供應商由 AI_PROVIDER 決定）
+  const results = await processArticles(articles, {
+    store,
+    provider,
+    onUsage: trackUsage(store, 'news'),
+    dailyLimit: MAX_DAILY_REQUESTS,
+    blockedReason: limitMessage || (provider ? null : describeMissingConfig())
+  });
+
+  const news = results.map(({ id, article, analysis, error }) =>
+    analysis ? createNewsItem(article, id, analysis) : createFallbackItem(article, id, error)
+  );
+  await saveArticleContext(store, results);
+  // 歸檔失敗不影響這次更新，下次更新會再寫入
+  const archived = await archiveNews(store, news).catch(error => {
+    console.error('新聞歸檔失敗:', error);
+    return null;
+  });
+
+  return {
+    news,
+    validation: {
+      processed: results.filter(result => result.analysis && !result.cached).length,
+      reused: results.filter(result => result.cached).length,
+      repaired: results.filter(result => result.repaired).map(result => result.id),
+      dropped: results.filter(result => !result.analysis).map(result => ({ key: result.id, errors: [result.error] }))
+    },
+    sourceErrors,
+    archived,
+    ...(limitMessage ? { message: limitMessage } : {})
+  };
+}
+
+/**
+ * 取得新聞 id 對應的原文 { title, description, content, url, source, publishedAt }；找不到時回傳 null。
+ */
+export async function getArticleContext(store, id) {
+  const articles = await store.get(ARTICLES_KEY);
+  return articles?.[id] || null;
+}
+
+// 新的排前面，保留最近 MAX_STORED_ARTICLES 篇，讓使用者追問稍早的新聞也找得到原文
+async function saveArticleContext(store, results) {
+  const previous = (await store.get(ARTICLES_KEY)) || {};
+  const articles = {};
+  for (const { id, article } of results) {
+    articles[id] = {
+      title: article.title,
+      description: article.description || null,
+      content: article.content ? article.content.substring(0, MAX_CONTENT_LENGTH) : null,
+      url: article.url,
+      source: article.source.name,
+      publishedAt: article.publishedAt
+    };
+  }
+  for (const [id, article] of Object.entries(previous)) {
+    if (Object.keys(articles).length >= MAX_STORED_ARTICLES) break;
+    if (!articles[id]) articles[id] = article;
+  }
+  await store.set(ARTICLES_KEY, articles);
+}
+
+function createNewsItem(article, id, analysis) {
+  return {
+    id,
+    title: analysis.title,
+    source: article.source.name,
+    time: getRelativeTime(article.publishedAt),
+    publishedAt: article.publishedAt,
+    summary: analysis.summary,
+    aiInsight: analysis.aiInsight,
+    category: analysis.category,
+    regions: analysis.regions || [],
+    assets: analysis.assets,
+    tickers: analysis.assets.map(asset => asset.ticker).filter(Boolean),
+    sectors: analysis.sectors,
+    assetClasses: analysis.assetClasses,
+    horizon: analysis.horizon,
+    confidence: analysis.confidence,
+    url: article.url,
+    image: article.urlToImage,
+    originalTitle: article.title,
+    sources: article.sources
+  };
+}
+
+function createFallbackItem(article, id, errorMessage = '') {
+  return {
+    id,
+    title: article.title,
+    source: article.source.name,
+    time: getRelativeTime(article.publishedAt),
+    publishedAt: article.publishedAt,
+    summary: article.description || '請點擊閱讀原文查看詳情',
+    aiInsight: `💡 狀態：${errorMessage}`,
+    category: '系統提示',
+    regions: [],
+    assets: [],
+    tickers: [],
+    sectors: [],
+    assetClasses: [],
+    horizon: null,
+    confidence: null,
+    url: article.url,
+    image: article.urlToImage,
+    originalTitle: article.title,
+    sources: article.sources
+  };
+}
+
+function getRelativeTime(publishedAt) {
+  const now = new Date();
+  const published = new Date(publishedAt);
+  const diffMs = now - published;
+  const diffHours = Math.floor(diffMs / (1000 * 60 * 60));
+  if (diffHours < 1) return '剛剛';
+  if (diffHours < 24) return `${diffHours}小時前`;
+  return published.toLocaleDateString('zh-TW');
+}
@@ -0,0 +1,112 @@
+// lib/news/fulltext.js - 抓取新聞原文網頁並擷取正文（限制大小與逾時），結果依新聞 id 快取
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { extractArticle } from './extract.js';
+import { canonicalizeUrl } from './dedupe.js';
+
+const FETCH_TIMEOUT = 10000;
+const MAX_HTML_BYTES = 1.5 * 1024 * 1024;
+const FULLTEXT_TTL = 3 * 24 * 60 * 60;
+// 失敗（逾時、被擋）只短暫記住，稍後仍可重試
+const FAILURE_TTL = 60 * 60;
+const USER_AGENT = 'Mozilla/5.0 (compatible; AIFinanceHub/1.0; +https://f-url.com/)';
+
+/**
+ * ARTICLE_SOURCE：`web`（預設，直接抓取新聞網址）或 `fixture:<index.json>`（離線用，依網址對應到已存好的 HTML）。
+ */
+export function parseArticleSource(value) {
+  const entry = (value || 'web').trim();
+  const separator = entry.indexOf(':');
+  const type = (separator === -1 ? entry : entry.slice(0, separator)).toLowerCase();
+  return { type, location: separator === -1 ? null : entry.slice(separator + 1) };
+}
+
+function charsetOf(contentType, head) {
+  const match = (contentType || '').match(/charset=([\w-]+)/i) || head.match(/<meta[^>]+charset=["']?([\w-]+)/i);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+// 超過 maxBytes 時停止讀取並保留已讀到的部分（正文通常在頁面前段），truncated 標記為 true
+export async function fetchArticleHtml(url, { timeout = FETCH_TIMEOUT, maxBytes = MAX_HTML_BYTES } = {}) {
+  if (!/^https?:\/\//i.test(url || '')) throw new Error('沒有可抓取的原文網址');
+  const response = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType && !/html|xml/i.test(contentType)) throw new Error(`原文不是網頁（${contentType.split(';')[0]}）`);
+
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+    if (size >= maxBytes) {
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+  }
+
+  const bytes = Buffer.concat(chunks).subarray(0, maxBytes);
+  let decoder;
+  try {
+    decoder = new TextDecoder(charsetOf(contentType, bytes.subarray(0, 2048).toString('latin1')));
+  } catch {
+    decoder = new TextDecoder('utf-8');
+  }
+  return { html: decoder.decode(bytes), truncated };
+}
+
+async function readFixtureHtml(location, url) {
+  const indexPath = path.resolve(process.cwd(), location);
+  const { articles = [] } = JSON.parse(await readFile(indexPath, 'utf8'));
+  const entry = articles.find(article => canonicalizeUrl(article.url) === canonicalizeUrl(url));
+  if (!entry) throw new Error(`fixture 中沒有此網址: ${url}`);
+  return { html: await readFile(path.resolve(path.dirname(indexPath), entry.file), 'utf8'), truncated: false };
+}
+
+export async function loadArticleHtml(url, env = process.env) {
+  const { type, location } = parseArticleSource(env.ARTICLE_SOURCE);
+  if (type === 'fixture') return readFixtureHtml(location || 'data/articles/index.json', url);
+  if (type === 'web') return fetchArticleHtml(url);
+  throw new Error(`不支援的 ARTICLE_SOURCE: ${type}`);
+}
+
+/**
+ * 取得新聞 id 的正文 { text, length, method, truncated, error }；失敗也會短暫快取，避免連續重抓被擋的網站。
+ */
+export async function getFullText(store, id, url) {
+  const cacheKey = `news:fulltext:${id}`;
+  const cached = await store.get(cacheKey);
+  if (cached) return cached;
+
+  let result;
+  try {
+    const { html, truncated } = await loadArticleHtml(url);
+    const extracted = extractArticle(html);
+    result = extracted.text
+      ? { text: extracted.text, length: extracted.length, method: extracted.method, truncated: truncated || extracted.truncated, error: null }
+      : { text: '', length: 0, method: extracted.method, truncated, error: '找不到正文內容（可能需要登入或付費）' };
+  } catch (error) {
+    console.error(`原文擷取失敗 (${url}):`, error.message);
+    result = { text: '', length: 0, method: null, truncated: false, error: error.name === 'TimeoutError' ? '讀取原文逾時' : error.message };
+  }
+  await store.set(cacheKey, result, { ttl: result.error ? FAILURE_TTL : FULLTEXT_TTL });
+  return result;
+}
+
+/**
+ * 只讀快取，不觸發抓取（供 /api/ask 等順帶使用）。
+ */
+export async function getCachedFullText(store, id) {
+  const cached = await store.get(`news:fulltext:${id}`);
+  return cached?.text ? cached : null;
+}
@@ -0,0 +1,58 @@
+// lib/news/index.js - 新聞來源聚合：讀取 NEWS_SOURCES 設定的各來源，去重合併後排序
+
+import { fetchNewsAPI } from './sources/newsapi.js';
+import { fetchRSS } from './sources/rss.js';
+import { fetchFixture } from './sources/fixture.js';
+import { mergeArticles, rankArticles } from './dedupe.js';
+
+const FETCHERS = {
+  newsapi: fetchNewsAPI,
+  rss: fetchRSS,
+  fixture: fetchFixture
+};
+
+/**
+ * NEWS_SOURCES 以逗號分隔：`newsapi`、`rss:<URL 或檔案>`、`fixture:<檔案>`。
+ * 未設定時沿用舊行為，只讀 NewsAPI。
+ */
+export function parseNewsSources(value) {
+  return (value || 'newsapi')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      const type = (separator === -1 ? entry : entry.slice(0, separator)).toLowerCase();
+      return { type, location: separator === -1 ? null : entry.slice(separator + 1) };
+    });
+}
+
+/**
+ * 回傳 { articles, errors }；單一來源失敗只記錄錯誤，全部失敗才拋出。
+ */
+export async function loadArticles({ limit = 9, env = process.env } = {}) {
+  const sources = parseNewsSources(env.NEWS_SOURCES);
+  const errors = [];
+
+  const results = await Promise.all(sources.map(async ({ type, location }) => {
+    const fetcher = FETCHERS[type];
+    const label = location ? `${type}:${location}` : type;
+    if (!fetcher) {
+      errors.push({ source: label, error: `不支援的新聞來源類型: ${type}` });
+      return [];
+    }
+    try {
+      return await fetcher({ location, apiKey: env.NEWS_API_KEY });
+    } catch (error) {
+      errors.push({ source: label, error: error.message });
+      return [];
+    }
+  }));
+
+  const merged = mergeArticles(results.flat());
+  if (merged.length === 0) {
+    throw new Error(errors.length ? `未獲取到新聞內容（${errors.map(e => `${e.source}: ${e.error}`).join('；')}）` : '未獲取到新聞內容');
+  }
+
+  return { articles: rankArticles(merged).slice(0, limit), errors };
+}
@@ -0,0 +1,178 @@
+// lib/news/personalize.js - 依使用者關注清單（代號 / 產業 / 關鍵字）重新排序已處理的新聞，並為相關新聞補一句「對你的關注清單代表什麼」
+
+import { createHash } from 'node:crypto';
+import { completeValidated, getProvider } from '../llm/index.js';
+import { getDailyCount, incrementDailyCount } from '../store/index.js';
+import { getBudgetStatus, trackUsage } from '../usage.js';
+import { normalizeTicker } from './taxonomy.js';
+
+const MAX_TERMS = 30;
+const MAX_TERM_LENGTH = 40;
+const MAX_NOTES = 5;
+const MAX_DAILY_REQUESTS = 100;
+const NOTE_TTL = 24 * 60 * 60;
+
+const WEIGHTS = { ticker: 5, sector: 3, keyword: 2 };
+
+const NOTES_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      note: { type: 'string', minLength: 10 }
+    },
+    required: ['id', 'note']
+  }
+};
+
+function cleanTerms(values) {
+  const list = Array.isArray(values) ? values : String(values || '').split(',');
+  return [...new Set(list.map(value => String(value).trim()).filter(value => value && value.length <= MAX_TERM_LENGTH))]
+    .slice(0, MAX_TERMS);
+}
+
+/**
+ * 從 POST body 或 query 取出關注清單；tickers 以 normalizeTicker 統一格式。
+ */
+export function parseWatchlist(source = {}) {
+  return {
+    tickers: [...new Set(cleanTerms(source.tickers).map(normalizeTicker).filter(Boolean))],
+    sectors: cleanTerms(source.sectors),
+    keywords: cleanTerms(source.keywords)
+  };
+}
+
+export function isEmptyWatchlist(watchlist) {
+  return !watchlist.tickers.length && !watchlist.sectors.length && !watchlist.keywords.length;
+}
+
+// 2330 與 2330.TW 視為同一檔
+function tickerRoot(ticker) {
+  return String(ticker || '').toUpperCase().split('.')[0];
+}
+
+/**
+ * 回傳 { score, matched: { tickers, sectors, keywords } }；代號權重最高，其次產業、關鍵字。
+ */
+export function scoreNews(item, watchlist) {
+  const itemTickers = new Set((item.tickers || []).map(tickerRoot));
+  const itemSectors = (item.sectors || []).map(sector => sector.toLowerCase());
+  const text = [item.title, item.originalTitle, item.summary, item.aiInsight].filter(Boolean).join(' ').toLowerCase();
+
+  const matched = {
+    tickers: watchlist.tickers.filter(ticker => itemTickers.has(tickerRoot(ticker))),
+    sectors: watchlist.sectors.filter(sector => {
+      const term = sector.toLowerCase();
+      return itemSectors.some(itemSector => itemSector.includes(term) || term.includes(itemSector));
+    }),
+    keywords: watchlist.keywords.filter(keyword => text.includes(keyword.toLowerCase()))
+  };
+  const score = matched.tickers.length * WEIGHTS.ticker
+    + matched.sectors.length * WEIGHTS.sector
+    + matched.keywords.length * WEIGHTS.keyword;
+  return { score, matched };
+}
+
+/**
+ * 相關度高的排前面，同分維持原本的排序（新聞集已依時間與重要性排好）。
+ */
+export function rankNews(news, watchlist) {
+  return news
+    .map((item, index) => ({ item, index, relevance: scoreNews(item, watchlist) }))
+    .sort((a, b) => b.relevance.score - a.relevance.score || a.index - b.index)
+    .map(({ item, relevance }) => ({ ...item, relevance }));
+}
+
+// 註解只取決於新聞與「命中的」關注項目，不同使用者命中相同項目時共用同一份快取；
+// id 由文章內容雜湊而來，新聞集重新整理後仍沿用，不必重新產生
+export function noteKey(item) {
+  const { tickers, sectors, keywords } = item.relevance.matched;
+  const signature = createHash('sha1')
+    .update(JSON.stringify([tickers.map(tickerRoot).sort(), [...sectors].sort(), [...keywords].sort()]))
+    .digest('hex')
+    .slice(0, 12);
+  return `news:note:${item.id}:${signature}`;
+}
+
+function describeMatches(matched) {
+  return [...matched.tickers, ...matched.sectors, ...matched.keywords].join('、');
+}
+
+// 沒有 AI 可用時的備用說明：列出命中的項目與新聞對該代號的情緒
+function ruleNote(item) {
+  const { tickers, sectors, keywords } = item.relevance.matched;
+  const parts = tickers.map(ticker => {
+    const asset = (item.assets || []).find(value => tickerRoot(value.ticker) === tickerRoot(ticker));
+    if (!asset) return ticker;
+    const tone = asset.sentiment > 0.2 ? '偏多' : asset.sentiment < -0.2 ? '偏空' : '中性';
+    return `${ticker}（${tone}）`;
+  });
+  return `與你關注的 ${[...parts, ...sectors, ...keywords].join('、')} 相關。`;
+}
+
+/**
+ * 為每則相關新聞補上 watchlistNote：已快取的直接使用，未快取的前 MAX_NOTES 則合併成一次 AI 請求，
+ * 其餘（或 AI 不可用、超過額度、失敗時）改用規則產生的說明（noteSource: 'rule'）。
+ */
+export async function addWatchlistNotes(store, ranked) {
+  const notes = new Map();
+  const pending = [];
+  for (const item of ranked.filter(value => value.relevance.score > 0)) {
+    const cached = await store.get(noteKey(item));
+    if (cached) notes.set(String(item.id), cached);
+    else if (pending.length < MAX_NOTES) pending.push(item);
+  }
+
+  let generated = 0;
+  let skippedReason = null;
+  if (pending.length) {
+    const provider = getProvider();
+    if (!provider) skippedReason = 'no-provider';
+    else if (await getDailyCount(store, 'personalized') >= MAX_DAILY_REQUESTS) skippedReason = 'quota';
+    else if ((await getBudgetStatus(store)).exceeded) skippedReason = 'budget';
+
+    if (!skippedReason) {
+      try {
+        await incrementDailyCount(store, 'personalized');
+        const list = pending.map(item =>
+          `id: ${item.id}\n標題: ${item.title}\n摘要: ${item.summary}\nAI 解讀: ${item.aiInsight}\n使用者關注且相關的項目: ${describeMatches(item.relevance.matched)}`
+        ).join('\n\n');
+        const { items } = await completeValidated(
+          `以下每則新聞都和使用者的關注清單有關。請針對每則新聞，用 30-60 字的繁體中文說明這則新聞對「使用者關注且相關的項目」可能代表什麼（影響方向與需要留意之處），只根據提供的內容，不要給投資建議。
+
+${list}
+
+請以 JSON 陣列回應（不要包含 markdown 標記）：[{"id":"新聞 id","note":"說明"}]`,
+          NOTES_SCHEMA,
+          {
+            provider,
+            system: '你是一個專業的財經分析師，擅長用一兩句話說明新聞對特定標的的影響。',
+            key: item => item.id,
+            onUsage: trackUsage(store, 'personalized')
+          }
+        );
+        const pendingIds = new Map(pending.map(item => [String(item.id), item]));
+        for (const { id, note } of items) {
+          const item = pendingIds.get(String(id));
+          if (!item) continue;
+          notes.set(String(item.id), note);
+          await store.set(noteKey(item), note, { ttl: NOTE_TTL });
+          generated++;
+        }
+      } catch (error) {
+        console.error('關注清單說明產生失敗:', error);
+        skippedReason = 'error';
+      }
+    }
+  }
+
+  const news = ranked.map(item => {
+    if (item.relevance.score === 0) return item;
+    const note = notes.get(String(item.id));
+    return note
+      ? { ...item, watchlistNote: note, noteSource: 'ai' }
+      : { ...item, watchlistNote: ruleNote(item), noteSource: 'rule' };
+  });
+  return { news, generated, skippedReason };
+}
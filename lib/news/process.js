@@ -0,0 +1,128 @@
+// lib/news/process.js - 逐篇 AI 翻譯與解讀：以網址 + 內容雜湊為快取鍵，已處理過的文章直接重用
+
+import { createHash } from 'node:crypto';
+import { completeValidated } from '../llm/index.js';
+import { reserveDailyCount, releaseDailyCount } from '../store/index.js';
+import { mapWithConcurrency } from '../concurrency.js';
+import {
+  CATEGORIES, REGIONS, ASSET_CLASSES, HORIZONS, CONFIDENCE_LEVELS,
+  normalizeCategory, normalizeRegions, normalizeAssets, normalizeAssetClasses, normalizeSectors
+} from './taxonomy.js';
+
+const ARTICLE_TTL = 3 * 24 * 60 * 60;
+const CONCURRENCY = 3;
+// 解讀欄位有變動時遞增，讓舊快取自然失效
+const ANALYSIS_VERSION = 3;
+
+const ARTICLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 2 },
+    summary: { type: 'string', minLength: 2 },
+    aiInsight: { type: 'string', minLength: 2 },
+    // 分類與地區超出固定清單時由 normalizeCategory / normalizeRegions 歸類，不另花一次修正請求
+    category: { type: 'string' },
+    regions: { type: 'array', items: { type: 'string' } },
+    assets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          ticker: { type: 'string' },
+          assetClass: { type: 'string' },
+          // 超出 -1 ~ 1 時由 normalizeAssets 夾回範圍
+          sentiment: { type: 'number' }
+        },
+        required: ['name', 'sentiment']
+      }
+    },
+    sectors: { type: 'array', items: { type: 'string' } },
+    assetClasses: { type: 'array', items: { type: 'string' } },
+    horizon: { type: 'string', enum: HORIZONS },
+    confidence: { type: 'string', enum: CONFIDENCE_LEVELS }
+  },
+  required: ['title', 'summary', 'aiInsight', 'category', 'regions', 'assets', 'horizon', 'confidence']
+};
+
+// 內容改版（標題或摘要變動）也會產生新的雜湊，確保譯文跟得上原文
+export function articleHash(article) {
+  return createHash('sha1')
+    .update(`${article.canonicalUrl || article.url}\n${article.title}\n${article.description || ''}`)
+    .digest('hex');
+}
+
+function buildArticlePrompt(article) {
+  return `請將以下新聞翻譯成繁體中文，並提供 AI 投資解讀。請以 JSON 物件格式回應，不要包含 markdown 標記：
+
+標題: ${article.title}
+內容: ${article.description || article.content?.substring(0, 200) || ''}
+來源: ${article.sources?.map(source => source.name).join('、') || article.source.name}
+
+category 必須是以下其中之一：${CATEGORIES.join('、')}
+regions 列出新聞主要影響的市場，可多選（可為空陣列）：${REGIONS.join('、')}
+assets 列出新聞提到或直接受影響的公司 / 標的（最多 5 個，可為空陣列）：name 為名稱，ticker 為交易代號（台股如 2330.TW，沒有就省略），
+assetClass 為 ${ASSET_CLASSES.join(' / ')} 其中之一，sentiment 為 -1（非常負面）到 1（非常正面）的數字
+sectors 為受影響的產業（繁體中文，最多 5 個），assetClasses 為受影響的資產類別（${ASSET_CLASSES.join(' / ')}）
+horizon 為影響時間：short（數日內）、medium（數週到數月）、long（一年以上）；confidence 為判斷信心：low、medium、high
+
+回應格式：{"title":"...","summary":"...","aiInsight":"...","category":"股市","regions":["US"],"assets":[{"name":"輝達","ticker":"NVDA","assetClass":"equities","sentiment":0.6}],"sectors":["半導體"],"assetClasses":["equities"],"horizon":"short","confidence":"medium"}`;
+}
+
+function normalizeAnalysis({ title, summary, aiInsight, category, regions, assets, sectors, assetClasses, horizon, confidence }) {
+  const normalizedAssets = normalizeAssets(assets);
+  return {
+    title,
+    summary,
+    aiInsight,
+    category: normalizeCategory(category),
+    regions: normalizeRegions(regions),
+    assets: normalizedAssets,
+    sectors: normalizeSectors(sectors),
+    assetClasses: normalizeAssetClasses(assetClasses, normalizedAssets),
+    horizon,
+    confidence
+  };
+}
+
+/**
+ * 回傳與 articles 順序對應的結果 { id, article, analysis, cached, repaired, error }；
+ * analysis 為 null 時由呼叫端改用備用內容，單篇失敗不影響其他篇。
+ * blockedReason 不為空（例如超過預算）時只重用快取，不呼叫 AI。
+ */
+export async function processArticles(articles, { store, provider, onUsage, dailyLimit, quotaName = 'news', blockedReason = null }) {
+  return mapWithConcurrency(articles, CONCURRENCY, async article => {
+    const hash = articleHash(article);
+    const id = hash.slice(0, 12);
+    const cacheKey = `news:article:v${ANALYSIS_VERSION}:${hash}`;
+
+    const cached = await store.get(cacheKey);
+    if (cached) return { id, article, analysis: cached, cached: true };
+    if (blockedReason) return { id, article, analysis: null, error: blockedReason };
+    // 同時處理多篇，先保留額度再呼叫 AI，請求未送出就失敗時退回
+    if (!(await reserveDailyCount(store, quotaName, dailyLimit))) {
+      return { id, article, analysis: null, error: '已達每日更新上限' };
+    }
+
+    // 每次送出請求（無論成敗）都會回報用量，藉此判斷請求是否已送出
+    let sent = false;
+    try {
+      const { items, repaired } = await completeValidated(buildArticlePrompt(article), ARTICLE_SCHEMA, {
+        provider,
+        system: '你是一個專業的財經翻譯和分析助手。請將新聞翻譯成繁體中文，並提供投資解讀。',
+        onUsage: record => {
+          sent = true;
+          return onUsage?.(record);
+        }
+      });
+      const analysis = normalizeAnalysis(items[0]);
+      await store.set(cacheKey, analysis, { ttl: ARTICLE_TTL });
+      return { id, article, analysis, cached: false, repaired: repaired.length > 0 };
+    } catch (error) {
+      console.error(`新聞 AI 處理失敗 (${article.url}):`, error.message);
+      // 只有請求尚未送出時才退回額度；已送出的失敗請求仍可能計費
+      if (!sent) await releaseDailyCount(store, quotaName).catch(() => {});
+      return { id, article, analysis: null, error: error.message };
+    }
+  });
+}
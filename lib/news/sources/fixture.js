@@ -0,0 +1,20 @@
+// lib/news/sources/fixture.js - 本機 JSON fixture（NewsAPI 格式或文章陣列），離線開發用
+
+import { readLocation } from '../../read-location.js';
+
+export async function fetchFixture({ location }) {
+  const data = JSON.parse(await readLocation(location));
+  const articles = Array.isArray(data) ? data : data.articles || [];
+
+  return articles
+    .filter(article => article.title && article.url)
+    .map(article => ({
+      title: article.title,
+      description: article.description ?? null,
+      content: article.content ?? null,
+      url: article.url,
+      urlToImage: article.urlToImage ?? null,
+      publishedAt: article.publishedAt ?? null,
+      source: { name: article.source?.name || article.source || 'Fixture' }
+    }));
+}
@@ -0,0 +1,25 @@
+// lib/news/sources/newsapi.js - NewsAPI top-headlines（商業類英文頭條）
+
+const PAGE_SIZE = 20;
+
+export async function fetchNewsAPI({ apiKey }) {
+  if (!apiKey) throw new Error('未設定 NEWS_API_KEY');
+
+  const response = await fetch(`https://newsapi.org/v2/top-headlines?category=business&language=en&pageSize=${PAGE_SIZE}&apiKey=${apiKey}`, {
+    signal: AbortSignal.timeout(8000)
+  });
+  if (!response.ok) throw new Error(`NewsAPI 錯誤: ${response.status}`);
+  const data = await response.json();
+
+  return (data.articles || [])
+    .filter(article => article.title && article.url && article.title !== '[Removed]')
+    .map(article => ({
+      title: article.title,
+      description: article.description,
+      content: article.content,
+      url: article.url,
+      urlToImage: article.urlToImage,
+      publishedAt: article.publishedAt,
+      source: { name: article.source?.name || 'NewsAPI' }
+    }));
+}
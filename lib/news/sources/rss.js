@@ -0,0 +1,85 @@
+// lib/news/sources/rss.js - RSS 2.0 / Atom feed 解析（Reuters、CNBC、鉅亨網等）
+
+import { readLocation, locationName } from '../../read-location.js';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+// 每一層編碼只解碼一次：XML 層（非 CDATA 時）先解碼；內容是 HTML（CDATA 或跳脫過的標籤）時去標籤後再解碼 HTML 層。
+// 純文字不會再解碼第二次，&amp;lt;script&amp;gt; 只會還原成字面的 &lt;script&gt;
+function textContent(raw) {
+  if (raw === undefined || raw === null) return '';
+  const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  const text = cdata ? cdata[1] : decodeEntities(raw);
+  // description 常夾帶 HTML，轉成純文字
+  const isHtml = Boolean(cdata) || /<[a-z/!][^>]*>/i.test(text);
+  const plain = isHtml ? decodeEntities(text.replace(/<[^>]+>/g, ' ')) : text;
+  return plain.replace(/\s+/g, ' ').trim();
+}
+
+function tag(block, names) {
+  for (const name of names) {
+    const match = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    if (match) return match[1];
+  }
+  return undefined;
+}
+
+function attribute(block, names, attr) {
+  for (const name of names) {
+    const match = block.match(new RegExp(`<${name}\\s[^>]*?${attr}=["']([^"']+)["'][^>]*>`, 'i'));
+    if (match) return decodeEntities(match[1]);
+  }
+  return undefined;
+}
+
+function atomLink(block) {
+  const links = [...block.matchAll(/<link\s([^>]*?)\/?>/gi)].map(match => match[1]);
+  const alternate = links.find(attrs => !/rel=/.test(attrs) || /rel=["']alternate["']/.test(attrs));
+  const href = (alternate || links[0] || '').match(/href=["']([^"']+)["']/);
+  return href ? decodeEntities(href[1]) : undefined;
+}
+
+function toISODate(value) {
+  const date = new Date(textContent(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function parseFeed(xml, fallbackName = 'RSS') {
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+  const header = xml.split(isAtom ? /<entry[\s>]/i : /<item[\s>]/i)[0];
+  const feedName = textContent(tag(header, ['title'])) || fallbackName;
+  const blocks = [...xml.matchAll(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi)].map(match => match[0]);
+
+  return blocks
+    .map(block => {
+      const url = isAtom ? atomLink(block) : textContent(tag(block, ['link'])) || textContent(tag(block, ['guid']));
+      const description = textContent(tag(block, isAtom ? ['summary', 'content'] : ['description', 'content:encoded']));
+      return {
+        title: textContent(tag(block, ['title'])),
+        description: description || null,
+        content: null,
+        url,
+        urlToImage: attribute(block, ['media:content', 'media:thumbnail', 'enclosure'], 'url') || null,
+        publishedAt: toISODate(tag(block, isAtom ? ['published', 'updated'] : ['pubDate', 'dc:date'])),
+        source: { name: textContent(tag(block, ['source'])) || feedName }
+      };
+    })
+    .filter(article => article.title && article.url);
+}
+
+export async function fetchRSS({ location }) {
+  const xml = await readLocation(location, {
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; AIFinanceHub/1.0; +https://f-url.com/)' }
+  });
+  return parseFeed(xml, locationName(location));
+}
@@ -0,0 +1,105 @@
+// lib/news/taxonomy.js - 新聞分類、地區與投資標的欄位的固定清單，以及查詢篩選
+
+export const CATEGORIES = ['央行', '總經', '股市', '債市', '外匯', '能源', '原物料', '科技', '加密貨幣', '企業', '其他'];
+export const REGIONS = ['US', 'EU', 'CN', 'TW', 'JP'];
+export const ASSET_CLASSES = ['equities', 'bonds', 'fx', 'commodities'];
+export const HORIZONS = ['short', 'medium', 'long'];
+export const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// 美股代號、台股代號（2330.TW）、外匯（USDJPY）都適用；不含交易所前綴
+const TICKER_PATTERN = /^[A-Z0-9][A-Z0-9.\-]{0,11}$/;
+
+// AI 偶爾仍會自創分類（或舊快取的自由文字），依關鍵字歸回固定清單
+const CATEGORY_KEYWORDS = [
+  ['央行', /央行|聯準會|fed|利率決議|貨幣政策|降息|升息/i],
+  ['加密貨幣', /加密|比特幣|bitcoin|crypto|以太幣/i],
+  ['能源', /能源|原油|石油|天然氣|\boil\b|opec/i],
+  ['原物料', /原物料|黃金|金價|銅|商品|大宗/i],
+  ['科技', /科技|半導體|晶片|\bai\b|人工智慧|tech/i],
+  ['債市', /債|殖利率|公債|bond/i],
+  ['外匯', /外匯|匯率|美元|日圓|歐元|新台幣|\bfx\b/i],
+  ['股市', /股|指數|大盤|stock|equit/i],
+  ['總經', /經濟|gdp|通膨|就業|cpi|pmi|景氣|貿易|關稅/i],
+  ['企業', /企業|公司|財報|營收|併購|earnings/i]
+];
+
+export function normalizeCategory(value) {
+  if (CATEGORIES.includes(value)) return value;
+  const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(value || ''));
+  return match ? match[0] : '其他';
+}
+
+export function normalizeRegions(values) {
+  if (!Array.isArray(values)) return [];
+  return [...new Set(values.map(value => String(value).toUpperCase()).filter(value => REGIONS.includes(value)))];
+}
+
+export function normalizeTicker(value) {
+  const ticker = String(value || '').trim().toUpperCase().replace(/^\$/, '').replace(/^[A-Z]+:/, '');
+  return TICKER_PATTERN.test(ticker) ? ticker : null;
+}
+
+/**
+ * 整理 AI 回傳的標的清單：情緒分數夾在 -1 ~ 1，資產類別不在清單內就丟掉，同一代號只留一筆。
+ */
+export function normalizeAssets(values) {
+  if (!Array.isArray(values)) return [];
+  const seen = new Set();
+  const assets = [];
+  for (const value of values) {
+    if (!value || typeof value !== 'object') continue;
+    const name = String(value.name || '').trim();
+    const ticker = normalizeTicker(value.ticker);
+    const key = ticker || name;
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    const sentiment = Number(value.sentiment);
+    assets.push({
+      name: name || ticker,
+      ticker,
+      assetClass: ASSET_CLASSES.includes(value.assetClass) ? value.assetClass : null,
+      sentiment: Number.isFinite(sentiment) ? Math.round(Math.max(-1, Math.min(1, sentiment)) * 100) / 100 : 0
+    });
+  }
+  return assets;
+}
+
+export function normalizeAssetClasses(values, assets = []) {
+  const listed = Array.isArray(values) ? values.filter(value => ASSET_CLASSES.includes(value)) : [];
+  return [...new Set([...listed, ...assets.map(asset => asset.assetClass).filter(Boolean)])];
+}
+
+export function normalizeSectors(values) {
+  if (!Array.isArray(values)) return [];
+  return [...new Set(values.map(value => String(value).trim()).filter(Boolean))].slice(0, 5);
+}
+
+/**
+ * 從 query 取出篩選條件；不在固定清單內的值視為未指定。
+ */
+export function parseNewsFilters(query = {}) {
+  const category = CATEGORIES.includes(query.category) ? query.category : null;
+  const region = REGIONS.includes(String(query.region || '').toUpperCase()) ? String(query.region).toUpperCase() : null;
+  const q = typeof query.q === 'string' && query.q.trim() ? query.q.trim().slice(0, 100) : null;
+  const ticker = normalizeTicker(query.ticker);
+  return { category, region, q, ticker };
+}
+
+export function hasFilters(filters) {
+  return Boolean(filters.category || filters.region || filters.q || filters.ticker);
+}
+
+export function filterKey(filters) {
+  return [filters.category || '*', filters.region || '*', filters.q ? filters.q.toLowerCase() : '*', filters.ticker || '*'].join('|');
+}
+
+export function filterNews(news, { category, region, q, ticker }) {
+  const keyword = q?.toLowerCase();
+  return news.filter(item =>
+    (!category || item.category === category) &&
+    (!region || item.regions?.includes(region)) &&
+    (!ticker || item.tickers?.includes(ticker)) &&
+    (!keyword || [item.title, item.summary, item.aiInsight, item.originalTitle]
+      .some(text => text?.toLowerCase().includes(keyword)))
+  );
+}
@@ -0,0 +1,74 @@
+// lib/quotes/index.js - 報價來源：依 QUOTE_SOURCE 選擇 provider，統一回傳報價與匯率並短暫快取
+
+import { fetchYahooQuotes } from './sources/yahoo.js';
+import { fetchFixtureQuotes } from './sources/fixture.js';
+import { normalizeTicker } from '../news/taxonomy.js';
+
+const PROVIDERS = {
+  yahoo: fetchYahooQuotes,
+  fixture: fetchFixtureQuotes
+};
+
+export const MAX_SYMBOLS = 50;
+const DEFAULT_CACHE_SECONDS = 300;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * QUOTE_SOURCE：`yahoo`（預設，可寫 `yahoo:<chart API 網址>` 指向相容服務）或 `fixture:<檔案>`。
+ */
+export function parseQuoteSource(value) {
+  const entry = (value || 'yahoo').trim();
+  const separator = entry.indexOf(':');
+  const type = (separator === -1 ? entry : entry.slice(0, separator)).toLowerCase();
+  return { type, location: separator === -1 ? null : entry.slice(separator + 1) };
+}
+
+export function parseSymbols(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(normalizeTicker).filter(Boolean))].slice(0, MAX_SYMBOLS);
+}
+
+export function parseCurrencies(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(item => String(item).trim().toUpperCase()).filter(item => CURRENCY_PATTERN.test(item)))];
+}
+
+// provider 的匯率可能以其他幣別計價（fixture 固定以 TWD），統一換算成以 base 計價
+function rebase(fx, base) {
+  const baseRate = fx[base];
+  if (!baseRate || baseRate === 1) return { ...fx, [base]: 1 };
+  return Object.fromEntries(Object.entries(fx).map(([currency, rate]) => [currency, rate / baseRate]));
+}
+
+/**
+ * 回傳 { provider, base, quotes: { [symbol]: quote }, fx: { [currency]: 兌 base 匯率 }, missing, errors, fromCache }。
+ * 同一組代號與幣別在 QUOTE_CACHE_SECONDS 內重複查詢時直接讀快取。
+ */
+export async function getQuotes(store, { symbols, currencies = [], base = 'TWD' }, { env = process.env } = {}) {
+  const { type, location } = parseQuoteSource(env.QUOTE_SOURCE);
+  const provider = PROVIDERS[type];
+  if (!provider) throw new Error(`不支援的報價來源: ${type}`);
+  if (type === 'fixture' && !location) throw new Error('QUOTE_SOURCE=fixture 需要指定檔案，例如 fixture:data/quotes/sample.json');
+
+  const cacheKey = `quotes:${type}:${base}:${[...symbols].sort().join(',')}|${[...currencies].sort().join(',')}`;
+  const cached = await store.get(cacheKey);
+  if (cached) return { ...cached, fromCache: true };
+
+  const result = await provider({ location, symbols, currencies: [...new Set([...currencies, base])], base });
+  const quotes = Object.fromEntries(
+    result.quotes.filter(quote => Number.isFinite(quote.price)).map(quote => [quote.symbol, quote])
+  );
+  const payload = {
+    provider: type,
+    base,
+    quotes,
+    fx: rebase(result.fx || {}, base),
+    missing: symbols.filter(symbol => !quotes[symbol]),
+    errors: result.errors || [],
+    timestamp: new Date().toISOString()
+  };
+
+  const ttl = Number(env.QUOTE_CACHE_SECONDS) || DEFAULT_CACHE_SECONDS;
+  await store.set(cacheKey, payload, { ttl });
+  return { ...payload, fromCache: false };
+}
@@ -0,0 +1,25 @@
+// lib/quotes/sources/fixture.js - 本機 JSON 報價 fixture，離線開發與測試用
+
+import { readLocation } from '../../read-location.js';
+
+/**
+ * 檔案格式：{ asOf, base, fx: { USD: 32.85 }, quotes: [{ symbol, name, price, previousClose, currency }] }；
+ * fx 為 1 單位外幣兌檔案 base（預設 TWD）的匯率，查詢時再換算成請求的 base。
+ */
+export async function fetchFixtureQuotes({ location, symbols }) {
+  const data = JSON.parse(await readLocation(location));
+  const wanted = new Set(symbols);
+  return {
+    quotes: (data.quotes || [])
+      .filter(quote => wanted.has(String(quote.symbol).toUpperCase()))
+      .map(quote => ({
+        symbol: String(quote.symbol).toUpperCase(),
+        name: quote.name ?? null,
+        price: Number(quote.price),
+        previousClose: quote.previousClose != null ? Number(quote.previousClose) : null,
+        currency: quote.currency || 'TWD',
+        asOf: quote.asOf || data.asOf || null
+      })),
+    fx: { ...data.fx, [data.base || 'TWD']: 1 }
+  };
+}
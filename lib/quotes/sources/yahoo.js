@@ -0,0 +1,55 @@
+// lib/quotes/sources/yahoo.js - Yahoo Finance 公開 chart API（免金鑰，延遲報價）
+
+import { mapWithConcurrency } from '../../concurrency.js';
+
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+const FETCH_TIMEOUT = 8000;
+const CONCURRENCY = 4;
+
+async function fetchChart(symbol, location) {
+  const response = await fetch(`${location || CHART_URL}${encodeURIComponent(symbol)}?range=1d&interval=1d`, {
+    headers: { 'User-Agent': 'Mozilla/5.0 (ai-finance-hub)' },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT)
+  });
+  if (!response.ok) throw new Error(`${symbol}: HTTP ${response.status}`);
+  const meta = (await response.json())?.chart?.result?.[0]?.meta;
+  if (!meta || !Number.isFinite(meta.regularMarketPrice)) throw new Error(`${symbol}: 查無報價`);
+  return meta;
+}
+
+/**
+ * 每個代號各打一次 chart API；匯率用 `USDTWD=X` 這類外匯代號查詢。
+ * 單一代號失敗只記錄在 errors，不影響其他報價。
+ */
+export async function fetchYahooQuotes({ location, symbols, currencies, base }) {
+  const errors = [];
+  const quotes = await mapWithConcurrency(symbols, CONCURRENCY, async symbol => {
+    try {
+      const meta = await fetchChart(symbol, location);
+      return {
+        symbol,
+        name: meta.longName || meta.shortName || null,
+        price: meta.regularMarketPrice,
+        previousClose: meta.chartPreviousClose ?? meta.previousClose ?? null,
+        currency: meta.currency || null,
+        asOf: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000).toISOString() : null
+      };
+    } catch (error) {
+      errors.push({ symbol, error: error.message });
+      return null;
+    }
+  });
+
+  // 除了指定的幣別，報價本身的幣別也要有匯率才能換算
+  const needed = new Set([...currencies, ...quotes.filter(Boolean).map(quote => quote.currency).filter(Boolean)]);
+  const fx = { [base]: 1 };
+  await mapWithConcurrency([...needed].filter(currency => currency !== base), CONCURRENCY, async currency => {
+    try {
+      fx[currency] = (await fetchChart(`${currency}${base}=X`, location)).regularMarketPrice;
+    } catch (error) {
+      errors.push({ symbol: `${currency}${base}=X`, error: error.message });
+    }
+  });
+
+  return { quotes: quotes.filter(Boolean), fx, errors };
+}
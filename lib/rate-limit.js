@@ -0,0 +1,35 @@
+// lib/rate-limit.js - 依來源 IP 的固定時間窗限流（計數存在共用 store，跨實例一致）
+
+/**
+ * 取得用戶端 IP：Vercel 與一般反向代理會放在 x-forwarded-for 的第一個位址。
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * 讀取 "5/60,50/86400" 格式的限制（次數/秒數，逗號分隔多個時間窗），格式錯誤時用 fallback。
+ */
+export function parseRateLimits(value, fallback) {
+  const limits = String(value || '')
+    .split(',')
+    .map(part => part.trim().split('/').map(Number))
+    .filter(([limit, windowSeconds]) => limit > 0 && windowSeconds > 0)
+    .map(([limit, windowSeconds]) => ({ limit, windowSeconds }));
+  return limits.length ? limits : fallback;
+}
+
+/**
+ * 每個時間窗各自計數，任何一個超過即拒絕。回傳 { allowed, retryAfter }（retryAfter 為秒數）。
+ */
+export async function checkRateLimit(store, name, ip, limits) {
+  const now = Math.floor(Date.now() / 1000);
+  for (const { limit, windowSeconds } of limits) {
+    const windowStart = now - (now % windowSeconds);
+    const count = await store.incr(`ratelimit:${name}:${windowSeconds}:${windowStart}:${ip}`, { ttl: windowSeconds });
+    if (count > limit) return { allowed: false, retryAfter: windowStart + windowSeconds - now };
+  }
+  return { allowed: true, retryAfter: 0 };
+}
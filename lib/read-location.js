@@ -0,0 +1,24 @@
+// lib/read-location.js - 讀取 URL 或相對專案根目錄的本機檔案（資料來源與離線 fixture 共用）
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const FETCH_TIMEOUT = 8000;
+
+export function isRemote(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+export async function readLocation(location, { timeout = FETCH_TIMEOUT, headers } = {}) {
+  if (isRemote(location)) {
+    const response = await fetch(location, { headers, signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.text();
+  }
+  return readFile(path.resolve(process.cwd(), location), 'utf8');
+}
+
+export function locationName(location) {
+  if (isRemote(location)) return new URL(location).hostname.replace(/^www\./, '');
+  return path.basename(location);
+}
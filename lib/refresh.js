@@ -0,0 +1,114 @@
+// lib/refresh.js - 排程更新工作：依序重建新聞、經濟日曆、每日簡報並執行提醒，結果寫回 store
+
+import { getNewsFeed } from './news/feed.js';
+import { getCalendarFeed } from './calendar/feed.js';
+import { getDailyBriefing } from './briefing/index.js';
+import { runAlerts } from './alerts/index.js';
+import { getProvider } from './llm/index.js';
+
+const LOCK_KEY = 'lock:refresh';
+const LOCK_TTL = 10 * 60;
+const LAST_RUN_KEY = 'refresh:lastRun';
+const HISTORY_KEY = 'refresh:history';
+const HISTORY_SIZE = 20;
+
+// 順序有意義：簡報與提醒會使用剛更新的新聞與日曆
+const TASKS = [
+  {
+    name: 'news',
+    run: async store => {
+      const { payload } = await getNewsFeed(store, { force: true });
+      return { items: payload.news.length, ...payload.validation, sourceErrors: payload.sourceErrors.length, archived: payload.archived?.added ?? null };
+    }
+  },
+  {
+    name: 'calendar',
+    run: async store => {
+      const [upcoming, past] = await Promise.all([
+        getCalendarFeed(store, { mode: 'upcoming', force: true }),
+        getCalendarFeed(store, { mode: 'past', force: true })
+      ]);
+      return { upcoming: upcoming.payload.events.length, past: past.payload.events.length, isStatic: Boolean(upcoming.payload.isStatic) };
+    }
+  },
+  {
+    // 每天只產生一次；已存在就不會重做
+    name: 'briefing',
+    skip: () => (getProvider() ? null : '缺少 AI 設定'),
+    run: async store => {
+      const { payload, fromCache } = await getDailyBriefing(store);
+      return { date: payload.date, generated: !fromCache };
+    }
+  },
+  {
+    name: 'alerts',
+    run: async store => {
+      const report = await runAlerts(store);
+      if (report.errors.length) throw new Error(report.errors.map(error => `${error.id}: ${error.error}`).join('；'));
+      return { subscriptions: report.subscriptions, sent: report.sent };
+    }
+  }
+];
+
+export const REFRESH_TASKS = TASKS.map(task => task.name);
+
+/**
+ * 執行一次更新。only 可指定部分工作（例如 ['news']）。
+ * 單一工作失敗不影響其他工作；同一時間只允許一個更新在跑，重疊時回傳 { skipped: true }。
+ */
+export async function runRefresh(store, { only = null, trigger = 'manual' } = {}) {
+  if (!(await store.setIfAbsent(LOCK_KEY, Date.now(), { ttl: LOCK_TTL }))) {
+    return { skipped: true, reason: '已有更新正在執行' };
+  }
+
+  const startedAt = Date.now();
+  const tasks = [];
+  try {
+    for (const task of TASKS) {
+      if (only && !only.includes(task.name)) continue;
+      const skipReason = task.skip?.();
+      if (skipReason) {
+        tasks.push({ name: task.name, ok: true, skipped: skipReason, durationMs: 0 });
+        continue;
+      }
+
+      const taskStart = Date.now();
+      try {
+        const detail = await task.run(store);
+        tasks.push({ name: task.name, ok: true, durationMs: Date.now() - taskStart, detail });
+      } catch (error) {
+        console.error(`排程更新失敗 (${task.name}):`, error.message);
+        tasks.push({ name: task.name, ok: false, durationMs: Date.now() - taskStart, error: error.message });
+      }
+    }
+  } finally {
+    await store.del(LOCK_KEY);
+  }
+
+  const run = {
+    trigger,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt,
+    ok: tasks.every(task => task.ok),
+    tasks,
+    errors: tasks.filter(task => !task.ok).map(task => ({ task: task.name, error: task.error }))
+  };
+  const history = (await store.get(HISTORY_KEY)) || [];
+  await store.set(LAST_RUN_KEY, run);
+  await store.set(HISTORY_KEY, [run, ...history].slice(0, HISTORY_SIZE));
+  return run;
+}
+
+export async function getRefreshStatus(store) {
+  const [lastRun, history, running] = await Promise.all([
+    store.get(LAST_RUN_KEY),
+    store.get(HISTORY_KEY),
+    store.get(LOCK_KEY)
+  ]);
+  return {
+    lastRun,
+    running: Boolean(running),
+    history: (history || []).map(({ startedAt, durationMs, ok, errors }) => ({ startedAt, durationMs, ok, errors: errors.length }))
+  };
+}
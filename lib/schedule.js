@@ -0,0 +1,31 @@
+// lib/schedule.js - 背景更新的排程設定：REFRESH_MODE 決定公開 API 是否自行重新產生資料
+
+import { nextCronRun } from './cron.js';
+import { getStoreBackend } from './store/index.js';
+
+// 需與 vercel.json 的 crons 設定一致；預設每天一次（UTC 22:00，台灣早上 6 點），Vercel Hobby 方案也能部署
+export const DEFAULT_REFRESH_CRON = '0 22 * * *';
+
+export function getRefreshCron(env = process.env) {
+  return env.REFRESH_CRON || DEFAULT_REFRESH_CRON;
+}
+
+/**
+ * REFRESH_MODE=scheduled（預設）：資料由排程工作產生，公開 API 只讀快取（快取完全不存在時才現場產生一次）。
+ * REFRESH_MODE=on-request：沒有排程的部署，快取過期時由訪客的請求觸發重新產生。
+ * Vercel 上的檔案儲存是各實例自己的 /tmp，排程寫入的快取其他實例讀不到，因此沒有 Redis 時一律視為 on-request。
+ */
+export function isScheduledRefresh(env = process.env) {
+  if ((env.REFRESH_MODE || 'scheduled') === 'on-request') return false;
+  return !(env.VERCEL && getStoreBackend(env) === 'file');
+}
+
+// 公開 API 讀取快取時允許的最大年齡
+export function readMaxAge(maxAge, env = process.env) {
+  return isScheduledRefresh(env) ? Infinity : maxAge;
+}
+
+export function getNextRefresh(from = new Date(), env = process.env) {
+  if (!isScheduledRefresh(env)) return null;
+  return nextCronRun(getRefreshCron(env), from);
+}
@@ -0,0 +1,52 @@
+// lib/seo/html.js - 把頁面資料（標題、描述、OG、結構化資料、預先渲染的內文）套進前端的 index.html 範本
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// JSON-LD 放在 <script> 內，跳脫 < 避免內容中的 </script> 提早結束標籤
+function jsonLdScript(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+function headTags(page) {
+  const meta = (attribute, key, content) => `<meta ${attribute}="${key}" content="${escapeHtml(content)}">`;
+  return [
+    `<title>${escapeHtml(page.title)}</title>`,
+    meta('name', 'description', page.description),
+    ...(page.noindex ? [meta('name', 'robots', 'noindex')] : []),
+    `<link rel="canonical" href="${escapeHtml(page.url)}">`,
+    meta('property', 'og:type', page.type || 'website'),
+    meta('property', 'og:url', page.url),
+    meta('property', 'og:title', page.title),
+    meta('property', 'og:description', page.description),
+    meta('property', 'og:image', page.image),
+    meta('property', 'og:site_name', page.siteName),
+    meta('property', 'og:locale', 'zh_TW'),
+    ...(page.publishedTime ? [meta('property', 'article:published_time', page.publishedTime)] : []),
+    meta('name', 'twitter:card', 'summary_large_image'),
+    meta('name', 'twitter:title', page.title),
+    meta('name', 'twitter:description', page.description),
+    meta('name', 'twitter:image', page.image),
+    ...(page.jsonLd || []).map(jsonLdScript)
+  ].map(tag => `  ${tag}`).join('\n');
+}
+
+/**
+ * 移除範本中預設的標題、描述、OG / Twitter 與 canonical，換成這一頁的版本；
+ * 預先渲染的內文放進 #root，前端 createRoot 掛載後會直接取代。
+ * 插入的內容以函式回傳，避免標題或內文中的 `$&`、`$'` 等被當成替換樣式展開。
+ */
+export function renderDocument(template, page) {
+  return template
+    .replace(/<title>[\s\S]*?<\/title>\s*/, '')
+    .replace(/<meta\s+(?:name|property)="(?:description|robots|og:[^"]+|twitter:[^"]+)"[^>]*>\s*/g, '')
+    .replace(/<link\s+rel="canonical"[^>]*>\s*/, '')
+    .replace('</head>', () => `${headTags(page)}\n</head>`)
+    .replace(/<div id="root"><\/div>/, () => `<div id="root">${page.body || ''}</div>`);
+}
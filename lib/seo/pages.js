@@ -0,0 +1,262 @@
+// lib/seo/pages.js - 依網址組出預先渲染頁面：標題、描述、OG 圖片、NewsArticle / Event 結構化資料與內文 HTML
+// 只讀快取與歸檔，不會因為爬蟲造訪而觸發 AI 處理
+
+import { getCachedNewsFeed } from '../news/feed.js';
+import { getCachedCalendar } from '../calendar/feed.js';
+import { isArchiveDate, getArchiveItem, getArchiveDay, getArchiveDays } from '../news/archive.js';
+import { escapeHtml } from './html.js';
+
+export const SITE_NAME = 'AI 財經工具站';
+const DEFAULT_TITLE = 'AI 財經工具站 - 全球財經新聞 AI 解讀、財務計算器、經濟日曆';
+const DEFAULT_DESCRIPTION = 'AI 財經工具站提供全球財經新聞 AI 繁體中文翻譯與深度解讀、專業財務計算器（複利計算、房貸試算、退休規劃）、全球經濟日曆分析。';
+const LIST_LIMIT = 30;
+const EVENT_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})-[0-9a-f]{8}$/;
+
+// 沒有動態內容的頁面；sitemap 也以這份清單為準
+export const STATIC_PAGES = {
+  '/': { title: DEFAULT_TITLE, description: DEFAULT_DESCRIPTION, changefreq: 'hourly', priority: '1.0' },
+  '/news': { title: 'AI 全球財經新聞 | AI 財經工具站', description: '全球財經新聞即時翻譯成繁體中文，附上 AI 對市場的影響解讀、相關標的與多空情緒。', changefreq: 'hourly', priority: '0.9' },
+  '/calendar': { title: '全球經濟日曆 | AI 財經工具站', description: '未來 7 天的重要經濟數據與央行決議，附上前值、市場預期與 AI 影響分析。', changefreq: 'daily', priority: '0.9' },
+  '/archive': { title: '新聞回顧 | AI 財經工具站', description: '依日期回顧過去的全球財經新聞與 AI 解讀，可全文搜尋標題、摘要與英文原標題。', changefreq: 'daily', priority: '0.7' },
+  '/briefing': { title: '每日市場簡報 | AI 財經工具站', description: '每天由 AI 彙整的市場主題、風險提示與今日觀察。', changefreq: 'daily', priority: '0.7' },
+  '/calculator': { title: '財務計算工具 | AI 財經工具站', description: '複利與定期定額、房貸提前還款、退休規劃與勞保勞退試算，所有計算都在瀏覽器中完成。', changefreq: 'monthly', priority: '0.8' },
+  '/calculator/compound': { title: '複利與定期定額計算器 | AI 財經工具站', description: '試算期初 / 期末投入、每年調升、管理費、股利預扣稅與通膨後的實質資產。', changefreq: 'monthly', priority: '0.8' },
+  '/calculator/mortgage': { title: '房貸試算與提前還款比較 | AI 財經工具站', description: '本息 / 本金平均攤還、寬限期、分段利率與提前還款方案省息比較，攤還表可匯出 CSV。', changefreq: 'monthly', priority: '0.8' },
+  '/calculator/retirement': { title: '退休規劃計算器 | AI 財經工具站', description: '依通膨、報酬率與一次性收支試算退休資產，可納入勞保勞退並以蒙地卡羅模擬成功機率。', changefreq: 'monthly', priority: '0.8' },
+  '/portfolio': { title: '投資組合 | AI 財經工具站', description: '記錄持股、查看資產配置與未實現損益，並標示提到持股的新聞。持股只存在瀏覽器中。', changefreq: 'monthly', priority: '0.5' }
+};
+
+export function siteUrl(env = process.env) {
+  return (env.SITE_URL || 'https://f-url.com').replace(/\/+$/, '');
+}
+
+function truncate(text, length = 160) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString('zh-TW', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Taipei' });
+}
+
+function publisher(site) {
+  return { '@type': 'Organization', name: SITE_NAME, url: `${site}/`, logo: { '@type': 'ImageObject', url: `${site}/og-image.png` } };
+}
+
+function itemList(urls) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    itemListElement: urls.map((url, index) => ({ '@type': 'ListItem', position: index + 1, url }))
+  };
+}
+
+function newsArticle(item, url, site) {
+  const tickers = (item.assets || []).map(asset => asset.ticker).filter(Boolean);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'NewsArticle',
+    headline: truncate(item.title, 110),
+    ...(item.originalTitle ? { alternativeHeadline: item.originalTitle } : {}),
+    description: truncate(item.summary, 300),
+    abstract: item.aiInsight,
+    datePublished: item.publishedAt,
+    dateModified: item.updatedAt || item.publishedAt,
+    image: [item.image || `${site}/og-image.png`],
+    inLanguage: 'zh-TW',
+    articleSection: item.category,
+    ...(tickers.length || item.sectors?.length ? { keywords: [...tickers, ...(item.sectors || [])].join(', ') } : {}),
+    url,
+    mainEntityOfPage: url,
+    ...(item.url ? { isBasedOn: item.url } : {}),
+    author: { '@type': 'Organization', name: SITE_NAME, url: `${site}/` },
+    publisher: publisher(site)
+  };
+}
+
+function eventDescription(event) {
+  const values = [
+    event.previous && `前值 ${event.previous}`,
+    event.forecast && `預期 ${event.forecast}`,
+    event.actual && `公布值 ${event.actual}`
+  ].filter(Boolean).join('，');
+  return truncate([values && `${values}。`, event.aiAnalysis].filter(Boolean).join(''));
+}
+
+function economicEvent(event, url, site) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: event.event,
+    startDate: event.date,
+    description: eventDescription(event) || event.event,
+    eventStatus: 'https://schema.org/EventScheduled',
+    eventAttendanceMode: 'https://schema.org/OnlineEventAttendanceMode',
+    location: { '@type': 'VirtualLocation', url },
+    url,
+    image: [`${site}/og-image.png`],
+    organizer: publisher(site)
+  };
+}
+
+function newsListHtml(news) {
+  return `<ul>${news.map(item => `
+<li><article>
+<h2><a href="/news/${encodeURIComponent(item.id)}">${escapeHtml(item.title)}</a></h2>
+<p>${escapeHtml(item.source)} · <time datetime="${escapeHtml(item.publishedAt)}">${escapeHtml(formatDate(item.publishedAt))}</time></p>
+<p>${escapeHtml(item.summary)}</p>
+</article></li>`).join('')}
+</ul>`;
+}
+
+function newsItemHtml(item) {
+  const deep = item.deepAnalysis;
+  return `<article>
+<p>${escapeHtml(item.category)} · ${escapeHtml(item.source)} · <time datetime="${escapeHtml(item.publishedAt)}">${escapeHtml(formatDate(item.publishedAt))}</time></p>
+<h1>${escapeHtml(item.title)}</h1>
+${item.originalTitle ? `<p lang="en">${escapeHtml(item.originalTitle)}</p>` : ''}
+<p>${escapeHtml(item.summary)}</p>
+<section><h2>AI 解讀</h2><p>${escapeHtml(item.aiInsight)}</p></section>
+${deep ? `<section><h2>深度解讀</h2><p>${escapeHtml(deep.takeaway)}</p><p>${escapeHtml(deep.background)}</p></section>` : ''}
+${item.url ? `<p><a href="${escapeHtml(item.url)}" rel="noopener nofollow">閱讀原文</a></p>` : ''}
+</article>`;
+}
+
+function eventHtml(event, linked) {
+  const values = [['前值', event.previous], ['預期', event.forecast], ['公布值', event.actual]]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<li>${label}：${escapeHtml(value)}</li>`)
+    .join('');
+  const title = linked && event.id ? `<a href="/calendar/${encodeURIComponent(event.id)}">${escapeHtml(event.event)}</a>` : escapeHtml(event.event);
+  return `<article>
+<p><time datetime="${escapeHtml(event.date)}">${escapeHtml(event.date)}</time>${event.country ? ` · ${escapeHtml(event.country)}` : ''}</p>
+<h2>${title}</h2>
+${values ? `<ul>${values}</ul>` : ''}
+${event.aiAnalysis ? `<p>${escapeHtml(event.aiAnalysis)}</p>` : ''}
+</article>`;
+}
+
+function main(content) {
+  return `<main class="max-w-7xl mx-auto px-4 py-8">${content}</main>`;
+}
+
+async function findNewsItem(store, id) {
+  const feed = await getCachedNewsFeed(store);
+  const item = feed?.payload.news.find(value => String(value.id) === id) || await getArchiveItem(store, id);
+  return item && item.category !== '系統提示' ? item : null;
+}
+
+// 依序找預設的未來 / 過去區間，再找以事件日期為起訖的區間（前端載入舊事件時使用）
+async function findEvent(store, id) {
+  const date = id.match(EVENT_ID_PATTERN)?.[1];
+  if (!date) return null;
+  for (const range of [{ mode: 'upcoming' }, { mode: 'past' }, { mode: 'past', start: date, end: date }, { mode: 'upcoming', start: date, end: date }]) {
+    const cached = await getCachedCalendar(store, range);
+    const event = cached?.payload.events?.find(value => value.id === id);
+    if (event) return event;
+  }
+  return null;
+}
+
+function notFound(site, path, label) {
+  return {
+    status: 404,
+    title: `找不到這${label} | ${SITE_NAME}`,
+    description: DEFAULT_DESCRIPTION,
+    url: `${site}${path}`,
+    noindex: true,
+    body: main(`<h1>找不到這${label}</h1><p>可能已超過保留期限，<a href="/">回到首頁</a>。</p>`)
+  };
+}
+
+/**
+ * 回傳這個路徑的頁面資料 { status, title, description, url, image, type, jsonLd, body, ... }，交給 renderDocument 套用。
+ * 無法辨識的路徑回傳首頁的預設內容（前端會自行導回新聞）。
+ */
+export async function resolvePage(store, pathname, env = process.env) {
+  const site = siteUrl(env);
+  const path = `/${pathname.split('/').filter(Boolean).join('/')}`;
+  const [section, key] = path.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      return segment;
+    }
+  });
+  const base = { status: 200, siteName: SITE_NAME, image: `${site}/og-image.png`, type: 'website' };
+
+  if (section === 'news' && key) {
+    const item = await findNewsItem(store, key);
+    if (!item) return { ...base, ...notFound(site, path, '則新聞') };
+    const url = `${site}/news/${encodeURIComponent(item.id)}`;
+    return {
+      ...base,
+      title: `${item.title} | ${SITE_NAME}`,
+      description: truncate(item.summary),
+      url,
+      image: item.image || base.image,
+      type: 'article',
+      publishedTime: item.publishedAt,
+      jsonLd: [newsArticle(item, url, site)],
+      body: main(newsItemHtml(item))
+    };
+  }
+
+  if (section === 'calendar' && key) {
+    const event = await findEvent(store, key);
+    if (!event) return { ...base, ...notFound(site, path, '個事件') };
+    const url = `${site}/calendar/${encodeURIComponent(event.id)}`;
+    return {
+      ...base,
+      title: `${event.date} ${event.event} | 經濟日曆 | ${SITE_NAME}`,
+      description: eventDescription(event) || STATIC_PAGES['/calendar'].description,
+      url,
+      jsonLd: [economicEvent(event, url, site)],
+      body: main(eventHtml(event, false))
+    };
+  }
+
+  if (section === 'archive' && isArchiveDate(key)) {
+    const news = await getArchiveDay(store, key);
+    if (news.length === 0) return { ...base, ...notFound(site, path, '天的新聞') };
+    const label = formatDate(`${key}T12:00:00Z`);
+    return {
+      ...base,
+      title: `${label} 財經新聞回顧 | ${SITE_NAME}`,
+      description: truncate(`${label}的 ${news.length} 則全球財經新聞：${news.slice(0, 3).map(item => item.title).join('、')}`),
+      url: `${site}/archive/${key}`,
+      jsonLd: [itemList(news.map(item => `${site}/news/${encodeURIComponent(item.id)}`))],
+      body: main(`<h1>${escapeHtml(label)} 財經新聞回顧</h1>${newsListHtml(news)}`)
+    };
+  }
+
+  const known = STATIC_PAGES[path] ? path : '/';
+  const page = { ...base, title: STATIC_PAGES[known].title, description: STATIC_PAGES[known].description, url: `${site}${known === '/' ? '/' : known}` };
+
+  if (known === '/' || known === '/news') {
+    const news = ((await getCachedNewsFeed(store))?.payload.news || []).filter(item => item.category !== '系統提示').slice(0, LIST_LIMIT);
+    return {
+      ...page,
+      jsonLd: news.length ? [itemList(news.map(item => `${site}/news/${encodeURIComponent(item.id)}`))] : [],
+      body: main(`<h1>AI 全球財經新聞</h1>${newsListHtml(news)}`)
+    };
+  }
+  if (known === '/calendar') {
+    const calendar = (await getCachedCalendar(store))?.payload;
+    const events = calendar?.isStatic ? [] : calendar?.events || [];
+    return {
+      ...page,
+      jsonLd: events.map(event => economicEvent(event, `${site}/calendar/${encodeURIComponent(event.id)}`, site)),
+      body: main(`<h1>全球經濟日曆</h1>${events.map(event => eventHtml(event, true)).join('\n')}`)
+    };
+  }
+  if (known === '/archive') {
+    const days = await getArchiveDays(store);
+    return {
+      ...page,
+      body: main(`<h1>新聞回顧</h1><ul>${days.slice(0, 60).map(day => `<li><a href="/archive/${day.date}">${escapeHtml(formatDate(`${day.date}T12:00:00Z`))}</a>（${day.count} 則）</li>`).join('')}</ul>`)
+    };
+  }
+  return { ...page, body: main(`<h1>${escapeHtml(page.title.split(' | ')[0])}</h1><p>${escapeHtml(page.description)}</p>`) };
+}
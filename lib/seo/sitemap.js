@@ -0,0 +1,59 @@
+// lib/seo/sitemap.js - 由歸檔與日曆快取產生 sitemap.xml：固定頁面、每日回顧、單則新聞與經濟事件
+
+import { getCachedCalendar } from '../calendar/feed.js';
+import { getArchiveDays, getArchivedIds } from '../news/archive.js';
+import { todayKey } from '../store/index.js';
+import { STATIC_PAGES, siteUrl } from './pages.js';
+import { escapeHtml } from './html.js';
+
+// 單一 sitemap 的網址上限
+const MAX_URLS = 50000;
+
+function urlEntry({ loc, lastmod, changefreq, priority }) {
+  return [
+    '  <url>',
+    `    <loc>${escapeHtml(loc)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+    ...(changefreq ? [`    <changefreq>${changefreq}</changefreq>`] : []),
+    ...(priority ? [`    <priority>${priority}</priority>`] : []),
+    '  </url>'
+  ].join('\n');
+}
+
+/**
+ * 產生 sitemap XML。新聞與每日回顧依歸檔日期由新到舊列出，超過上限時捨棄最舊的。
+ */
+export async function buildSitemap(store, env = process.env) {
+  const site = siteUrl(env);
+  const today = todayKey();
+  const urls = Object.entries(STATIC_PAGES).map(([path, page]) => ({
+    loc: `${site}${path}`,
+    lastmod: page.changefreq === 'monthly' ? null : today,
+    changefreq: page.changefreq,
+    priority: page.priority
+  }));
+
+  for (const mode of ['upcoming', 'past']) {
+    const cached = await getCachedCalendar(store, { mode });
+    if (!cached || cached.payload.isStatic) continue;
+    const lastmod = todayKey(new Date(cached.timestamp));
+    for (const event of cached.payload.events || []) {
+      urls.push({ loc: `${site}/calendar/${encodeURIComponent(event.id)}`, lastmod, changefreq: mode === 'upcoming' ? 'daily' : 'monthly', priority: '0.6' });
+    }
+  }
+
+  for (const day of await getArchiveDays(store)) {
+    urls.push({ loc: `${site}/archive/${day.date}`, lastmod: day.date, changefreq: day.date === today ? 'hourly' : 'monthly', priority: '0.5' });
+  }
+  for (const { id, date } of await getArchivedIds(store)) {
+    urls.push({ loc: `${site}/news/${encodeURIComponent(id)}`, lastmod: date, changefreq: 'monthly', priority: '0.6' });
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.slice(0, MAX_URLS).map(urlEntry),
+    '</urlset>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,77 @@
+// lib/store/file.js - 本機檔案儲存（單一 JSON 檔，適合本機開發與單一實例）
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+export function createFileStore({ filePath }) {
+  let data = null;
+  // 所有讀寫排隊執行，避免同一程序內的併發請求互相覆蓋
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('讀取儲存檔失敗，改用空白資料:', error.message);
+      data = {};
+    }
+    return data;
+  };
+
+  const persist = async () => {
+    await mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(data));
+    await rename(tempPath, filePath);
+  };
+
+  const live = (entries, key) => {
+    const entry = entries[key];
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      delete entries[key];
+      return null;
+    }
+    return entry;
+  };
+
+  const run = task => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const store = {
+    name: 'file',
+    get: key => run(async () => live(await load(), key)?.value ?? null),
+    set: (key, value, { ttl } = {}) => run(async () => {
+      const entries = await load();
+      entries[key] = { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+      await persist();
+    }),
+    setIfAbsent: (key, value, { ttl } = {}) => run(async () => {
+      const entries = await load();
+      if (live(entries, key)) return false;
+      entries[key] = { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+      await persist();
+      return true;
+    }),
+    incr: (key, options) => store.incrBy(key, 1, options),
+    incrBy: (key, amount, { ttl } = {}) => run(async () => {
+      const entries = await load();
+      const entry = live(entries, key);
+      const value = (entry ? Number(entry.value) : 0) + amount;
+      entries[key] = { value, expiresAt: entry?.expiresAt ?? (ttl ? Date.now() + ttl * 1000 : null) };
+      await persist();
+      return value;
+    }),
+    del: key => run(async () => {
+      const entries = await load();
+      delete entries[key];
+      await persist();
+    }),
+    close: async () => {}
+  };
+  return store;
+}
@@ -0,0 +1,124 @@
+// lib/store/index.js - 快取與配額儲存：REDIS_URL 存在時用 Redis，否則用本機檔案
+
+import path from 'node:path';
+import { createFileStore } from './file.js';
+import { createRedisStore } from './redis.js';
+
+let store = null;
+const inFlight = new Map();
+
+const LOCK_TTL = 60;
+const WAIT_INTERVAL = 500;
+const MAX_WAIT = 25000;
+
+/**
+ * STORE_BACKEND 可強制指定 'file' 或 'redis'。
+ * 檔案位置由 STORE_FILE 指定；Vercel 上只有 /tmp 可寫（各實例各自一份）。
+ */
+export function getStore(env = process.env) {
+  if (store) return store;
+
+  const backend = getStoreBackend(env);
+  if (backend === 'redis') {
+    if (!env.REDIS_URL) throw new Error('STORE_BACKEND=redis 但未設定 REDIS_URL');
+    store = createRedisStore({ url: env.REDIS_URL, prefix: env.REDIS_PREFIX || 'afh:' });
+  } else if (backend === 'file') {
+    const filePath = env.STORE_FILE || (env.VERCEL ? '/tmp/ai-finance-hub-store.json' : path.resolve(process.cwd(), '.data/store.json'));
+    store = createFileStore({ filePath });
+  } else {
+    throw new Error(`不支援的 STORE_BACKEND: ${backend}`);
+  }
+  return store;
+}
+
+export function getStoreBackend(env = process.env) {
+  return (env.STORE_BACKEND || (env.REDIS_URL ? 'redis' : 'file')).toLowerCase();
+}
+
+export function todayKey(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * 讀取快取；過期（超過 maxAge 毫秒）時由 generate(previous) 重新產生。
+ * 同一實例內的併發請求共用同一個 Promise；跨實例以鎖協調，拿不到鎖的請求等待持有者寫回結果，
+ * 逾時則回傳舊資料，沒有舊資料時拋出錯誤。ttl（秒）讓寫入的快取自動過期。回傳 { payload, timestamp, fromCache }。
+ */
+export async function getOrRefresh(store, key, maxAge, generate, { force = false, ttl } = {}) {
+  const cached = await store.get(key);
+  if (!force && cached && Date.now() - cached.timestamp < maxAge) {
+    return { ...cached, fromCache: true };
+  }
+
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const task = (async () => {
+    const lockKey = `lock:${key}`;
+    const acquire = () => store.setIfAbsent(lockKey, Date.now(), { ttl: LOCK_TTL });
+    let acquired = await acquire();
+    if (!acquired) {
+      const waited = await waitForRefresh(store, key, cached?.timestamp || 0);
+      if (waited) return { ...waited, fromCache: true };
+      if (cached) return { ...cached, fromCache: true };
+      // 持有者失敗而釋放鎖時才接手；鎖仍被持有（等待逾時）就回報錯誤，不與其他實例同時產生
+      acquired = await acquire();
+      if (!acquired) throw new Error('資料更新中，請稍後再試');
+    }
+
+    try {
+      const payload = await generate(cached?.payload ?? null);
+      const entry = { payload, timestamp: Date.now() };
+      await store.set(key, entry, { ttl });
+      return { ...entry, fromCache: false };
+    } finally {
+      // 只釋放自己取得的鎖
+      if (acquired) await store.del(lockKey);
+    }
+  })();
+
+  inFlight.set(key, task);
+  try {
+    return await task;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+async function waitForRefresh(store, key, previousTimestamp) {
+  const deadline = Date.now() + MAX_WAIT;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, WAIT_INTERVAL));
+    const entry = await store.get(key);
+    if (entry && entry.timestamp > previousTimestamp) return entry;
+    if (!(await store.get(`lock:${key}`))) return entry;
+  }
+  return null;
+}
+
+/**
+ * 每日 AI 呼叫次數（UTC 日期為界）。第一次計數時記下 lastReset 日期。
+ */
+export async function getDailyCount(store, name) {
+  return Number(await store.get(`quota:${name}:${todayKey()}`)) || 0;
+}
+
+export async function incrementDailyCount(store, name) {
+  const date = todayKey();
+  const count = await store.incr(`quota:${name}:${date}`, { ttl: 2 * 24 * 60 * 60 });
+  if (count === 1) await store.set(`quota:${name}:lastReset`, date);
+  return count;
+}
+
+/**
+ * 先原子遞增再比對上限，超過時退回，併發呼叫也不會超出 limit。回傳是否取得額度。
+ */
+export async function reserveDailyCount(store, name, limit) {
+  if (await incrementDailyCount(store, name) <= limit) return true;
+  await releaseDailyCount(store, name);
+  return false;
+}
+
+// 退回 reserveDailyCount 取得的額度（例如 AI 呼叫失敗）
+export async function releaseDailyCount(store, name) {
+  await store.incrBy(`quota:${name}:${todayKey()}`, -1);
+}
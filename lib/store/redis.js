@@ -0,0 +1,144 @@
+// lib/store/redis.js - Redis 協定（RESP2）儲存，支援 redis:// 與 rediss://，不依賴第三方套件
+
+import net from 'node:net';
+import tls from 'node:tls';
+
+const CONNECT_TIMEOUT = 5000;
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n${args.map(arg => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }).join('')}`;
+}
+
+// 從 buffer 的 offset 解析一個回覆；資料不完整時回傳 null
+export function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`無法解析的 Redis 回覆類型: ${type}`);
+  }
+}
+
+function createConnection(url) {
+  const parsed = new URL(url);
+  const options = { host: parsed.hostname, port: Number(parsed.port) || 6379 };
+  const socket = parsed.protocol === 'rediss:'
+    ? tls.connect({ ...options, servername: parsed.hostname })
+    : net.connect(options);
+  socket.setTimeout(CONNECT_TIMEOUT, () => socket.destroy(new Error('Redis 連線逾時')));
+
+  const pending = [];
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let reply;
+    while (pending.length && (reply = parseReply(buffer))) {
+      buffer = buffer.subarray(reply.offset);
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) reject(reply.value);
+      else resolve(reply.value);
+    }
+  });
+  socket.on('error', error => {
+    while (pending.length) pending.shift().reject(error);
+  });
+  socket.on('close', () => {
+    while (pending.length) pending.shift().reject(new Error('Redis 連線已關閉'));
+  });
+
+  const send = (...args) => new Promise((resolve, reject) => {
+    if (socket.destroyed) return reject(new Error('Redis 連線已關閉'));
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  });
+
+  // 指令會依序排入 socket，AUTH / SELECT 一定在第一個指令之前送出
+  const username = decodeURIComponent(parsed.username || '');
+  const password = decodeURIComponent(parsed.password || '');
+  const ready = Promise.all([
+    password ? (username ? send('AUTH', username, password) : send('AUTH', password)) : null,
+    parsed.pathname.length > 1 ? send('SELECT', parsed.pathname.slice(1)) : null
+  ]).then(() => socket.setTimeout(0));
+  ready.catch(() => socket.destroy());
+
+  return { socket, send, ready };
+}
+
+export function createRedisStore({ url, prefix = 'afh:' }) {
+  let connection = null;
+
+  const command = async (...args) => {
+    if (!connection || connection.socket.destroyed) connection = createConnection(url);
+    await connection.ready;
+    return connection.send(...args);
+  };
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const raw = await command('GET', prefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(key, value, { ttl } = {}) {
+      const args = ['SET', prefix + key, JSON.stringify(value)];
+      if (ttl) args.push('EX', Math.ceil(ttl));
+      await command(...args);
+    },
+    async setIfAbsent(key, value, { ttl } = {}) {
+      const args = ['SET', prefix + key, JSON.stringify(value), 'NX'];
+      if (ttl) args.push('EX', Math.ceil(ttl));
+      return (await command(...args)) === 'OK';
+    },
+    async incr(key, { ttl } = {}) {
+      const value = await command('INCR', prefix + key);
+      if (value === 1 && ttl) await command('EXPIRE', prefix + key, Math.ceil(ttl));
+      return value;
+    },
+    async incrBy(key, amount, { ttl } = {}) {
+      const raw = await command('INCRBYFLOAT', prefix + key, amount);
+      // 只在第一次建立時設定到期（TTL 回傳 -1 代表尚未設定）
+      if (ttl && (await command('TTL', prefix + key)) === -1) await command('EXPIRE', prefix + key, Math.ceil(ttl));
+      return Number(raw);
+    },
+    async del(key) {
+      await command('DEL', prefix + key);
+    },
+    async close() {
+      if (connection && !connection.socket.destroyed) connection.socket.end();
+      connection = null;
+    }
+  };
+}
@@ -0,0 +1,116 @@
+// lib/usage.js - AI 用量與費用記帳：每次呼叫累加到每日 / 每月計數，並依預算決定是否停用 AI
+
+import { estimateCost } from './llm/pricing.js';
+import { todayKey } from './store/index.js';
+
+const DAY_TTL = 90 * 24 * 60 * 60;
+const MONTH_TTL = 400 * 24 * 60 * 60;
+const FIELDS = ['calls', 'failures', 'promptTokens', 'completionTokens', 'cost', 'latencyMs'];
+
+function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+export function getBudgetConfig(env = process.env) {
+  const toLimit = value => (value === undefined || value === '' ? null : Number(value));
+  return {
+    currency: env.AI_BUDGET_CURRENCY || 'USD',
+    daily: toLimit(env.AI_DAILY_BUDGET),
+    monthly: toLimit(env.AI_MONTHLY_BUDGET)
+  };
+}
+
+// 登記當天出現過的 endpoint|model：setIfAbsent 讓每組只登記一次，再以 incr 取得專屬序號寫入，
+// 全程只用原子操作，併發呼叫不會互相覆寫
+async function registerPair(store, date, pair) {
+  if (!(await store.setIfAbsent(`usage:${date}:seen:${pair}`, true, { ttl: DAY_TTL }))) return;
+  const slot = await store.incr(`usage:${date}:index:count`, { ttl: DAY_TTL });
+  await store.set(`usage:${date}:index:${slot}`, pair, { ttl: DAY_TTL });
+}
+
+async function listPairs(store, day) {
+  const count = Number(await store.get(`usage:${day}:index:count`)) || 0;
+  const slots = await Promise.all(Array.from({ length: count }, (_, i) => store.get(`usage:${day}:index:${i + 1}`)));
+  return slots.filter(Boolean);
+}
+
+/**
+ * 記錄一次 AI 呼叫。計數鍵為 usage:<日期>:<endpoint>:<model>:<欄位>，
+ * 另外累加每日與每月總費用供預算判斷。
+ */
+export async function recordUsage(store, endpoint, record) {
+  const date = todayKey();
+  const model = record.model || 'unknown';
+  const cost = estimateCost(record) ?? 0;
+  const prefix = `usage:${date}:${endpoint}:${model}`;
+
+  await registerPair(store, date, `${endpoint}|${model}`);
+
+  const amounts = {
+    calls: 1,
+    failures: record.error ? 1 : 0,
+    promptTokens: record.promptTokens || 0,
+    completionTokens: record.completionTokens || 0,
+    cost,
+    latencyMs: record.latencyMs || 0
+  };
+  await Promise.all(Object.entries(amounts)
+    .filter(([, amount]) => amount !== 0)
+    .map(([field, amount]) => store.incrBy(`${prefix}:${field}`, amount, { ttl: DAY_TTL })));
+
+  if (cost > 0) {
+    await store.incrBy(`usage:${date}:cost`, cost, { ttl: DAY_TTL });
+    await store.incrBy(`usage:month:${monthKey()}:cost`, cost, { ttl: MONTH_TTL });
+  }
+}
+
+// 給 completeJSON / completeValidated 的 onUsage
+export function trackUsage(store, endpoint) {
+  return record => recordUsage(store, endpoint, record);
+}
+
+export async function getBudgetStatus(store, env = process.env) {
+  const config = getBudgetConfig(env);
+  const todaySpent = Number(await store.get(`usage:${todayKey()}:cost`)) || 0;
+  const monthSpent = Number(await store.get(`usage:month:${monthKey()}:cost`)) || 0;
+
+  const daily = { limit: config.daily, spent: todaySpent, exceeded: config.daily !== null && todaySpent >= config.daily };
+  const monthly = { limit: config.monthly, spent: monthSpent, exceeded: config.monthly !== null && monthSpent >= config.monthly };
+
+  return { currency: config.currency, daily, monthly, exceeded: daily.exceeded || monthly.exceeded };
+}
+
+/**
+ * 最近 days 天的用量，依日期 → endpoint → model 分組。
+ */
+export async function getUsageReport(store, days = 7) {
+  const report = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() - i);
+    const day = todayKey(date);
+    const index = await listPairs(store, day);
+
+    const endpoints = {};
+    const total = Object.fromEntries(FIELDS.map(field => [field, 0]));
+    for (const entry of index) {
+      const [endpoint, model] = entry.split('|');
+      const values = Object.fromEntries(await Promise.all(FIELDS.map(async field =>
+        [field, Number(await store.get(`usage:${day}:${endpoint}:${model}:${field}`)) || 0]
+      )));
+
+      endpoints[endpoint] ||= { ...Object.fromEntries(FIELDS.map(field => [field, 0])), models: {} };
+      endpoints[endpoint].models[model] = values;
+      for (const field of FIELDS) {
+        endpoints[endpoint][field] += values[field];
+        total[field] += values[field];
+      }
+    }
+
+    for (const summary of [total, ...Object.values(endpoints)]) {
+      summary.avgLatencyMs = summary.calls ? Math.round(summary.latencyMs / summary.calls) : 0;
+    }
+    report.push({ date: day, total, endpoints });
+  }
+  return report;
+}
@@ -0,0 +1,87 @@
+// scripts/alert-sink.mjs - 本機測試用的 SMTP 與 webhook 收件匣：收到的內容印在終端機並存到 .data/sink/
+//
+//   node scripts/alert-sink.mjs
+//   SMTP_URL=smtp://localhost:2525；webhook 網址填 http://localhost:8025/<任意路徑>
+
+import net from 'node:net';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const SMTP_PORT = Number(process.env.SINK_SMTP_PORT) || 2525;
+const HTTP_PORT = Number(process.env.SINK_HTTP_PORT) || 8025;
+const SINK_DIR = path.resolve(process.cwd(), '.data/sink');
+
+async function save(kind, content) {
+  await fs.mkdir(SINK_DIR, { recursive: true });
+  const file = path.join(SINK_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${kind}.txt`);
+  await fs.writeFile(file, content);
+  return file;
+}
+
+// 解出 base64 內文方便閱讀；其餘格式原樣保留
+function decodeMail(raw) {
+  const [head, ...rest] = raw.split('\r\n\r\n');
+  const body = rest.join('\r\n\r\n');
+  const subject = head.match(/^Subject: =\?UTF-8\?B\?(.+)\?=$/mi);
+  const decodedHead = subject ? head.replace(subject[0], `Subject: ${Buffer.from(subject[1], 'base64').toString()}`) : head;
+  const decodedBody = /Content-Transfer-Encoding: base64/i.test(head) ? Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString() : body;
+  return `${decodedHead}\n\n${decodedBody}`;
+}
+
+const smtp = net.createServer(socket => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: '', to: [] };
+  const reply = line => socket.write(`${line}\r\n`);
+
+  reply('220 alert-sink ESMTP');
+  socket.on('data', async chunk => {
+    buffer += chunk.toString('utf8');
+    while (true) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        const raw = buffer.slice(0, end).replace(/^\.\./gm, '.');
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        const mail = decodeMail(raw);
+        const file = await save('mail', `MAIL FROM: ${envelope.from}\nRCPT TO: ${envelope.to.join(', ')}\n\n${mail}`);
+        console.log(`\n📧 收到郵件 → ${envelope.to.join(', ')}（${file}）\n${mail}`);
+        envelope = { from: '', to: [] };
+        reply('250 OK');
+        continue;
+      }
+      const lineEnd = buffer.indexOf('\r\n');
+      if (lineEnd === -1) return;
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') reply('250-alert-sink\r\n250 AUTH PLAIN LOGIN');
+      else if (verb === 'AUTH') reply('235 OK');
+      else if (verb === 'MAIL') { envelope.from = line.slice(10); reply('250 OK'); }
+      else if (verb === 'RCPT') { envelope.to.push(line.slice(8)); reply('250 OK'); }
+      else if (verb === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (verb === 'QUIT') { reply('221 Bye'); socket.end(); return; }
+      else reply('250 OK');
+    }
+  });
+  socket.on('error', () => {});
+});
+
+const webhooks = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', async () => {
+    const body = Buffer.concat(chunks).toString();
+    let pretty = body;
+    try { pretty = JSON.stringify(JSON.parse(body), null, 2); } catch { pretty = decodeURIComponent(body.replace(/\+/g, ' ')); }
+    const file = await save('webhook', `${req.method} ${req.url}\n${req.headers['content-type'] || ''}\n\n${pretty}`);
+    console.log(`\n🔔 收到 webhook ${req.method} ${req.url}（${file}）\n${pretty}`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+});
+
+smtp.listen(SMTP_PORT, () => console.log(`SMTP 收件匣：smtp://localhost:${SMTP_PORT}`));
+webhooks.listen(HTTP_PORT, () => console.log(`Webhook 收件匣：http://localhost:${HTTP_PORT}/`));
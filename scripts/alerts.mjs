@@ -0,0 +1,43 @@
+// scripts/alerts.mjs - 提醒訂閱的命令列工具（直接讀寫 STORE_FILE / REDIS_URL 設定的 store）
+//
+//   node scripts/alerts.mjs list
+//   node scripts/alerts.mjs add '{"name":"央行動態","rule":{"type":"news","category":"央行"},"channel":{"type":"email","to":"me@example.com"}}'
+//   node scripts/alerts.mjs remove <id>
+//   node scripts/alerts.mjs run [--dry-run]
+
+import { getStore } from '../lib/store/index.js';
+import { runAlerts } from '../lib/alerts/index.js';
+import {
+  validateSubscription, listSubscriptions, addSubscription, removeSubscription, maskSubscription
+} from '../lib/alerts/subscriptions.js';
+
+async function main([command, ...args]) {
+  const store = getStore();
+  try {
+    switch (command) {
+      case 'list':
+        return (await listSubscriptions(store)).map(maskSubscription);
+      case 'add': {
+        const { subscription, errors } = validateSubscription(JSON.parse(args[0] || '{}'));
+        if (!subscription) throw new Error(`訂閱內容有誤：${errors.join('；')}`);
+        return maskSubscription(await addSubscription(store, subscription));
+      }
+      case 'remove':
+        if (!(await removeSubscription(store, args[0]))) throw new Error(`找不到此訂閱: ${args[0]}`);
+        return { removed: args[0] };
+      case 'run':
+        return runAlerts(store, { dryRun: args.includes('--dry-run') });
+      default:
+        throw new Error('用法: node scripts/alerts.mjs list | add <json> | remove <id> | run [--dry-run]');
+    }
+  } finally {
+    await store.close?.();
+  }
+}
+
+main(process.argv.slice(2))
+  .then(result => console.log(JSON.stringify(result, null, 2)))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
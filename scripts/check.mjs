@@ -0,0 +1,115 @@
+// scripts/check.mjs - 以 data/checks/ 的 fixture 檢查核心邏輯；每個 fixture 的 fn 由 scripts/checks/ 中同名的模組提供
+//
+//   node scripts/check.mjs [fixture.json ...]   未指定時檢查 data/checks/ 下所有 fixture
+//
+// fixture 為 { cases: [{ name, fn, input, expect, tolerance, throws }] }：expect 只比對列出的欄位，數字容許 tolerance
+// （預設 1e-6）的誤差，{ "between": [min, max] } 比對範圍；throws 為預期錯誤訊息的片段。
+// scripts/checks/<名稱>.mjs 的預設匯出為 async ({ load }) => ({ fn 名稱: input => 結果 })，結果可以是 Promise；
+// load(路徑) 以 Vite 載入 src/ 的模組（會匯入 JSON），lib/ 的模組直接 import 即可。
+
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { createServer } from 'vite';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CHECKS_DIR = path.join(ROOT, 'data/checks');
+const FUNCTIONS_DIR = path.join(ROOT, 'scripts/checks');
+const DEFAULT_TOLERANCE = 1e-6;
+
+// src/ 的試算模組會匯入 JSON（歷史報酬率、勞保規則），交給 Vite 載入，與前端建置的處理方式相同；第一次用到時才啟動
+function createLoader() {
+  let server = null;
+  return {
+    async load(modulePath) {
+      server ||= await createServer({
+        root: ROOT,
+        configFile: false,
+        logLevel: 'error',
+        appType: 'custom',
+        server: { middlewareMode: true, hmr: false }
+      });
+      return server.ssrLoadModule(modulePath);
+    },
+    async close() {
+      await server?.close();
+    }
+  };
+}
+
+// 回傳不符合之處；物件只比對 expected 列出的欄位，陣列需長度相同
+function compare(actual, expected, tolerance, where = '結果') {
+  const mismatch = () => [`${where} 為 ${JSON.stringify(actual)}，預期 ${JSON.stringify(expected)}`];
+  if (expected && typeof expected === 'object' && Array.isArray(expected.between)) {
+    const [min, max] = expected.between;
+    return typeof actual === 'number' && actual >= min && actual <= max ? [] : [`${where} 為 ${JSON.stringify(actual)}，預期介於 ${min} ~ ${max}`];
+  }
+  if (typeof expected === 'number') {
+    return typeof actual === 'number' && Math.abs(actual - expected) <= tolerance ? [] : mismatch();
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) return mismatch();
+    return expected.flatMap((value, index) => compare(actual[index], value, tolerance, `${where}[${index}]`));
+  }
+  if (expected && typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object') return mismatch();
+    return Object.entries(expected).flatMap(([key, value]) => compare(actual[key], value, tolerance, `${where}.${key}`));
+  }
+  return Object.is(actual, expected) ? [] : mismatch();
+}
+
+async function runCase(functions, fixture) {
+  const fn = functions[fixture.fn];
+  if (!fn) return [`未知的 fn: ${fixture.fn}`];
+  let actual;
+  try {
+    actual = await fn(fixture.input);
+  } catch (error) {
+    if (fixture.throws && error.message.includes(fixture.throws)) return [];
+    return [`拋出錯誤：${error.message}`];
+  }
+  if (fixture.throws) return [`預期拋出「${fixture.throws}」，但沒有錯誤`];
+  return compare(actual, fixture.expect, fixture.tolerance ?? DEFAULT_TOLERANCE);
+}
+
+async function loadFunctions(file, loader) {
+  const name = path.basename(file, '.json');
+  const { default: build } = await import(pathToFileURL(path.join(FUNCTIONS_DIR, `${name}.mjs`)).href);
+  return build({ load: loader.load });
+}
+
+async function check(files) {
+  const loader = createLoader();
+  let total = 0;
+  let failures = 0;
+  try {
+    for (const file of files) {
+      const { cases = [] } = JSON.parse(await readFile(file, 'utf8'));
+      const functions = await loadFunctions(file, loader);
+      for (const fixture of cases) {
+        const problems = await runCase(functions, fixture);
+        console.log(`${problems.length ? 'FAIL' : 'OK  '} ${path.basename(file).padEnd(18)} ${fixture.name}`);
+        for (const problem of problems) console.log(`     ${problem}`);
+        total++;
+        if (problems.length) failures++;
+      }
+    }
+  } finally {
+    await loader.close();
+  }
+  console.log(`\n${total - failures}/${total} 通過`);
+  if (failures) process.exitCode = 1;
+}
+
+async function listFixtures(args) {
+  if (args.length) return args.map(file => path.resolve(process.cwd(), file));
+  const names = (await readdir(CHECKS_DIR).catch(() => [])).filter(name => name.endsWith('.json')).sort();
+  return names.map(name => path.join(CHECKS_DIR, name));
+}
+
+listFixtures(process.argv.slice(2))
+  .then(check)
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
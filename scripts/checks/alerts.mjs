@@ -0,0 +1,38 @@
+// scripts/checks/alerts.mjs - data/checks/alerts.json 的 fn：訂閱驗證、新聞 / 事件比對、webhook 格式與 Email 標頭
+
+import { validateSubscription } from '../../lib/alerts/subscriptions.js';
+import { matchNews, matchEvents } from '../../lib/alerts/index.js';
+import { sendWebhook } from '../../lib/alerts/channels/webhook.js';
+import { buildMessage } from '../../lib/alerts/channels/smtp.js';
+
+// 攔下 fetch，回傳送出的網址、標頭與內容（JSON 內容先解析）
+async function captureWebhook(channel, message) {
+  const originalFetch = globalThis.fetch;
+  let request = null;
+  globalThis.fetch = async (url, options) => {
+    request = { url, headers: options.headers, body: options.body };
+    return new Response('ok');
+  };
+  try {
+    await sendWebhook(channel, message);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+  const json = request.headers['Content-Type'] === 'application/json';
+  return { ...request, body: json ? JSON.parse(request.body) : Object.fromEntries(new URLSearchParams(request.body)) };
+}
+
+export default async function functions() {
+  return {
+    validateSubscription: input => validateSubscription(input),
+    matchNews: ({ rule, news }) => matchNews(rule, news).map(item => item.key),
+    matchEvents: ({ rule, events, today }) => matchEvents(rule, events, today).map(item => item.key),
+    sendWebhook: ({ channel, message }) => captureWebhook(channel, message),
+    // Date 與 Message-ID 每次不同，只回傳其餘標頭與解碼後的內文
+    buildMessage: input => {
+      const [head, body] = buildMessage(input).split('\r\n\r\n');
+      const headers = Object.fromEntries(head.split('\r\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+      return { headers, text: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8') };
+    }
+  };
+}
@@ -0,0 +1,57 @@
+// scripts/checks/archive.mjs - data/checks/archive.json 的 fn：新聞歸檔的寫入、深度解讀、保留期限清理與查詢區間
+
+import { rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { archiveNews, attachDeepAnalysis, getArchiveItem, getArchivedIds, resolveRange } from '../../lib/news/archive.js';
+import { createFileStore } from '../../lib/store/file.js';
+
+export default async function functions() {
+  let runs = 0;
+  // 每個 case 使用全新的暫存檔；retentionDays 暫時設為 ARCHIVE_RETENTION_DAYS
+  const withStore = async (retentionDays, fn) => {
+    const filePath = path.join(os.tmpdir(), `ai-finance-hub-check-archive-${process.pid}-${++runs}.json`);
+    const previous = process.env.ARCHIVE_RETENTION_DAYS;
+    if (retentionDays) process.env.ARCHIVE_RETENTION_DAYS = String(retentionDays);
+    else delete process.env.ARCHIVE_RETENTION_DAYS;
+    try {
+      return await fn(createFileStore({ filePath }));
+    } finally {
+      if (previous === undefined) delete process.env.ARCHIVE_RETENTION_DAYS;
+      else process.env.ARCHIVE_RETENTION_DAYS = previous;
+      await rm(filePath, { force: true });
+    }
+  };
+
+  return {
+    // 依序執行 steps：{ now, news } 歸檔（parallel 為 true 時同時送出多批），{ deep: { item, analysis } } 附上深度解讀；
+    // 回傳每一步的結果、兩個索引（及其中的日期 / id 清單）、dates 中各日檔案是否存在與 lookup 中各 id 的歸檔內容
+    archive: ({ retentionDays, steps, dates = [], lookup = [] }) => withStore(retentionDays, async store => {
+      const results = [];
+      for (const step of steps) {
+        if (step.deep) results.push(await attachDeepAnalysis(store, step.deep.item, step.deep.analysis));
+        else if (step.parallel) results.push(await Promise.all(step.batches.map(news => archiveNews(store, news, { now: new Date(step.now) }))));
+        else results.push(await archiveNews(store, step.news, { now: new Date(step.now) }));
+      }
+      const days = await store.get('archive:days');
+      const ids = await store.get('archive:ids');
+      const dayFiles = {};
+      for (const date of dates) dayFiles[date] = Boolean(await store.get(`archive:day:${date}`));
+      const items = {};
+      for (const id of lookup) items[id] = await getArchiveItem(store, id);
+      return {
+        results,
+        days,
+        ids,
+        dayList: Object.keys(days || {}).sort(),
+        idList: Object.keys(ids || {}).sort(),
+        dayFiles,
+        items,
+        // 含有「N 小時前」、個人化欄位等不應歸檔欄位的 id
+        transient: lookup.filter(id => ['time', 'relevance', 'watchlistNote', 'noteSource'].some(field => items[id]?.[field] !== undefined)),
+        archivedIds: await getArchivedIds(store)
+      };
+    }),
+    resolveRange: ({ from, to, now }) => resolveRange({ from, to }, new Date(now))
+  };
+}
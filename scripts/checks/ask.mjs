@@ -0,0 +1,45 @@
+// scripts/checks/ask.mjs - data/checks/ask.json 的 fn：問答 API 的參數檢查、對話紀錄整理與限流
+
+import { rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import handler, { normalizeHistory } from '../../api/ask.js';
+import { parseRateLimits, checkRateLimit } from '../../lib/rate-limit.js';
+import { createFileStore } from '../../lib/store/file.js';
+
+// 只記錄狀態碼與 JSON 回應，參數錯誤的請求不會進到串流
+function createResponse() {
+  const response = { status: 200, headers: {}, body: null };
+  const res = {
+    setHeader: (name, value) => { response.headers[name] = value; },
+    status: code => { response.status = code; return res; },
+    json: body => { response.body = body; return res; },
+    end: () => res
+  };
+  return { res, response };
+}
+
+export default async function functions() {
+  let runs = 0;
+  return {
+    request: async ({ method = 'POST', body }) => {
+      const { res, response } = createResponse();
+      await handler({ method, body, headers: {} }, res);
+      return response;
+    },
+    normalizeHistory: ({ history }) => normalizeHistory(history),
+    parseRateLimits: ({ value, fallback }) => parseRateLimits(value, fallback),
+    // 同一 IP 連續送出 count 次，回傳每次是否放行；每個 case 使用全新的暫存檔
+    checkRateLimit: async ({ name, count, limits }) => {
+      const filePath = path.join(os.tmpdir(), `ai-finance-hub-check-ask-${process.pid}-${++runs}.json`);
+      const store = createFileStore({ filePath });
+      try {
+        const results = [];
+        for (let i = 0; i < count; i++) results.push((await checkRateLimit(store, name, '203.0.113.1', limits)).allowed);
+        return results;
+      } finally {
+        await rm(filePath, { force: true });
+      }
+    }
+  };
+}
@@ -0,0 +1,12 @@
+// scripts/checks/compound.mjs - data/checks/compound.json 的 fn：複利與定期定額試算
+
+export default async function functions({ load }) {
+  const compound = await load('/src/lib/compound.js');
+  return {
+    // 逐年明細只比對年數與最後一列
+    projectInvestment: input => {
+      const { rows, ...result } = compound.projectInvestment(input);
+      return { ...result, years: rows.length, lastRow: rows.at(-1) ?? null };
+    }
+  };
+}
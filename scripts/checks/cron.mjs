@@ -0,0 +1,9 @@
+// scripts/checks/cron.mjs - data/checks/cron.json 的 fn：cron 表示式的下次執行時間
+
+import { nextCronRun } from '../../lib/cron.js';
+
+export default async function functions() {
+  return {
+    nextCronRun: ({ expression, from }) => nextCronRun(expression, new Date(from))?.toISOString() ?? null
+  };
+}
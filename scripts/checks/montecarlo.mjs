@@ -0,0 +1,12 @@
+// scripts/checks/montecarlo.mjs - data/checks/montecarlo.json 的 fn：蒙地卡羅退休模擬
+
+export default async function functions({ load }) {
+  const montecarlo = await load('/src/lib/montecarlo.js');
+  return {
+    // 百分位資產帶太長，只比對摘要與年數
+    simulateRetirement: ({ input, settings }) => {
+      const { ages, bands, ...result } = montecarlo.simulateRetirement(input, settings);
+      return { ...result, years: ages.length };
+    }
+  };
+}
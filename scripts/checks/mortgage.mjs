@@ -0,0 +1,13 @@
+// scripts/checks/mortgage.mjs - data/checks/mortgage.json 的 fn：房貸攤還與分段利率
+
+export default async function functions({ load }) {
+  const mortgage = await load('/src/lib/mortgage.js');
+  return {
+    // 攤還表只比對最後一期
+    amortize: input => {
+      const { schedule, ...result } = mortgage.amortize(input);
+      return { ...result, lastPayment: schedule.at(-1)?.payment ?? 0, finalBalance: schedule.at(-1)?.balance ?? 0 };
+    },
+    rateForMonth: ({ rates, month }) => mortgage.rateForMonth(rates, month)
+  };
+}
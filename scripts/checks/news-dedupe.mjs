@@ -0,0 +1,17 @@
+// scripts/checks/news-dedupe.mjs - data/checks/news-dedupe.json 的 fn：網址正規化、標題相似度與多來源合併排序
+
+import { canonicalizeUrl, titleSimilarity, mergeArticles, rankArticles } from '../../lib/news/dedupe.js';
+
+export default async function functions() {
+  return {
+    canonicalizeUrl: ({ url }) => canonicalizeUrl(url),
+    titleSimilarity: ({ a, b }) => titleSimilarity(a, b),
+    mergeArticles: ({ articles }) => mergeArticles(articles).map(article => ({
+      title: article.title,
+      canonicalUrl: article.canonicalUrl,
+      publishedAt: article.publishedAt,
+      sources: article.sources.map(source => source.name)
+    })),
+    rankArticles: ({ articles, now }) => rankArticles(articles, new Date(now).getTime()).map(article => article.title)
+  };
+}
@@ -0,0 +1,19 @@
+// scripts/checks/personalize.mjs - data/checks/personalize.json 的 fn：關注清單解析、相關度計分與排序、註解快取鍵
+
+import { parseWatchlist, scoreNews, rankNews, noteKey } from '../../lib/news/personalize.js';
+
+export default async function functions() {
+  return {
+    parseWatchlist,
+    scoreNews: ({ item, watchlist }) => scoreNews(item, parseWatchlist(watchlist)),
+    rankNews: ({ news, watchlist }) => rankNews(news, parseWatchlist(watchlist)).map(item => ({ id: item.id, score: item.relevance.score })),
+    // 比較兩組命中項目產生的快取鍵；鍵只能由新聞 id 與命中項目的雜湊組成
+    noteKeys: ({ id, matched }) => {
+      const keys = matched.map(value => noteKey({ id, relevance: { matched: value } }));
+      return {
+        same: keys.every(key => key === keys[0]),
+        wellFormed: keys.every(key => new RegExp(`^news:note:${id}:[0-9a-f]{12}$`).test(key))
+      };
+    }
+  };
+}
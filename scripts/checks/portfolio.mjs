@@ -0,0 +1,29 @@
+// scripts/checks/portfolio.mjs - data/checks/portfolio.json 的 fn：持股整理、匯入、配置與損益、持股新聞比對
+
+export default async function functions({ load }) {
+  const portfolio = await load('/src/lib/portfolio.js');
+  // 未指定 id 時會產生亂數 id，比對時略過
+  const withoutId = ({ id, ...holding }) => holding;
+  return {
+    normalizeHolding: input => {
+      const holding = portfolio.normalizeHolding(input);
+      return holding && withoutId(holding);
+    },
+    importPortfolio: ({ text }) => {
+      const { holdings, skipped } = portfolio.importPortfolio(text);
+      return { holdings: holdings.map(withoutId), skipped };
+    },
+    // 以記憶體中的 storage 存入再讀回
+    roundTrip: ({ holdings }) => {
+      const data = new Map();
+      const storage = { getItem: key => data.get(key) ?? null, setItem: (key, value) => data.set(key, value) };
+      portfolio.savePortfolio(holdings, storage);
+      return portfolio.loadPortfolio(storage);
+    },
+    summarizePortfolio: ({ holdings, quotes, fx }) => {
+      const { rows, ...summary } = portfolio.summarizePortfolio(holdings, { quotes, fx });
+      return { ...summary, rows: rows.map(row => ({ ticker: row.ticker, marketValue: row.marketValue, pl: row.pl, plPercent: row.plPercent })) };
+    },
+    matchNewsToHoldings: ({ news, holdings }) => portfolio.matchNewsToHoldings(news, holdings)
+  };
+}
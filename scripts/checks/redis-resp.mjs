@@ -0,0 +1,14 @@
+// scripts/checks/redis-resp.mjs - data/checks/redis-resp.json 的 fn：Redis RESP 回覆解析
+
+import { parseReply } from '../../lib/store/redis.js';
+
+export default async function functions() {
+  return {
+    // 錯誤回覆轉成 { error } 才能在 JSON 中比對
+    parseReply: ({ reply }) => {
+      const result = parseReply(Buffer.from(reply));
+      if (!result) return null;
+      return { value: result.value instanceof Error ? { error: result.value.message } : result.value, offset: result.offset };
+    }
+  };
+}
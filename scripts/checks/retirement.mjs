@@ -0,0 +1,17 @@
+// scripts/checks/retirement.mjs - data/checks/retirement.json 的 fn：退休試算（逐年推估與所需月投入）
+
+export default async function functions({ load }) {
+  const retirement = await load('/src/lib/retirement.js');
+  return {
+    monthlyRate: ({ annualPercent }) => retirement.monthlyRate(annualPercent),
+    // 逐年明細只比對年數與最後一年
+    projectRetirement: input => {
+      const { rows, ...result } = retirement.projectRetirement(input);
+      return { ...result, years: rows.length, lastRow: rows.at(-1) ?? null };
+    },
+    planRetirement: input => {
+      const { rows, ...result } = retirement.planRetirement(input);
+      return result;
+    }
+  };
+}
@@ -0,0 +1,10 @@
+// scripts/checks/surprise.mjs - data/checks/surprise.json 的 fn：經濟數據數值解析與意外幅度
+
+import { parseValue, computeSurprise } from '../../lib/calendar/surprise.js';
+
+export default async function functions() {
+  return {
+    parseValue: ({ text }) => parseValue(text),
+    computeSurprise: event => computeSurprise(event)
+  };
+}
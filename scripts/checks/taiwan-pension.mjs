@@ -0,0 +1,15 @@
+// scripts/checks/taiwan-pension.mjs - data/checks/taiwan-pension.json 的 fn：勞保老年給付與勞退個人專戶
+//
+// 規則版本以 input.date 指定，法規參數每年更新時這裡的預期值不會跟著變動。
+
+export default async function functions({ load }) {
+  const pension = await load('/src/lib/taiwanPension.js');
+  const rulesAt = date => pension.getPensionRules(new Date(`${date}T00:00:00Z`));
+  return {
+    getPensionRules: ({ date }) => rulesAt(date).version,
+    laborInsuranceClaimAge: ({ birthYear, date }) => pension.laborInsuranceClaimAge(birthYear, rulesAt(date)),
+    estimateLaborInsurance: ({ date, ...input }) => pension.estimateLaborInsurance(input, rulesAt(date)),
+    estimateLaborPension: ({ date, ...input }) => pension.estimateLaborPension(input, rulesAt(date)),
+    buildTaiwanPensionPlan: ({ date, retirement, taiwan }) => pension.buildTaiwanPensionPlan(retirement, taiwan, rulesAt(date))
+  };
+}
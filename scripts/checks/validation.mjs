@@ -0,0 +1,40 @@
+// scripts/checks/validation.mjs - data/checks/validation.json 的 fn：AI 輸出的 schema 驗證與修正輪
+
+import { validateValue, validateItems } from '../../lib/llm/validate.js';
+import { completeValidated } from '../../lib/llm/index.js';
+
+// 依序回傳 responses 的假供應商；記下收到的提示，確認修正輪有帶上錯誤說明
+function createScriptedProvider(responses) {
+  const prompts = [];
+  return {
+    prompts,
+    provider: {
+      name: 'scripted',
+      model: 'scripted',
+      async complete({ prompt }) {
+        prompts.push(prompt);
+        if (prompts.length > responses.length) throw new Error('沒有更多預設回應');
+        return { text: responses[prompts.length - 1], model: 'scripted', usage: {} };
+      }
+    }
+  };
+}
+
+export default async function functions() {
+  return {
+    validateValue: ({ value, schema }) => validateValue(value, schema),
+    validateItems: ({ data, schema }) => {
+      const { validPositions, invalid } = validateItems(data, schema);
+      return { validPositions, invalid: invalid.map(({ position, errors }) => ({ position, errors })) };
+    },
+    // keyField 為辨識項目的欄位；回傳中另附呼叫次數與修正提示是否列出問題
+    completeValidated: async ({ responses, schema, keyField }) => {
+      const { provider, prompts } = createScriptedProvider(responses);
+      const result = await completeValidated('提示', schema, {
+        provider,
+        ...(keyField ? { key: item => item[keyField] } : {})
+      });
+      return { ...result, calls: prompts.length, repairPrompted: prompts.slice(1).some(prompt => prompt.includes('其中有以下問題')) };
+    }
+  };
+}
@@ -0,0 +1,49 @@
+// scripts/extract.mjs - 原文擷取工具：檢視單一網頁的擷取結果，或以已存好的 HTML fixture 檢查擷取規則
+//
+//   node scripts/extract.mjs <網址或 HTML 檔案>
+//   node scripts/extract.mjs --check [data/articles/index.json]   逐一比對 fixture 的 method / contains / excludes
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { extractArticle } from '../lib/news/extract.js';
+import { fetchArticleHtml } from '../lib/news/fulltext.js';
+
+async function show(location) {
+  const html = /^https?:\/\//i.test(location)
+    ? (await fetchArticleHtml(location)).html
+    : await readFile(path.resolve(process.cwd(), location), 'utf8');
+  const { text, ...result } = extractArticle(html);
+  console.log(JSON.stringify(result, null, 2));
+  console.log(`\n${text || '（找不到正文）'}`);
+}
+
+async function check(indexFile) {
+  const indexPath = path.resolve(process.cwd(), indexFile);
+  const { articles = [] } = JSON.parse(await readFile(indexPath, 'utf8'));
+  let failures = 0;
+  for (const fixture of articles) {
+    const { text, method } = extractArticle(await readFile(path.resolve(path.dirname(indexPath), fixture.file), 'utf8'));
+    const problems = [
+      ...(fixture.method && method !== fixture.method ? [`method 為 ${method}，預期 ${fixture.method}`] : []),
+      ...(fixture.contains || []).filter(phrase => !text.includes(phrase)).map(phrase => `缺少「${phrase}」`),
+      ...(fixture.excludes || []).filter(phrase => text.includes(phrase)).map(phrase => `不應包含「${phrase}」`)
+    ];
+    console.log(`${problems.length ? 'FAIL' : 'OK  '} ${fixture.file.padEnd(24)} ${method.padEnd(11)} ${String(text.length).padStart(6)} 字`);
+    for (const problem of problems) console.log(`     ${problem}`);
+    if (problems.length) failures++;
+  }
+  console.log(`\n${articles.length - failures}/${articles.length} 通過`);
+  if (failures) process.exitCode = 1;
+}
+
+const [first, second] = process.argv.slice(2);
+const task = first === '--check' ? check(second || 'data/articles/index.json') : first ? show(first) : null;
+if (!task) {
+  console.error('用法: node scripts/extract.mjs <網址或 HTML 檔案> | --check [index.json]');
+  process.exitCode = 1;
+} else {
+  task.catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,57 @@
+// scripts/refresh.mjs - 在本機執行排程更新（寫入 STORE_FILE / REDIS_URL 設定的 store）
+//
+//   node scripts/refresh.mjs                 執行一次
+//   node scripts/refresh.mjs --only=news     只更新新聞（可用逗號列出多項）
+//   node scripts/refresh.mjs --watch         依 REFRESH_CRON 持續執行，Ctrl+C 結束
+
+import { getStore } from '../lib/store/index.js';
+import { runRefresh, REFRESH_TASKS } from '../lib/refresh.js';
+import { getRefreshCron } from '../lib/schedule.js';
+import { nextCronRun } from '../lib/cron.js';
+
+const args = process.argv.slice(2);
+const onlyArg = args.find(arg => arg.startsWith('--only='));
+const only = onlyArg ? onlyArg.slice(7).split(',').filter(name => REFRESH_TASKS.includes(name)) : null;
+
+function printRun(run) {
+  if (run.skipped) return console.log(`略過：${run.reason}`);
+  for (const task of run.tasks) {
+    const state = task.skipped ? `略過（${task.skipped}）` : task.ok ? 'OK' : `失敗：${task.error}`;
+    console.log(`${task.name.padEnd(9)} ${String(task.durationMs).padStart(6)} ms  ${state}${task.detail ? `  ${JSON.stringify(task.detail)}` : ''}`);
+  }
+  console.log(`完成，共 ${run.durationMs} ms`);
+}
+
+async function main() {
+  const store = getStore();
+  if (!args.includes('--watch')) {
+    try {
+      const run = await runRefresh(store, { only, trigger: 'cli' });
+      printRun(run);
+      if (run.skipped || !run.ok) process.exitCode = 1;
+    } finally {
+      await store.close?.();
+    }
+    return;
+  }
+
+  const cron = getRefreshCron();
+  while (true) {
+    printRun(await runRefresh(store, { only, trigger: 'cli' }));
+    const next = nextCronRun(cron);
+    if (!next) {
+      // 例如 2 月 30 日這類永遠不會出現的日期
+      console.error(`REFRESH_CRON（${cron}）找不到下次執行時間，停止 --watch`);
+      process.exitCode = 1;
+      await store.close?.();
+      return;
+    }
+    console.log(`下次執行：${next.toISOString()}（${cron}）\n`);
+    await new Promise(resolve => setTimeout(resolve, next - Date.now()));
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
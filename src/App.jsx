@@ -1,41 +1,255 @@
-import React, { useState, useEffect } from 'react';
-import { TrendingUp, Calculator, Calendar, Newspaper, Menu, X, Sparkles, RefreshCw, ExternalLink } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { TrendingUp, Calculator, Calendar, Newspaper, Menu, X, Sparkles, RefreshCw, ExternalLink, Search, FileText, Download, Copy, Briefcase, Upload, Trash2, MessageCircle, Send, BookOpen, History, ChevronLeft, ChevronRight } from 'lucide-react';
+import { planRetirement } from './lib/retirement.js';
+import { LineChart, StackedBarChart, formatCompact } from './components/Charts.jsx';
+import DeepAnalysis from './components/DeepAnalysis.jsx';
+import ArchiveNewsCard from './components/ArchiveNewsCard.jsx';
+import ShareLinkButton from './components/ShareLinkButton.jsx';
+import { projectInvestment } from './lib/compound.js';
+import { parseTerms, hasWatchlistTerms, loadWatchlist, saveWatchlist } from './lib/watchlist.js';
+import { MAX_QUESTION_LENGTH, threadKey, streamAnswer } from './lib/ask.js';
+import { TABS, parseRoute, buildPath, newsPath, eventPath, eventDate, encodeInputs, decodeInputs } from './lib/routes.js';
+import { HOLDING_ASSET_CLASSES, loadPortfolio, savePortfolio, exportPortfolio, importPortfolio, normalizeHolding, summarizePortfolio, matchNewsToHoldings } from './lib/portfolio.js';
+import { HISTORY_RANGE } from './lib/montecarlo.js';
+import { buildTaiwanPensionPlan } from './lib/taiwanPension.js';
+import { REPAYMENT_METHODS, PREPAYMENT_MODES, amortize, comparePrepayments, scheduleToCSV } from './lib/mortgage.js';
+
+const ASSET_CLASS_LABELS = { equities: '股票', bonds: '債券', fx: '外匯', commodities: '原物料' };
+const HORIZON_LABELS = { short: '短期', medium: '中期', long: '長期' };
+const CONFIDENCE_LABELS = { low: '低', medium: '中', high: '高' };
+const HOLDING_ASSET_CLASS_LABELS = { ...ASSET_CLASS_LABELS, cash: '現金' };
+const EMPTY_HOLDING = { ticker: '', name: '', quantity: '', costBasis: '', currency: 'TWD', assetClass: 'equities' };
+
+// 計算器預設輸入；分享連結只帶與預設值不同的欄位
+const DEFAULT_COMPOUND = {
+  principal: 100000,
+  rate: 7,
+  years: 10,
+  frequency: 12,
+  contribution: 5000,
+  contributionFrequency: 12,
+  timing: 'end',
+  stepUp: 0,
+  managementFee: 0.3,
+  transactionFee: 0,
+  dividendYield: 2,
+  dividendTax: 0,
+  inflationRate: 2
+};
+const DEFAULT_MORTGAGE = {
+  principal: 10000000,
+  years: 30,
+  method: 'equalPayment',
+  graceMonths: 0,
+  rates: [{ fromMonth: 1, rate: 2.185 }],
+  prepayments: [
+    { month: 60, amount: 1000000, everyMonths: 0, mode: 'shorten' },
+    { month: 12, amount: 100000, everyMonths: 12, mode: 'shorten' }
+  ]
+};
+const DEFAULT_RETIREMENT = {
+  currentAge: 30,
+  retireAge: 60,
+  monthlyExpense: 30000,
+  currentSavings: 500000,
+  monthlyContribution: 10000,
+  returnRate: 9,
+  lifeExpectancy: 85,
+  postReturnRate: 4,
+  inflationRate: 2,
+  contributionGrowth: 2,
+  events: [
+    { age: 40, amount: -3000000, label: '購屋頭期款' }
+  ]
+};
+const DEFAULT_TAIWAN_PENSION = {
+  enabled: true,
+  monthlySalary: 45000,
+  salaryGrowth: 2,
+  insuredYears: 5,
+  pensionYears: 5,
+  pensionBalance: 200000,
+  voluntaryRate: 0,
+  pensionReturn: 3,
+  laborInsuranceClaimAge: 0
+};
+const DEFAULT_SIMULATION = {
+  enabled: false,
+  mode: 'normal',
+  paths: 2000,
+  volatility: 15,
+  preStocks: 80,
+  preBonds: 20,
+  postStocks: 40,
+  postBonds: 50
+};
+
+// 網址指向該計算器時以查詢字串的值為初始輸入
+function calculatorInputs(route, name, defaults, prefix = '') {
+  return route.calculator === name ? decodeInputs(route.query, defaults, prefix) : defaults;
+}
+
+// 事件網址依事件日期決定載入未來或過去的清單，其餘依 ?mode=past
+function calendarModeFor(route) {
+  if (route.tab !== 'calendar') return 'upcoming';
+  if (route.eventId) return eventDate(route.eventId) < new Date().toISOString().slice(0, 10) ? 'past' : 'upcoming';
+  return route.query.get('mode') === 'past' ? 'past' : 'upcoming';
+}
+
+// 情緒分數 -1 ~ 1：> 0.2 偏多、< -0.2 偏空，其餘視為中性
+function sentimentStyle(score) {
+  if (score > 0.2) return { arrow: '▲', className: 'bg-green-50 text-green-700 border-green-200' };
+  if (score < -0.2) return { arrow: '▼', className: 'bg-red-50 text-red-700 border-red-200' };
+  return { arrow: '◆', className: 'bg-gray-50 text-gray-600 border-gray-200' };
+}
 
 function App() {
-  const [activeTab, setActiveTab] = useState('news');
+  const [route, setRoute] = useState(() => parseRoute(window.location));
+  const activeTab = route.tab;
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [newsData, setNewsData] = useState([]);
   const [newsLoading, setNewsLoading] = useState(false);
   const [newsError, setNewsError] = useState(null);
+  const [newsFilters, setNewsFilters] = useState({ category: null, region: null, q: '', ticker: null });
+  const [newsSearchInput, setNewsSearchInput] = useState('');
+  const [newsTaxonomy, setNewsTaxonomy] = useState({ categories: [], regions: [] });
+  const [newsCursor, setNewsCursor] = useState(null);
+  const [newsLoadingMore, setNewsLoadingMore] = useState(false);
+  const newsSentinelRef = useRef(null);
+  const [watchlist, setWatchlist] = useState(() => loadWatchlist());
+  const [watchlistDraft, setWatchlistDraft] = useState(null);
   const [economicCalendar, setEconomicCalendar] = useState([]);
-  const [calendarLoading, setCalendarLoading] = useState(false);
+  // 掛載時立即載入日曆，初始即視為載入中
+  const [calendarLoading, setCalendarLoading] = useState(true);
+  const [calendarMode, setCalendarMode] = useState(() => calendarModeFor(route));
+  const [calendarLookup, setCalendarLookup] = useState(null);
+  const [calendarError, setCalendarError] = useState(null);
+  const [briefing, setBriefing] = useState(null);
+  const [briefingLoading, setBriefingLoading] = useState(false);
+  const [briefingError, setBriefingError] = useState(null);
+  const [briefingCopied, setBriefingCopied] = useState(false);
+  const [holdings, setHoldings] = useState(() => loadPortfolio());
+  const [holdingDraft, setHoldingDraft] = useState(EMPTY_HOLDING);
+  const [quoteData, setQuoteData] = useState(null);
+  const [quotesLoading, setQuotesLoading] = useState(false);
+  const [portfolioMessage, setPortfolioMessage] = useState(null);
+  // 問 AI：askTarget 為目前開啟的新聞或事件 { type, id, title, date }，每則各自保留對話
+  const [askTarget, setAskTarget] = useState(null);
+  const [askThreads, setAskThreads] = useState({});
+  const [askInput, setAskInput] = useState('');
+  const [askStreaming, setAskStreaming] = useState(false);
+  // 深度解讀依新聞 id 保存 { open, loading, data, error }，只在使用者點開時才向伺服器要
+  const [deepAnalyses, setDeepAnalyses] = useState({});
+  // 分享連結指向的新聞不在目前列表時，改從歸檔讀取 { id, news, error }
+  const [sharedNews, setSharedNews] = useState(null);
+  const [archiveFilters, setArchiveFilters] = useState({ q: '', from: '', to: '' });
+  const [archiveSearchInput, setArchiveSearchInput] = useState('');
+  const [archiveResult, setArchiveResult] = useState(null);
+  const [archiveDay, setArchiveDay] = useState(null);
+  const [archiveLoading, setArchiveLoading] = useState(false);
+  const [archiveError, setArchiveError] = useState(null);
+  const archiveQueryRef = useRef(null);
+  const portfolioFileRef = useRef(null);
   
-  const [compoundInterest, setCompoundInterest] = useState({
-    principal: 100000,
-    rate: 7,
-    years: 10,
-    frequency: 12
-  });
+  const [compoundInterest, setCompoundInterest] = useState(() => calculatorInputs(route, 'compound', DEFAULT_COMPOUND));
+
+
+  const [mortgage, setMortgage] = useState(() => calculatorInputs(route, 'mortgage', DEFAULT_MORTGAGE));
+  // 攤還表顯示的方案：'base' 為不提前還款、'all' 為全部提前還款合併，數字為 prepayments 的索引
+  const [mortgageView, setMortgageView] = useState('base');
+  const [showMortgageTable, setShowMortgageTable] = useState(false);
   
-  const [retirementCalc, setRetirementCalc] = useState({
-    currentAge: 30,
-    retireAge: 60,
-    monthlyExpense: 30000,
-    currentSavings: 500000,
-    monthlyContribution: 10000,
-    returnRate: 9
-  });
-
-  const fetchNews = async () => {
+  const [retirementCalc, setRetirementCalc] = useState(() => calculatorInputs(route, 'retirement', DEFAULT_RETIREMENT));
+  const [showRetirementTable, setShowRetirementTable] = useState(false);
+  const [taiwanPension, setTaiwanPension] = useState(() => calculatorInputs(route, 'retirement', DEFAULT_TAIWAN_PENSION, 'pension.'));
+  const [simulation, setSimulation] = useState(() => calculatorInputs(route, 'retirement', DEFAULT_SIMULATION, 'sim.'));
+  const [simulationResult, setSimulationResult] = useState(null);
+  const [simulationRunning, setSimulationRunning] = useState(false);
+  const simulationWorkerRef = useRef(null);
+  const simulationRequestRef = useRef(0);
+
+  // 勞保年金與勞退月退休金併入退休試算：定期收入抵減提領，未達年金門檻時改以一次金計入
+  const pensionPlan = useMemo(
+    () => (taiwanPension.enabled ? buildTaiwanPensionPlan(retirementCalc, taiwanPension) : null),
+    [retirementCalc, taiwanPension]
+  );
+  const retirementInput = useMemo(
+    () => (pensionPlan
+      ? { ...retirementCalc, incomes: pensionPlan.incomes, events: [...retirementCalc.events, ...pensionPlan.events] }
+      : retirementCalc),
+    [retirementCalc, pensionPlan]
+  );
+
+  // 網址是分頁與分享狀態的來源：站內切換用 pushState，計算器輸入變動用 replaceState，避免塞滿上一頁紀錄
+  const navigate = (path, { replace = false } = {}) => {
+    if (path === `${window.location.pathname}${window.location.search}`) return;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    setRoute(parseRoute(window.location));
+  };
+
+  const calculatorPath = (name) => {
+    if (name === 'compound') return buildPath(['calculator', name], encodeInputs(compoundInterest, DEFAULT_COMPOUND));
+    if (name === 'mortgage') return buildPath(['calculator', name], encodeInputs(mortgage, DEFAULT_MORTGAGE));
+    const params = encodeInputs(retirementCalc, DEFAULT_RETIREMENT);
+    encodeInputs(taiwanPension, DEFAULT_TAIWAN_PENSION, 'pension.', params);
+    encodeInputs(simulation, DEFAULT_SIMULATION, 'sim.', params);
+    return buildPath(['calculator', name], params);
+  };
+
+  // 上一頁 / 下一頁回到某個試算時，輸入改回該網址的值
+  useEffect(() => {
+    const onPopState = () => {
+      const next = parseRoute(window.location);
+      setRoute(next);
+      if (next.calculator === 'compound') setCompoundInterest(calculatorInputs(next, 'compound', DEFAULT_COMPOUND));
+      if (next.calculator === 'mortgage') {
+        setMortgage(calculatorInputs(next, 'mortgage', DEFAULT_MORTGAGE));
+        setMortgageView('base');
+      }
+      if (next.calculator === 'retirement') {
+        setRetirementCalc(calculatorInputs(next, 'retirement', DEFAULT_RETIREMENT));
+        setTaiwanPension(calculatorInputs(next, 'retirement', DEFAULT_TAIWAN_PENSION, 'pension.'));
+        setSimulation(calculatorInputs(next, 'retirement', DEFAULT_SIMULATION, 'sim.'));
+      }
+    };
+    window.addEventListener('popstate', onPopState);
+    // 舊版的 /#calculator 等錨點網址改寫成正式路徑
+    if (TABS.includes(window.location.hash.slice(1))) window.history.replaceState(null, '', `/${route.tab}`);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const buildNewsQuery = (filters, cursor) => {
+    const params = new URLSearchParams();
+    if (filters.category) params.set('category', filters.category);
+    if (filters.region) params.set('region', filters.region);
+    if (filters.q) params.set('q', filters.q);
+    if (filters.ticker) params.set('ticker', filters.ticker);
+    if (cursor) params.set('cursor', cursor);
+    const query = params.toString();
+    return query ? `/api/news?${query}` : '/api/news';
+  };
+
+  const watchlistActive = watchlist.enabled && hasWatchlistTerms(watchlist);
+
+  // 啟用關注清單時改打 /api/news/personalized：依相關度排序並附上說明，篩選條件與分頁不適用
+  const fetchNews = async (filters = newsFilters, personalized = watchlistActive, list = watchlist) => {
     setNewsLoading(true);
     setNewsError(null);
     
     try {
-      const response = await fetch('/api/news');
+      const response = personalized
+        ? await fetch('/api/news/personalized', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ watchlist: list, limit: 30 })
+        })
+        : await fetch(buildNewsQuery(filters));
       const data = await response.json();
       
       if (data.success) {
         setNewsData(data.news);
+        setNewsCursor(data.nextCursor || null);
+        if (data.taxonomy) setNewsTaxonomy(data.taxonomy);
       } else {
         throw new Error(data.error || '抓取新聞失敗');
       }
@@ -53,59 +267,206 @@ function App() {
           category: "系統訊息"
         }
       ]);
+      setNewsCursor(null);
     } finally {
       setNewsLoading(false);
     }
   };
 
-  const fetchCalendar = async () => {
+  const loadMoreNews = async () => {
+    if (!newsCursor || newsLoadingMore) return;
+    setNewsLoadingMore(true);
+
+    try {
+      const response = await fetch(buildNewsQuery(newsFilters, newsCursor));
+      const data = await response.json();
+
+      if (data.success) {
+        setNewsData(current => [...current, ...data.news.filter(item => !current.some(existing => existing.id === item.id))]);
+        setNewsCursor(data.nextCursor || null);
+      } else {
+        setNewsCursor(null);
+      }
+    } catch (error) {
+      console.error('載入更多新聞錯誤:', error);
+      setNewsCursor(null);
+    } finally {
+      setNewsLoadingMore(false);
+    }
+  };
+
+  const updateNewsFilters = (changes) => {
+    const filters = { ...newsFilters, ...changes };
+    setNewsFilters(filters);
+    if (watchlistActive) {
+      const next = { ...watchlist, enabled: false };
+      setWatchlist(next);
+      saveWatchlist(next);
+    }
+    fetchNews(filters, false);
+  };
+
+  const updateWatchlist = (next) => {
+    setWatchlist(next);
+    saveWatchlist(next);
+    fetchNews(newsFilters, next.enabled && hasWatchlistTerms(next), next);
+  };
+
+  const saveWatchlistDraft = () => {
+    updateWatchlist({
+      enabled: true,
+      tickers: parseTerms(watchlistDraft.tickers).map(ticker => ticker.toUpperCase()),
+      sectors: parseTerms(watchlistDraft.sectors),
+      keywords: parseTerms(watchlistDraft.keywords)
+    });
+    setWatchlistDraft(null);
+  };
+
+  const toggleDeepAnalysis = async (id) => {
+    const current = deepAnalyses[id];
+    if (current?.data || current?.loading) {
+      setDeepAnalyses(prev => ({ ...prev, [id]: { ...prev[id], open: !prev[id].open } }));
+      return;
+    }
+    setDeepAnalyses(prev => ({ ...prev, [id]: { open: true, loading: true, data: null, error: null } }));
+    try {
+      const response = await fetch(`/api/news/deep?id=${encodeURIComponent(id)}`);
+      const data = await response.json();
+      setDeepAnalyses(prev => ({
+        ...prev,
+        [id]: { open: true, loading: false, data: data.success ? data.analysis : null, error: data.success ? null : data.error }
+      }));
+    } catch (error) {
+      console.error('深度解讀抓取錯誤:', error);
+      setDeepAnalyses(prev => ({ ...prev, [id]: { open: true, loading: false, data: null, error: '無法連線，請稍後再試' } }));
+    }
+  };
+
+  // 區間搜尋與單日頁面共用 /api/archive；page > 1 時接在目前結果後面
+  const fetchArchive = async (filters = archiveFilters, page = 1) => {
+    setArchiveLoading(true);
+    setArchiveError(null);
+    try {
+      const params = new URLSearchParams({ page: String(page) });
+      if (filters.q) params.set('q', filters.q);
+      if (filters.from) params.set('from', filters.from);
+      if (filters.to) params.set('to', filters.to);
+      const response = await fetch(`/api/archive?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || '讀取新聞回顧失敗');
+      setArchiveResult(prev => (page > 1 && prev ? { ...data, news: [...prev.news, ...data.news] } : data));
+    } catch (error) {
+      console.error('新聞回顧抓取錯誤:', error);
+      setArchiveError(error.message);
+    } finally {
+      setArchiveLoading(false);
+    }
+  };
+
+  const updateArchiveFilters = (changes) => {
+    navigate(buildPath(['archive'], { ...archiveFilters, ...changes }));
+  };
+
+  const openArchiveDay = async (date) => {
+    setArchiveLoading(true);
+    setArchiveError(null);
+    try {
+      const response = await fetch(`/api/archive?date=${date}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || '讀取當日新聞失敗');
+      setArchiveDay(data);
+      window.scrollTo({ top: 0 });
+    } catch (error) {
+      console.error('新聞回顧抓取錯誤:', error);
+      setArchiveError(error.message);
+    } finally {
+      setArchiveLoading(false);
+    }
+  };
+
+  const appendToThread = (key, update) => {
+    setAskThreads(prev => {
+      const thread = [...(prev[key] || [])];
+      thread[thread.length - 1] = update(thread[thread.length - 1]);
+      return { ...prev, [key]: thread };
+    });
+  };
+
+  // 先放入使用者問題與空白回答，串流的文字逐段補進最後一則；失敗的回合不送回伺服器當作上下文
+  const askQuestion = async () => {
+    const question = askInput.trim();
+    if (!askTarget || !question || askStreaming) return;
+    const key = threadKey(askTarget);
+    const history = (askThreads[key] || []).filter(turn => !turn.error && turn.content);
+
+    setAskInput('');
+    setAskStreaming(true);
+    setAskThreads(prev => ({
+      ...prev,
+      [key]: [...(prev[key] || []), { role: 'user', content: question }, { role: 'assistant', content: '' }]
+    }));
+
+    try {
+      await streamAnswer({ target: askTarget, question, history }, (event, data) => {
+        if (event === 'delta') appendToThread(key, turn => ({ ...turn, content: turn.content + data.text }));
+        if (event === 'meta' && !data.grounded) appendToThread(key, turn => ({ ...turn, note: '找不到原文內容，回答僅根據摘要' }));
+        if (event === 'error') appendToThread(key, turn => ({ ...turn, error: data.error }));
+      });
+    } catch (error) {
+      console.error('AI 問答錯誤:', error);
+      appendToThread(key, turn => ({ ...turn, error: '連線中斷，請稍後再試' }));
+    } finally {
+      setAskStreaming(false);
+    }
+  };
+
+  const fetchBriefing = async () => {
+    setBriefingLoading(true);
+    setBriefingError(null);
+
+    try {
+      const response = await fetch('/api/briefing');
+      const data = await response.json();
+
+      if (data.success) {
+        setBriefing(data.briefing);
+      } else {
+        throw new Error(data.error || '產生簡報失敗');
+      }
+    } catch (error) {
+      console.error('每日簡報抓取錯誤:', error);
+      setBriefingError(error.message);
+    } finally {
+      setBriefingLoading(false);
+    }
+  };
+
+  const copyBriefingEmail = async () => {
+    try {
+      const response = await fetch(`/api/briefing?format=text&date=${briefing.date}`);
+      await navigator.clipboard.writeText(await response.text());
+      setBriefingCopied(true);
+      setTimeout(() => setBriefingCopied(false), 2000);
+    } catch (error) {
+      console.error('複製簡報錯誤:', error);
+    }
+  };
+
+  const fetchCalendar = async (mode = calendarMode, range = null) => {
     setCalendarLoading(true);
+    setCalendarError(null);
     
     try {
-      const response = await fetch('/api/calendar');
+      const params = new URLSearchParams({ ...(mode === 'past' ? { mode } : {}), ...(range || {}) });
+      const response = await fetch(params.toString() ? `/api/calendar?${params}` : '/api/calendar');
       const data = await response.json();
       
-      if (data.success) {
-        setEconomicCalendar(data.events);
-      }
+      // 伺服器失敗時仍附上不含數值的靜態事件清單
+      setEconomicCalendar(data.events || []);
+      if (!data.success) throw new Error(data.error || '經濟日曆載入失敗');
     } catch (error) {
       console.error('經濟日曆抓取錯誤:', error);
-      // 使用預設數據
-      const today = new Date();
-      setEconomicCalendar([
-        {
-          date: new Date(today.getTime() + 0 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          event: "美國初領失業金人數",
-          importance: "high",
-          previous: "21.2萬",
-          forecast: "22萬",
-          aiAnalysis: "若數據高於預期，可能強化聯準會鴿派立場，利好股市；低於預期則相反。"
-        },
-        {
-          date: new Date(today.getTime() + 2 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          event: "美國 Q4 GDP 初值",
-          importance: "high",
-          previous: "3.1%",
-          forecast: "2.8%",
-          aiAnalysis: "GDP 放緩符合軟著陸預期，但若大幅低於 2.5% 可能引發衰退擔憂。"
-        },
-        {
-          date: new Date(today.getTime() + 3 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          event: "歐洲央行利率決議",
-          importance: "high",
-          previous: "3.25%",
-          forecast: "3.00%",
-          aiAnalysis: "市場已計價降息 25 基點，關注拉加德對未來政策路徑的表態。"
-        },
-        {
-          date: new Date(today.getTime() + 5 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          event: "中國 1 月官方 PMI",
-          importance: "medium",
-          previous: "50.1",
-          forecast: "50.3",
-          aiAnalysis: "春節因素可能影響數據，需結合財新 PMI 綜合判斷經濟動能。"
-        }
-      ]);
+      setCalendarError(error.message);
     } finally {
       setCalendarLoading(false);
     }
@@ -116,39 +477,231 @@ function App() {
     fetchCalendar();
   }, []);
 
-  const calculateCompoundInterest = () => {
-    const { principal, rate, years, frequency } = compoundInterest;
-    const r = rate / 100;
-    const n = frequency;
-    const t = years;
-    const amount = principal * Math.pow((1 + r / n), n * t);
-    const interest = amount - principal;
-    return { amount, interest };
+  const holdingsKey = holdings.map(holding => `${holding.ticker}:${holding.currency}`).join(',');
+
+  const fetchQuotes = async () => {
+    if (holdings.length === 0) return;
+    setQuotesLoading(true);
+    try {
+      const params = new URLSearchParams({
+        symbols: [...new Set(holdings.map(holding => holding.ticker))].join(','),
+        currencies: [...new Set(holdings.map(holding => holding.currency))].join(',')
+      });
+      const response = await fetch(`/api/quotes?${params}`);
+      const data = await response.json();
+      if (data.success) {
+        setQuoteData(data);
+        setPortfolioMessage(data.missing?.length ? `查無報價：${data.missing.join('、')}` : null);
+      } else {
+        setPortfolioMessage(data.error);
+      }
+    } catch (error) {
+      console.error('報價抓取錯誤:', error);
+      setPortfolioMessage('無法取得報價，請稍後再試');
+    } finally {
+      setQuotesLoading(false);
+    }
   };
 
-  const calculateRetirement = () => {
-    const { currentAge, retireAge, monthlyExpense, currentSavings, monthlyContribution, returnRate } = retirementCalc;
-    const yearsToRetire = retireAge - currentAge;
-    const monthlyRate = returnRate / 100 / 12;
-    
-    const futureValue = currentSavings * Math.pow(1 + returnRate / 100, yearsToRetire) +
-      monthlyContribution * ((Math.pow(1 + monthlyRate, yearsToRetire * 12) - 1) / monthlyRate);
-    
-    const yearsInRetirement = 25;
-    const sustainableMonthly = futureValue / (yearsInRetirement * 12);
-    
-    return {
-      futureValue,
-      sustainableMonthly,
-      shortfall: monthlyExpense - sustainableMonthly
-    };
+  // 持股只存在瀏覽器的 localStorage
+  useEffect(() => {
+    savePortfolio(holdings);
+  }, [holdings]);
+
+  useEffect(() => {
+    if (activeTab === 'portfolio') fetchQuotes();
+  }, [activeTab, holdingsKey]);
+
+  const addHolding = () => {
+    const holding = normalizeHolding(holdingDraft);
+    if (!holding || holding.quantity <= 0) {
+      setPortfolioMessage('請填寫代號、數量、每單位成本與三碼幣別（例如 TWD、USD）');
+      return;
+    }
+    setHoldings([...holdings, holding]);
+    setHoldingDraft(EMPTY_HOLDING);
+    setPortfolioMessage(null);
+  };
+
+  const downloadPortfolio = () => {
+    const url = URL.createObjectURL(new Blob([exportPortfolio(holdings)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `portfolio-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const uploadPortfolio = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const { holdings: imported, skipped } = importPortfolio(await file.text());
+      setHoldings(imported);
+      setPortfolioMessage(`已匯入 ${imported.length} 筆持股${skipped ? `，略過 ${skipped} 筆格式不符的資料` : ''}`);
+    } catch (error) {
+      setPortfolioMessage(`匯入失敗：${error.message}`);
+    }
+  };
+
+  // 簡報需要 AI 彙整，切到該分頁時才載入
+  useEffect(() => {
+    if (activeTab === 'briefing' && !briefing && !briefingLoading) fetchBriefing();
+  }, [activeTab]);
+
+  // 新聞回顧的搜尋條件與單日頁面都在網址上：/archive?q=&from=&to=、/archive/2025-02-07
+  const archiveQueryKey = activeTab === 'archive' ? route.query.toString() : '';
+  useEffect(() => {
+    if (activeTab !== 'archive') return;
+    if (route.archiveDate) {
+      if (archiveDay?.date !== route.archiveDate) openArchiveDay(route.archiveDate);
+      return;
+    }
+    setArchiveDay(null);
+    const filters = { q: route.query.get('q') || '', from: route.query.get('from') || '', to: route.query.get('to') || '' };
+    if (archiveResult && archiveQueryRef.current === archiveQueryKey) return;
+    archiveQueryRef.current = archiveQueryKey;
+    setArchiveFilters(filters);
+    setArchiveSearchInput(filters.q);
+    fetchArchive(filters);
+  }, [activeTab, route.archiveDate, archiveQueryKey]);
+
+  useEffect(() => {
+    if (activeTab !== 'news' || !route.newsId || sharedNews?.id === route.newsId) return;
+    setSharedNews({ id: route.newsId, news: null, error: null });
+    fetch(`/api/archive?id=${encodeURIComponent(route.newsId)}`)
+      .then(response => response.json())
+      .then(data => setSharedNews({ id: route.newsId, news: data.success ? data.news : null, error: data.success ? null : data.error }))
+      .catch(error => {
+        console.error('分享新聞抓取錯誤:', error);
+        setSharedNews({ id: route.newsId, news: null, error: '無法連線，請稍後再試' });
+      });
+  }, [activeTab, route.newsId]);
+
+  // 分享連結指向的新聞或事件載入後捲動到該卡片
+  useEffect(() => {
+    if (activeTab === 'news' && route.newsId) document.getElementById(`news-${route.newsId}`)?.scrollIntoView({ block: 'start' });
+  }, [activeTab, route.newsId, newsData]);
+
+  useEffect(() => {
+    if (activeTab === 'calendar' && route.eventId) document.getElementById(`event-${route.eventId}`)?.scrollIntoView({ block: 'start' });
+  }, [activeTab, route.eventId, economicCalendar]);
+
+  useEffect(() => {
+    if (activeTab === 'calculator' && route.calculator) document.getElementById(`calculator-${route.calculator}`)?.scrollIntoView({ block: 'start' });
+  }, [activeTab, route.calculator]);
+
+  // 停在某個計算器的網址時，輸入變動後更新查詢字串，網址列隨時可以直接分享
+  useEffect(() => {
+    if (!route.calculator) return;
+    const timer = setTimeout(() => navigate(calculatorPath(route.calculator), { replace: true }), 300);
+    return () => clearTimeout(timer);
+  }, [route.calculator, compoundInterest, mortgage, retirementCalc, taiwanPension, simulation]);
+
+  const routeCalendarMode = calendarModeFor(route);
+  useEffect(() => {
+    if (activeTab !== 'calendar' || routeCalendarMode === calendarMode) return;
+    setCalendarMode(routeCalendarMode);
+    fetchCalendar(routeCalendarMode);
+  }, [activeTab, routeCalendarMode]);
+
+  // 事件不在預設的 7 / 30 天範圍內時，改載入事件當天
+  useEffect(() => {
+    if (activeTab !== 'calendar' || !route.eventId || calendarLoading || calendarMode !== routeCalendarMode || calendarLookup === route.eventId) return;
+    if (economicCalendar.some(event => event.id === route.eventId)) return;
+    setCalendarLookup(route.eventId);
+    fetchCalendar(routeCalendarMode, { start: eventDate(route.eventId), end: eventDate(route.eventId) });
+  }, [activeTab, route.eventId, calendarLoading, calendarMode]);
+
+  // 捲到列表底部的哨兵元素時載入下一頁
+  useEffect(() => {
+    const sentinel = newsSentinelRef.current;
+    if (!sentinel || !newsCursor) return;
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMoreNews();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [newsCursor, newsLoadingMore, newsFilters, activeTab]);
+
+  // 蒙地卡羅模擬在 Web Worker 執行；輸入變動後稍等再送出，只採用最新一次請求的結果
+  useEffect(() => {
+    if (!simulation.enabled) return;
+    if (!simulationWorkerRef.current) {
+      simulationWorkerRef.current = new Worker(new URL('./workers/montecarlo.worker.js', import.meta.url), { type: 'module' });
+      simulationWorkerRef.current.onmessage = (event) => {
+        if (event.data.id !== simulationRequestRef.current) return;
+        setSimulationRunning(false);
+        if (event.data.error) console.error('蒙地卡羅模擬錯誤:', event.data.error);
+        else setSimulationResult(event.data.result);
+      };
+    }
+
+    const timer = setTimeout(() => {
+      const id = ++simulationRequestRef.current;
+      setSimulationRunning(true);
+      simulationWorkerRef.current.postMessage({
+        id,
+        input: retirementInput,
+        settings: {
+          mode: simulation.mode,
+          paths: simulation.paths,
+          volatility: simulation.volatility,
+          preMix: { stocks: simulation.preStocks, bonds: simulation.preBonds },
+          postMix: { stocks: simulation.postStocks, bonds: simulation.postBonds }
+        }
+      });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [retirementInput, simulation]);
+
+  useEffect(() => () => simulationWorkerRef.current?.terminate(), []);
+
+  // 逐月模擬投入、費用與股利稅，細節見 src/lib/compound.js
+  const calculateCompoundInterest = () => projectInvestment(compoundInterest);
+
+  // 逐月模擬到預期壽命，細節見 src/lib/retirement.js
+  const calculateRetirement = () => planRetirement(retirementInput);
+
+  const updateRetirementEvent = (index, changes) => {
+    setRetirementCalc({
+      ...retirementCalc,
+      events: retirementCalc.events.map((event, i) => (i === index ? { ...event, ...changes } : event))
+    });
+  };
+
+  const updateMortgageList = (key, index, changes) => {
+    setMortgage({
+      ...mortgage,
+      [key]: mortgage[key].map((item, i) => (i === index ? { ...item, ...changes } : item))
+    });
+  };
+
+  // CSV 在瀏覽器端產生，不經過伺服器
+  const downloadMortgageCSV = (schedule) => {
+    const url = URL.createObjectURL(new Blob([scheduleToCSV(schedule)], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `amortization-${typeof mortgageView === 'number' ? `prepay-${mortgageView + 1}` : mortgageView}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
   };
 
   const compoundResult = calculateCompoundInterest();
+  const mortgageResult = comparePrepayments(mortgage, mortgage.prepayments);
+  const mortgageCombined = mortgage.prepayments.length > 1 ? amortize(mortgage) : null;
+  const mortgageSchedule = mortgageView === 'all' && mortgageCombined
+    ? mortgageCombined
+    : mortgageResult.scenarios[mortgageView]?.result ?? mortgageResult.base;
   const retirementResult = calculateRetirement();
-
+  const portfolioSummary = summarizePortfolio(holdings, quoteData || {});
+  const holdingNews = useMemo(() => matchNewsToHoldings(newsData, holdings), [newsData, holdings]);
   const tabs = [
     { id: 'news', label: 'AI 新聞摘要', icon: Newspaper },
+    { id: 'briefing', label: '每日簡報', icon: FileText },
+    { id: 'archive', label: '新聞回顧', icon: History },
+    { id: 'portfolio', label: '投資組合', icon: Briefcase },
     { id: 'calculator', label: '財務計算器', icon: Calculator },
     { id: 'calendar', label: '經濟日曆', icon: Calendar }
   ];
@@ -170,7 +723,7 @@ function App() {
               {tabs.map(tab => (
                 <button
                   key={tab.id}
-                  onClick={() => setActiveTab(tab.id)}
+                  onClick={() => navigate(`/${tab.id}`)}
                   className={`px-4 py-2 rounded-lg flex items-center space-x-2 transition ${
                     activeTab === tab.id
                       ? 'bg-blue-600 text-white'
@@ -197,7 +750,7 @@ function App() {
                 <button
                   key={tab.id}
                   onClick={() => {
-                    setActiveTab(tab.id);
+                    navigate(`/${tab.id}`);
                     setMobileMenuOpen(false);
                   }}
                   className={`w-full px-4 py-2 rounded-lg flex items-center space-x-2 transition ${
@@ -224,7 +777,7 @@ function App() {
                 <h2 className="text-2xl font-bold text-gray-900">AI 全球財經新聞</h2>
               </div>
               <button
-                onClick={fetchNews}
+                onClick={() => fetchNews()}
                 disabled={newsLoading}
                 className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
               >
@@ -233,6 +786,134 @@ function App() {
               </button>
             </div>
 
+            <div className="bg-white rounded-xl shadow-sm p-4 space-y-3">
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  updateNewsFilters({ q: newsSearchInput.trim() });
+                }}
+                className="flex items-center space-x-2"
+              >
+                <div className="relative flex-1">
+                  <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                  <input
+                    type="search"
+                    value={newsSearchInput}
+                    onChange={(e) => setNewsSearchInput(e.target.value)}
+                    placeholder="搜尋關鍵字（標題、摘要、AI 解讀）"
+                    className="w-full pl-9 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </div>
+                <button type="submit" className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition">
+                  搜尋
+                </button>
+              </form>
+              {[
+                { key: 'category', options: newsTaxonomy.categories },
+                { key: 'region', options: newsTaxonomy.regions }
+              ].map(group => group.options.length > 0 && (
+                <div key={group.key} className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => updateNewsFilters({ [group.key]: null })}
+                    className={`px-3 py-1 rounded-full text-sm transition ${
+                      !newsFilters[group.key] ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    {group.key === 'category' ? '全部分類' : '全部地區'}
+                  </button>
+                  {group.options.map(option => (
+                    <button
+                      key={option}
+                      onClick={() => updateNewsFilters({ [group.key]: newsFilters[group.key] === option ? null : option })}
+                      className={`px-3 py-1 rounded-full text-sm transition ${
+                        newsFilters[group.key] === option ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option}
+                    </button>
+                  ))}
+                </div>
+              ))}
+              <div className="flex flex-wrap items-center gap-3 pt-3 border-t text-sm">
+                <label className="inline-flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={watchlistActive}
+                    disabled={!hasWatchlistTerms(watchlist)}
+                    onChange={(e) => updateWatchlist({ ...watchlist, enabled: e.target.checked })}
+                    className="rounded text-blue-600"
+                  />
+                  <span className="text-gray-700">依我的關注清單排序</span>
+                </label>
+                {hasWatchlistTerms(watchlist) && (
+                  <span className="text-gray-500 truncate">
+                    {[...watchlist.tickers, ...watchlist.sectors, ...watchlist.keywords].join('、')}
+                  </span>
+                )}
+                <button
+                  onClick={() => setWatchlistDraft(watchlistDraft ? null : {
+                    tickers: watchlist.tickers.join(', '),
+                    sectors: watchlist.sectors.join(', '),
+                    keywords: watchlist.keywords.join(', ')
+                  })}
+                  className="text-blue-600 hover:text-blue-700"
+                >
+                  {watchlistDraft ? '取消' : '編輯關注清單'}
+                </button>
+              </div>
+              {watchlistDraft && (
+                <div className="grid md:grid-cols-3 gap-3">
+                  {[
+                    { key: 'tickers', label: '代號', placeholder: '2330.TW, NVDA' },
+                    { key: 'sectors', label: '產業', placeholder: '半導體, 金融' },
+                    { key: 'keywords', label: '關鍵字', placeholder: '降息, 關稅' }
+                  ].map(field => (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                      <input
+                        type="text"
+                        value={watchlistDraft[field.key]}
+                        onChange={(e) => setWatchlistDraft({...watchlistDraft, [field.key]: e.target.value})}
+                        placeholder={field.placeholder}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
+                    </div>
+                  ))}
+                  <div className="md:col-span-3 flex items-center justify-between">
+                    <button
+                      onClick={() => setWatchlistDraft({
+                        ...watchlistDraft,
+                        tickers: [...new Set([...parseTerms(watchlistDraft.tickers), ...holdings.map(holding => holding.ticker)])].join(', ')
+                      })}
+                      disabled={holdings.length === 0}
+                      className="text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                    >
+                      加入投資組合的持股代號
+                    </button>
+                    <button
+                      onClick={saveWatchlistDraft}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                    >
+                      儲存並套用
+                    </button>
+                  </div>
+                  <p className="md:col-span-3 text-xs text-gray-400">以逗號分隔；關注清單只儲存在這台裝置的瀏覽器中。</p>
+                </div>
+              )}
+              {newsFilters.ticker && (
+                <div className="flex items-center space-x-2 text-sm">
+                  <span className="text-gray-500">代號：</span>
+                  <button
+                    onClick={() => updateNewsFilters({ ticker: null })}
+                    className="inline-flex items-center space-x-1 px-3 py-1 bg-blue-600 text-white rounded-full"
+                  >
+                    <span>{newsFilters.ticker}</span>
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              )}
+            </div>
+
             {newsError && (
               <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded">
                 <p className="text-yellow-700">⚠️ {newsError}</p>
@@ -240,21 +921,61 @@ function App() {
               </div>
             )}
             
+            {route.newsId && sharedNews?.id === route.newsId && !newsData.some(news => String(news.id) === route.newsId) && (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-500">分享的新聞{sharedNews.news ? '（已不在最新列表中）' : ''}</span>
+                  <button onClick={() => navigate('/news')} className="text-blue-600 hover:text-blue-700">回到最新新聞</button>
+                </div>
+                {sharedNews.news && <ArchiveNewsCard news={sharedNews.news} />}
+                {sharedNews.error && <p className="text-yellow-700 text-sm">⚠️ {sharedNews.error}</p>}
+              </div>
+            )}
+
             {newsData.map(news => (
-              <div key={news.id} className="bg-white rounded-xl shadow-md p-6 hover:shadow-lg transition">
+              <div
+                key={news.id}
+                id={`news-${news.id}`}
+                className={`bg-white rounded-xl shadow-md p-6 hover:shadow-lg transition scroll-mt-24 ${
+                  route.newsId === String(news.id) ? 'ring-2 ring-blue-400' : holdingNews[news.id] ? 'ring-2 ring-amber-300' : ''
+                }`}
+              >
                 <div className="flex items-start justify-between mb-3">
                   <div className="flex-1">
                     <div className="flex items-center space-x-2 mb-2">
+                      {holdingNews[news.id] && (
+                        <span className="inline-flex items-center space-x-1 px-2 py-0.5 bg-amber-100 text-amber-800 rounded text-xs font-medium">
+                          <Briefcase className="w-3 h-3" />
+                          <span>持股：{holdingNews[news.id].join('、')}</span>
+                        </span>
+                      )}
                       <span className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full text-sm font-medium">
                         {news.category}
                       </span>
                       <span className="text-sm text-gray-500">{news.source} · {news.time}</span>
+                      {news.sources?.length > 1 && (
+                        <span
+                          className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-xs"
+                          title={news.sources.map(source => source.name).join('、')}
+                        >
+                          {news.sources.length} 家媒體報導
+                        </span>
+                      )}
                     </div>
                     <h3 className="text-xl font-semibold text-gray-900 mb-2">{news.title}</h3>
                     <p className="text-gray-600 mb-4">{news.summary}</p>
                   </div>
                 </div>
                 
+                {news.watchlistNote && (
+                  <div className="bg-amber-50 rounded-lg p-3 border-l-4 border-amber-400 mb-3 text-sm">
+                    <p className="text-amber-800 font-medium mb-1">
+                      對你的關注清單（{[...news.relevance.matched.tickers, ...news.relevance.matched.sectors, ...news.relevance.matched.keywords].join('、')}）
+                    </p>
+                    <p className="text-gray-700">{news.watchlistNote}</p>
+                  </div>
+                )}
+
                 <div className="bg-gradient-to-r from-purple-50 to-blue-50 rounded-lg p-4 border-l-4 border-purple-500 mb-3">
                   <div className="flex items-start space-x-2">
                     <Sparkles className="w-5 h-5 text-purple-600 mt-0.5 flex-shrink-0" />
@@ -262,20 +983,547 @@ function App() {
                   </div>
                 </div>
 
-                {news.url && (
+                {news.assets?.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    {news.assets.map(asset => {
+                      const style = sentimentStyle(asset.sentiment);
+                      return (
+                        <button
+                          key={asset.ticker || asset.name}
+                          onClick={() => asset.ticker && updateNewsFilters({ ticker: asset.ticker })}
+                          disabled={!asset.ticker}
+                          title={`${asset.name}${asset.assetClass ? ` · ${ASSET_CLASS_LABELS[asset.assetClass]}` : ''} · 情緒 ${asset.sentiment > 0 ? '+' : ''}${asset.sentiment}`}
+                          className={`inline-flex items-center space-x-1 px-2 py-0.5 border rounded text-xs font-medium ${style.className} ${asset.ticker ? 'hover:opacity-80' : 'cursor-default'}`}
+                        >
+                          <span>{style.arrow}</span>
+                          <span>{asset.ticker || asset.name}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {(news.sectors?.length > 0 || news.assetClasses?.length > 0 || news.horizon) && (
+                  <div className="flex flex-wrap items-center gap-2 mb-3 text-xs text-gray-500">
+                    {news.assetClasses?.map(assetClass => (
+                      <span key={assetClass} className="px-2 py-0.5 bg-indigo-50 text-indigo-700 rounded">
+                        {ASSET_CLASS_LABELS[assetClass] || assetClass}
+                      </span>
+                    ))}
+                    {news.sectors?.map(sector => (
+                      <span key={sector} className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded">{sector}</span>
+                    ))}
+                    {news.horizon && (
+                      <span>
+                        影響期間：{HORIZON_LABELS[news.horizon]}
+                        {news.confidence && ` · 信心：${CONFIDENCE_LABELS[news.confidence]}`}
+                      </span>
+                    )}
+                  </div>
+                )}
+
+                {deepAnalyses[news.id]?.open && (
+                  <div className="border border-indigo-100 rounded-lg p-4 mb-3 text-sm">
+                    {deepAnalyses[news.id].loading && (
+                      <p className="flex items-center space-x-2 text-gray-500">
+                        <RefreshCw className="w-4 h-4 animate-spin" />
+                        <span>正在讀取原文並分析，約需 10-20 秒…</span>
+                      </p>
+                    )}
+                    {deepAnalyses[news.id].error && <p className="text-yellow-700">⚠️ {deepAnalyses[news.id].error}</p>}
+                    {deepAnalyses[news.id].data && <DeepAnalysis analysis={deepAnalyses[news.id].data} />}
+                  </div>
+                )}
+
+                <div className="flex items-center gap-4">
+                  {news.url && (
+                    <a
+                      href={news.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-700 text-sm"
+                    >
+                      <span>閱讀原文</span>
+                      <ExternalLink className="w-4 h-4" />
+                    </a>
+                  )}
+                  <button
+                    onClick={() => toggleDeepAnalysis(news.id)}
+                    className="inline-flex items-center space-x-1 text-indigo-600 hover:text-indigo-700 text-sm"
+                  >
+                    <BookOpen className="w-4 h-4" />
+                    <span>{deepAnalyses[news.id]?.open ? '收合深度解讀' : '深度解讀'}</span>
+                  </button>
+                  <button
+                    onClick={() => setAskTarget({ type: 'news', id: news.id, title: news.title })}
+                    className="inline-flex items-center space-x-1 text-purple-600 hover:text-purple-700 text-sm"
+                  >
+                    <MessageCircle className="w-4 h-4" />
+                    <span>問 AI</span>
+                  </button>
+                  <ShareLinkButton path={newsPath(news.id)} onNavigate={navigate} />
+                </div>
+              </div>
+            ))}
+
+            {!newsLoading && newsData.length === 0 && (
+              <p className="text-gray-500 text-center py-8">沒有符合條件的新聞</p>
+            )}
+            <div ref={newsSentinelRef} className="h-8 flex items-center justify-center">
+              {newsLoadingMore && <RefreshCw className="w-5 h-5 text-gray-400 animate-spin" />}
+            </div>
+
+          </div>
+        )}
+
+        {activeTab === 'briefing' && (
+          <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+              <div className="flex items-center space-x-2">
+                <FileText className="w-6 h-6 text-purple-600" />
+                <h2 className="text-2xl font-bold text-gray-900">每日市場簡報</h2>
+                {briefing && <span className="text-sm text-gray-500">{briefing.date}</span>}
+              </div>
+              {briefing && (
+                <div className="flex items-center space-x-2">
                   <a
-                    href={news.url}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-700 text-sm"
+                    href={`/api/briefing?format=markdown&date=${briefing.date}`}
+                    className="flex items-center space-x-1 px-3 py-2 bg-white border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-100 transition text-sm"
                   >
-                    <span>閱讀原文</span>
-                    <ExternalLink className="w-4 h-4" />
+                    <Download className="w-4 h-4" />
+                    <span>Markdown</span>
                   </a>
-                )}
+                  <button
+                    onClick={copyBriefingEmail}
+                    className="flex items-center space-x-1 px-3 py-2 bg-white border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-100 transition text-sm"
+                  >
+                    <Copy className="w-4 h-4" />
+                    <span>{briefingCopied ? '已複製' : '複製郵件內文'}</span>
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {briefingLoading && (
+              <div className="bg-white rounded-xl shadow-md p-6 flex items-center space-x-3 text-gray-500">
+                <RefreshCw className="w-5 h-5 animate-spin" />
+                <span>正在整理今日簡報...</span>
+              </div>
+            )}
+
+            {briefingError && (
+              <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded">
+                <p className="text-yellow-700">⚠️ {briefingError}</p>
+                <button onClick={fetchBriefing} className="text-sm text-yellow-700 underline mt-1">重試</button>
+              </div>
+            )}
+
+            {briefing && [
+              { key: 'themes', label: '今日主題', accent: 'border-purple-500' },
+              { key: 'risks', label: '風險提示', accent: 'border-red-500' },
+              { key: 'watchToday', label: '今日觀察', accent: 'border-blue-500' }
+            ].map(section => briefing[section.key]?.length > 0 && (
+              <div key={section.key} className="bg-white rounded-xl shadow-md p-6">
+                <h3 className="text-xl font-semibold text-gray-900 mb-4">{section.label}</h3>
+                <div className="space-y-4">
+                  {briefing[section.key].map((point, index) => (
+                    <div key={index} className={`border-l-4 ${section.accent} pl-4`}>
+                      <p className="font-medium text-gray-900">{point.title}</p>
+                      <p className="text-gray-700 mt-1">{point.summary}</p>
+                      {point.citations.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {point.citations.map(citation => citation.type === 'news' ? (
+                            <a
+                              key={`news-${citation.id}`}
+                              href={citation.url}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="inline-flex items-center space-x-1 px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-xs hover:bg-gray-200"
+                            >
+                              <Newspaper className="w-3 h-3" />
+                              <span className="max-w-[16rem] truncate">{citation.title}</span>
+                            </a>
+                          ) : (
+                            <span
+                              key={`event-${citation.id}`}
+                              className="inline-flex items-center space-x-1 px-2 py-0.5 bg-blue-50 text-blue-700 rounded text-xs"
+                            >
+                              <Calendar className="w-3 h-3" />
+                              <span>{citation.date} {citation.event}</span>
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
               </div>
             ))}
 
+            {briefing && (
+              <div className="bg-gradient-to-r from-purple-50 to-blue-50 rounded-xl p-6 border-l-4 border-purple-500">
+                <div className="flex items-start space-x-2">
+                  <Sparkles className="w-5 h-5 text-purple-600 mt-0.5 flex-shrink-0" />
+                  <div>
+                    <p className="font-medium text-gray-900 mb-1">短期展望</p>
+                    <p className="text-gray-700">{briefing.outlook}</p>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {activeTab === 'archive' && (
+          <div className="space-y-6">
+            <div className="flex items-center space-x-2 mb-6">
+              <History className="w-6 h-6 text-blue-600" />
+              <h2 className="text-2xl font-bold text-gray-900">新聞回顧</h2>
+            </div>
+
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                updateArchiveFilters({ q: archiveSearchInput.trim() });
+              }}
+              className="bg-white rounded-xl shadow-sm p-4 flex flex-wrap items-center gap-2"
+            >
+              <div className="relative flex-1 min-w-[12rem]">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="search"
+                  value={archiveSearchInput}
+                  onChange={(e) => setArchiveSearchInput(e.target.value)}
+                  placeholder="搜尋標題、摘要、AI 解讀或英文原標題"
+                  className="w-full pl-9 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              {[
+                { key: 'from', label: '從' },
+                { key: 'to', label: '到' }
+              ].map(field => (
+                <label key={field.key} className="flex items-center space-x-1 text-sm text-gray-600">
+                  <span>{field.label}</span>
+                  <input
+                    type="date"
+                    value={archiveFilters[field.key]}
+                    onChange={(e) => updateArchiveFilters({ [field.key]: e.target.value })}
+                    className="px-2 py-2 border border-gray-300 rounded-lg"
+                  />
+                </label>
+              ))}
+              <button type="submit" className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition">
+                搜尋
+              </button>
+            </form>
+
+            {archiveError && (
+              <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded">
+                <p className="text-yellow-700">⚠️ {archiveError}</p>
+              </div>
+            )}
+
+            {archiveDay ? (
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <button
+                    onClick={() => archiveDay.previousDate && navigate(`/archive/${archiveDay.previousDate}`)}
+                    disabled={!archiveDay.previousDate || archiveLoading}
+                    className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-40"
+                  >
+                    <ChevronLeft className="w-4 h-4" />
+                    <span>{archiveDay.previousDate || '前一天'}</span>
+                  </button>
+                  <div className="text-center">
+                    <p className="text-lg font-semibold text-gray-900">
+                      {new Date(`${archiveDay.date}T00:00:00Z`).toLocaleDateString('zh-TW', { year: 'numeric', month: 'long', day: 'numeric', weekday: 'short', timeZone: 'UTC' })}
+                    </p>
+                    <button onClick={() => navigate(buildPath(['archive'], archiveFilters))} className="text-sm text-blue-600 hover:text-blue-700">
+                      返回列表
+                    </button>
+                  </div>
+                  <button
+                    onClick={() => archiveDay.nextDate && navigate(`/archive/${archiveDay.nextDate}`)}
+                    disabled={!archiveDay.nextDate || archiveLoading}
+                    className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-40"
+                  >
+                    <span>{archiveDay.nextDate || '後一天'}</span>
+                    <ChevronRight className="w-4 h-4" />
+                  </button>
+                </div>
+                {archiveDay.news.map(news => <ArchiveNewsCard key={news.id} news={news} />)}
+                {archiveDay.news.length === 0 && <p className="text-gray-500 text-center py-8">這一天沒有歸檔的新聞</p>}
+              </div>
+            ) : archiveResult && (
+              <div className="space-y-4">
+                {archiveResult.message && <p className="text-sm text-yellow-700">{archiveResult.message}</p>}
+                {archiveResult.days.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {archiveResult.days.map(day => (
+                      <button
+                        key={day.date}
+                        onClick={() => navigate(`/archive/${day.date}`)}
+                        className="px-3 py-1 bg-white border border-gray-200 rounded-full text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        {day.date.slice(5)} <span className="text-gray-400">{day.count}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <p className="text-sm text-gray-500">
+                  {archiveResult.from} ~ {archiveResult.to}，{archiveResult.filters.q ? `符合「${archiveResult.filters.q}」的` : '共'} {archiveResult.total} 則
+                </p>
+                {archiveResult.news.map(news => <ArchiveNewsCard key={news.id} news={news} />)}
+                {archiveResult.total === 0 && <p className="text-gray-500 text-center py-8">這段期間沒有符合條件的新聞</p>}
+                {archiveResult.hasMore && (
+                  <button
+                    onClick={() => fetchArchive(archiveFilters, archiveResult.page + 1)}
+                    disabled={archiveLoading}
+                    className="w-full py-2 bg-white border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-100 transition disabled:opacity-50"
+                  >
+                    {archiveLoading ? '載入中...' : '載入更多'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {archiveLoading && !archiveResult && (
+              <div className="bg-white rounded-xl shadow-md p-6 flex items-center space-x-3 text-gray-500">
+                <RefreshCw className="w-5 h-5 animate-spin" />
+                <span>載入中...</span>
+              </div>
+            )}
+          </div>
+        )}
+
+        {activeTab === 'portfolio' && (
+          <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+              <div className="flex items-center space-x-2">
+                <Briefcase className="w-6 h-6 text-amber-600" />
+                <h2 className="text-2xl font-bold text-gray-900">投資組合</h2>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={fetchQuotes}
+                  disabled={quotesLoading || holdings.length === 0}
+                  className="flex items-center space-x-1 px-3 py-2 bg-white border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-100 transition text-sm disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-4 h-4 ${quotesLoading ? 'animate-spin' : ''}`} />
+                  <span>更新報價</span>
+                </button>
+                <button
+                  onClick={downloadPortfolio}
+                  disabled={holdings.length === 0}
+                  className="flex items-center space-x-1 px-3 py-2 bg-white border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-100 transition text-sm disabled:opacity-50"
+                >
+                  <Download className="w-4 h-4" />
+                  <span>匯出 JSON</span>
+                </button>
+                <button
+                  onClick={() => portfolioFileRef.current?.click()}
+                  className="flex items-center space-x-1 px-3 py-2 bg-white border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-100 transition text-sm"
+                >
+                  <Upload className="w-4 h-4" />
+                  <span>匯入 JSON</span>
+                </button>
+                <input ref={portfolioFileRef} type="file" accept="application/json,.json" onChange={uploadPortfolio} className="hidden" />
+              </div>
+            </div>
+
+            {portfolioMessage && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">{portfolioMessage}</div>
+            )}
+
+            {holdings.length > 0 && (
+              <div className="grid sm:grid-cols-3 gap-4">
+                <div className="bg-white rounded-xl shadow-md p-5">
+                  <p className="text-sm text-gray-500 mb-1">總市值（{quoteData?.base || 'TWD'}）</p>
+                  <p className="text-2xl font-bold text-gray-900">{portfolioSummary.marketValue.toLocaleString('zh-TW', {maximumFractionDigits: 0})}</p>
+                  {quoteData && (
+                    <p className="text-xs text-gray-400 mt-1">
+                      報價來源 {quoteData.provider} · {new Date(quoteData.timestamp).toLocaleString('zh-TW')}
+                    </p>
+                  )}
+                </div>
+                <div className="bg-white rounded-xl shadow-md p-5">
+                  <p className="text-sm text-gray-500 mb-1">總成本</p>
+                  <p className="text-2xl font-bold text-gray-900">{portfolioSummary.costValue.toLocaleString('zh-TW', {maximumFractionDigits: 0})}</p>
+                </div>
+                <div className={`rounded-xl shadow-md p-5 ${portfolioSummary.pl >= 0 ? 'bg-green-50' : 'bg-red-50'}`}>
+                  <p className="text-sm text-gray-500 mb-1">未實現損益</p>
+                  <p className={`text-2xl font-bold ${portfolioSummary.pl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {portfolioSummary.pl >= 0 ? '+' : ''}{portfolioSummary.pl.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                    {portfolioSummary.plPercent !== null && (
+                      <span className="text-base font-medium ml-2">
+                        ({portfolioSummary.pl >= 0 ? '+' : ''}{(portfolioSummary.plPercent * 100).toFixed(2)}%)
+                      </span>
+                    )}
+                  </p>
+                  {portfolioSummary.unpriced.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">未計入：{portfolioSummary.unpriced.join('、')}</p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {portfolioSummary.byAssetClass.length > 0 && (
+              <div className="grid md:grid-cols-2 gap-4">
+                {[
+                  { title: '資產類別配置', groups: portfolioSummary.byAssetClass, label: name => HOLDING_ASSET_CLASS_LABELS[name] || name, color: 'bg-blue-500' },
+                  { title: '幣別配置', groups: portfolioSummary.byCurrency, label: name => name, color: 'bg-amber-500' }
+                ].map(section => (
+                  <div key={section.title} className="bg-white rounded-xl shadow-md p-5">
+                    <h3 className="font-semibold text-gray-900 mb-3">{section.title}</h3>
+                    <div className="space-y-2">
+                      {section.groups.map(group => (
+                        <div key={group.name}>
+                          <div className="flex justify-between text-sm mb-1">
+                            <span className="text-gray-700">{section.label(group.name)}</span>
+                            <span className="text-gray-500">{(group.weight * 100).toFixed(1)}% · {formatCompact(group.value)}</span>
+                          </div>
+                          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                            <div className={`h-full ${section.color}`} style={{ width: `${group.weight * 100}%` }} />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="bg-white rounded-xl shadow-md p-5 overflow-x-auto">
+              <table className="w-full text-sm text-right">
+                <thead className="text-gray-500 border-b">
+                  <tr>
+                    <th className="py-2 text-left">代號</th>
+                    <th className="py-2 text-left">類別</th>
+                    <th className="py-2">數量</th>
+                    <th className="py-2">成本 / 單位</th>
+                    <th className="py-2">現價</th>
+                    <th className="py-2">市值</th>
+                    <th className="py-2">損益</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {portfolioSummary.rows.map(row => (
+                    <tr key={row.id} className="border-b border-gray-100 text-gray-700">
+                      <td className="py-2 text-left">
+                        <span className="font-medium text-gray-900">{row.ticker}</span>
+                        {row.name && <span className="block text-xs text-gray-500">{row.name}</span>}
+                      </td>
+                      <td className="py-2 text-left">{HOLDING_ASSET_CLASS_LABELS[row.assetClass]}</td>
+                      <td className="py-2">{row.quantity.toLocaleString('zh-TW')}</td>
+                      <td className="py-2">{row.costBasis.toLocaleString('zh-TW')} {row.currency}</td>
+                      <td className="py-2">
+                        {row.price !== null ? `${row.price.toLocaleString('zh-TW')} ${row.quoteCurrency || ''}` : '-'}
+                        {row.dayChange !== null && (
+                          <span className={`block text-xs ${row.dayChange >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {row.dayChange >= 0 ? '+' : ''}{(row.dayChange * 100).toFixed(2)}%
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2">{row.marketValue !== null ? row.marketValue.toLocaleString('zh-TW', {maximumFractionDigits: 0}) : '-'}</td>
+                      <td className={`py-2 ${row.pl === null ? '' : row.pl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {row.pl !== null ? `${row.pl >= 0 ? '+' : ''}${row.pl.toLocaleString('zh-TW', {maximumFractionDigits: 0})}` : '-'}
+                        {row.plPercent !== null && <span className="block text-xs">{(row.plPercent * 100).toFixed(2)}%</span>}
+                      </td>
+                      <td className="py-2">
+                        <button
+                          onClick={() => setHoldings(holdings.filter(holding => holding.id !== row.id))}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          aria-label="刪除"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td className="py-2 text-left">
+                      <input
+                        type="text"
+                        value={holdingDraft.ticker}
+                        onChange={(e) => setHoldingDraft({...holdingDraft, ticker: e.target.value})}
+                        placeholder="2330.TW"
+                        className="w-24 px-2 py-1.5 border border-gray-300 rounded-lg"
+                      />
+                      <input
+                        type="text"
+                        value={holdingDraft.name}
+                        onChange={(e) => setHoldingDraft({...holdingDraft, name: e.target.value})}
+                        placeholder="名稱（選填）"
+                        className="w-24 mt-1 block px-2 py-1.5 border border-gray-300 rounded-lg"
+                      />
+                    </td>
+                    <td className="py-2 text-left">
+                      <select
+                        value={holdingDraft.assetClass}
+                        onChange={(e) => setHoldingDraft({...holdingDraft, assetClass: e.target.value})}
+                        className="px-2 py-1.5 border border-gray-300 rounded-lg"
+                      >
+                        {HOLDING_ASSET_CLASSES.map(assetClass => (
+                          <option key={assetClass} value={assetClass}>{HOLDING_ASSET_CLASS_LABELS[assetClass]}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="number"
+                        value={holdingDraft.quantity}
+                        onChange={(e) => setHoldingDraft({...holdingDraft, quantity: e.target.value})}
+                        className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-right"
+                      />
+                    </td>
+                    <td className="py-2">
+                      <input
+                        type="number"
+                        value={holdingDraft.costBasis}
+                        onChange={(e) => setHoldingDraft({...holdingDraft, costBasis: e.target.value})}
+                        className="w-24 px-2 py-1.5 border border-gray-300 rounded-lg text-right"
+                      />
+                      <input
+                        type="text"
+                        value={holdingDraft.currency}
+                        onChange={(e) => setHoldingDraft({...holdingDraft, currency: e.target.value.toUpperCase()})}
+                        maxLength={3}
+                        className="w-16 ml-1 px-2 py-1.5 border border-gray-300 rounded-lg"
+                      />
+                    </td>
+                    <td colSpan={4} className="py-2">
+                      <button
+                        onClick={addHolding}
+                        className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                      >
+                        + 新增持股
+                      </button>
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+              {holdings.length === 0 && (
+                <p className="text-sm text-gray-500 mt-3">尚未加入持股。資料只儲存在這台裝置的瀏覽器中，可用匯出 / 匯入 JSON 備份或搬到其他裝置。</p>
+              )}
+            </div>
+
+            {Object.keys(holdingNews).length > 0 && (
+              <div className="bg-white rounded-xl shadow-md p-5">
+                <h3 className="font-semibold text-gray-900 mb-3">持股相關新聞</h3>
+                <div className="space-y-3">
+                  {newsData.filter(news => holdingNews[news.id]).map(news => (
+                    <div key={news.id} className="border-l-4 border-amber-300 pl-3">
+                      <p className="text-xs text-amber-700 mb-0.5">{holdingNews[news.id].join('、')} · {news.source} · {news.time}</p>
+                      <a href={news.url} target="_blank" rel="noopener noreferrer" className="font-medium text-gray-900 hover:text-blue-600">
+                        {news.title}
+                      </a>
+                      <p className="text-sm text-gray-600 mt-1">{news.summary}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
 
@@ -283,8 +1531,11 @@ function App() {
           <div className="space-y-8">
             <h2 className="text-2xl font-bold text-gray-900 mb-6">財務計算工具</h2>
             
-            <div className="bg-white rounded-xl shadow-md p-6">
-              <h3 className="text-xl font-semibold text-gray-900 mb-4">複利計算器</h3>
+            <div id="calculator-compound" className="bg-white rounded-xl shadow-md p-6 scroll-mt-24">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-semibold text-gray-900">複利計算器</h3>
+                <ShareLinkButton path={calculatorPath('compound')} onNavigate={navigate} label="複製試算連結" />
+              </div>
               <div className="grid md:grid-cols-2 gap-6">
                 <div className="space-y-4">
                   <div>
@@ -327,6 +1578,62 @@ function App() {
                       <option value={365}>日</option>
                     </select>
                   </div>
+                  <div className="pt-4 border-t">
+                    <p className="text-sm font-medium text-gray-700 mb-3">定期定額</p>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">每期投入 (NT$)</label>
+                        <input
+                          type="number"
+                          value={compoundInterest.contribution}
+                          onChange={(e) => setCompoundInterest({...compoundInterest, contribution: Number(e.target.value)})}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">投入頻率</label>
+                        <select
+                          value={compoundInterest.contributionFrequency}
+                          onChange={(e) => setCompoundInterest({...compoundInterest, contributionFrequency: Number(e.target.value)})}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value={12}>每月</option>
+                          <option value={4}>每季</option>
+                          <option value={1}>每年</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">投入時點</label>
+                        <select
+                          value={compoundInterest.timing}
+                          onChange={(e) => setCompoundInterest({...compoundInterest, timing: e.target.value})}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="start">期初</option>
+                          <option value="end">期末</option>
+                        </select>
+                      </div>
+                      {[
+                        { key: 'stepUp', label: '每年投入調升 (%)' },
+                        { key: 'managementFee', label: '管理費 (%/年)' },
+                        { key: 'transactionFee', label: '每筆手續費 (NT$)' },
+                        { key: 'dividendYield', label: '現金股利殖利率 (%)' },
+                        { key: 'dividendTax', label: '股利預扣稅率 (%)' },
+                        { key: 'inflationRate', label: '通膨率 (%)' }
+                      ].map(field => (
+                        <div key={field.key}>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+                          <input
+                            type="number"
+                            step="0.1"
+                            value={compoundInterest[field.key]}
+                            onChange={(e) => setCompoundInterest({...compoundInterest, [field.key]: Number(e.target.value)})}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
                 </div>
                 
                 <div className="bg-gradient-to-br from-green-50 to-emerald-50 rounded-lg p-6">
@@ -339,24 +1646,334 @@ function App() {
                       </span>
                     </div>
                     <div className="flex justify-between items-center">
-                      <span className="text-gray-600">累積利息</span>
+                      <span className="text-gray-600">約當今日幣值</span>
+                      <span className="text-lg font-medium text-gray-900">
+                        NT$ {compoundResult.realAmount.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600">總投入本金</span>
+                      <span className="text-lg font-medium text-gray-900">
+                        NT$ {compoundResult.invested.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600">累積報酬</span>
                       <span className="text-xl font-semibold text-emerald-600">
                         NT$ {compoundResult.interest.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
                       </span>
                     </div>
+                    {(compoundResult.fees > 0 || compoundResult.taxes > 0) && (
+                      <div className="flex justify-between items-center text-sm">
+                        <span className="text-gray-500">已扣除費用 / 股利稅</span>
+                        <span className="text-gray-700">
+                          NT$ {compoundResult.fees.toLocaleString('zh-TW', {maximumFractionDigits: 0})} / NT$ {compoundResult.taxes.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between items-center pt-3 border-t">
-                      <span className="text-gray-600">報酬率</span>
+                      <span className="text-gray-600">總報酬率</span>
+                      <span className="text-lg font-medium text-gray-900">
+                        {compoundResult.invested > 0 ? ((compoundResult.interest / compoundResult.invested) * 100).toFixed(1) : '0.0'}%
+                      </span>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              {compoundResult.rows.length > 0 && (
+                <div className="mt-6">
+                  <StackedBarChart
+                    labels={compoundResult.rows.map(row => `第${row.year}年`)}
+                    series={[
+                      { label: '期初本金', color: '#94a3b8', values: compoundResult.rows.map(row => row.principal) },
+                      { label: '累積投入', color: '#3b82f6', values: compoundResult.rows.map(row => row.contributions) },
+                      { label: '投資收益', color: '#10b981', values: compoundResult.rows.map(row => row.growth) }
+                    ]}
+                    lines={[
+                      { label: '今日幣值', color: '#f59e0b', dashed: true, values: compoundResult.rows.map(row => row.realBalance) }
+                    ]}
+                  />
+                </div>
+              )}
+            </div>
+
+            <div id="calculator-mortgage" className="bg-white rounded-xl shadow-md p-6 scroll-mt-24">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-semibold text-gray-900">房貸試算</h3>
+                <ShareLinkButton path={calculatorPath('mortgage')} onNavigate={navigate} label="複製試算連結" />
+              </div>
+              <div className="grid md:grid-cols-2 gap-6">
+                <div className="space-y-4">
+                  <div className="grid grid-cols-2 gap-4">
+                    {[
+                      { key: 'principal', label: '貸款金額 (NT$)' },
+                      { key: 'years', label: '貸款年限' },
+                      { key: 'graceMonths', label: '寬限期（月）' }
+                    ].map(field => (
+                      <div key={field.key}>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+                        <input
+                          type="number"
+                          value={mortgage[field.key]}
+                          onChange={(e) => setMortgage({...mortgage, [field.key]: Number(e.target.value)})}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                    ))}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">還款方式</label>
+                      <select
+                        value={mortgage.method}
+                        onChange={(e) => setMortgage({...mortgage, method: e.target.value})}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {Object.entries(REPAYMENT_METHODS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">分段利率（例如首購優惠）</label>
+                      <button
+                        onClick={() => setMortgage({
+                          ...mortgage,
+                          rates: [...mortgage.rates, { fromMonth: (mortgage.rates[mortgage.rates.length - 1]?.fromMonth || 1) + 24, rate: mortgage.rates[mortgage.rates.length - 1]?.rate || 2 }]
+                        })}
+                        className="text-sm text-blue-600 hover:text-blue-700"
+                      >
+                        + 新增
+                      </button>
+                    </div>
+                    <div className="space-y-2">
+                      {mortgage.rates.map((stage, index) => (
+                        <div key={index} className="flex items-center space-x-2 text-sm">
+                          <span className="text-gray-500">第</span>
+                          <input
+                            type="number"
+                            value={index === 0 ? 1 : stage.fromMonth}
+                            disabled={index === 0}
+                            onChange={(e) => updateMortgageList('rates', index, { fromMonth: Number(e.target.value) })}
+                            className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg disabled:bg-gray-100"
+                          />
+                          <span className="text-gray-500">期起，年利率</span>
+                          <input
+                            type="number"
+                            step="0.001"
+                            value={stage.rate}
+                            onChange={(e) => updateMortgageList('rates', index, { rate: Number(e.target.value) })}
+                            className="w-24 px-2 py-1.5 border border-gray-300 rounded-lg"
+                          />
+                          <span className="text-gray-500">%</span>
+                          {index > 0 && (
+                            <button
+                              onClick={() => setMortgage({...mortgage, rates: mortgage.rates.filter((_, i) => i !== index)})}
+                              className="p-1 text-gray-400 hover:text-red-600"
+                              aria-label="刪除"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">提前還款方案</label>
+                      <button
+                        onClick={() => setMortgage({
+                          ...mortgage,
+                          prepayments: [...mortgage.prepayments, { month: 12, amount: 500000, everyMonths: 0, mode: 'shorten' }]
+                        })}
+                        className="text-sm text-blue-600 hover:text-blue-700"
+                      >
+                        + 新增
+                      </button>
+                    </div>
+                    <div className="space-y-2">
+                      {mortgage.prepayments.map((item, index) => (
+                        <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+                          <span className="text-gray-500">第</span>
+                          <input
+                            type="number"
+                            value={item.month}
+                            onChange={(e) => updateMortgageList('prepayments', index, { month: Number(e.target.value) })}
+                            className="w-16 px-2 py-1.5 border border-gray-300 rounded-lg"
+                          />
+                          <span className="text-gray-500">期還</span>
+                          <input
+                            type="number"
+                            value={item.amount}
+                            onChange={(e) => updateMortgageList('prepayments', index, { amount: Number(e.target.value) })}
+                            className="w-28 px-2 py-1.5 border border-gray-300 rounded-lg"
+                          />
+                          <select
+                            value={item.everyMonths}
+                            onChange={(e) => updateMortgageList('prepayments', index, { everyMonths: Number(e.target.value) })}
+                            className="px-2 py-1.5 border border-gray-300 rounded-lg"
+                          >
+                            <option value={0}>一次</option>
+                            <option value={12}>每年</option>
+                            <option value={6}>每半年</option>
+                            <option value={1}>每月</option>
+                          </select>
+                          <select
+                            value={item.mode}
+                            onChange={(e) => updateMortgageList('prepayments', index, { mode: e.target.value })}
+                            className="px-2 py-1.5 border border-gray-300 rounded-lg"
+                          >
+                            {Object.entries(PREPAYMENT_MODES).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => {
+                              setMortgage({...mortgage, prepayments: mortgage.prepayments.filter((_, i) => i !== index)});
+                              setMortgageView('base');
+                            }}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                            aria-label="刪除"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+
+                <div className="bg-gradient-to-br from-amber-50 to-orange-50 rounded-lg p-6">
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4">試算結果</h4>
+                  <div className="space-y-3">
+                    {mortgageResult.base.gracePayment !== null && (
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">寬限期月付（只繳利息）</span>
+                        <span className="text-lg font-semibold text-gray-900">
+                          NT$ {mortgageResult.base.gracePayment.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                        </span>
+                      </div>
+                    )}
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600">{mortgage.method === 'equalPrincipal' ? '首期月付' : '每月應繳'}</span>
+                      <span className="text-2xl font-bold text-orange-600">
+                        NT$ {mortgageResult.base.firstPayment.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                      </span>
+                    </div>
+                    {mortgageResult.base.maxPayment > mortgageResult.base.firstPayment + 1 && (
+                      <p className="text-xs text-gray-500 text-right">
+                        利率調升後最高 NT$ {mortgageResult.base.maxPayment.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                      </p>
+                    )}
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600">總利息</span>
+                      <span className="text-xl font-semibold text-amber-700">
+                        NT$ {mortgageResult.base.totalInterest.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600">本息合計</span>
                       <span className="text-lg font-medium text-gray-900">
-                        {((compoundResult.interest / compoundInterest.principal) * 100).toFixed(1)}%
+                        NT$ {mortgageResult.base.totalPaid.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
                       </span>
                     </div>
+                    {(mortgageResult.scenarios.length > 0) && (
+                      <div className="pt-3 border-t space-y-2">
+                        <p className="text-sm font-medium text-gray-700">提前還款可省下的利息</p>
+                        {mortgageResult.scenarios.map((scenario, index) => (
+                          <div key={index} className="flex justify-between items-baseline text-sm">
+                            <span className="text-gray-600">
+                              方案 {index + 1}：{PREPAYMENT_MODES[scenario.option.mode]}
+                            </span>
+                            <span className="text-right">
+                              <span className="font-semibold text-green-700">NT$ {scenario.interestSaved.toLocaleString('zh-TW', {maximumFractionDigits: 0})}</span>
+                              <span className="block text-xs text-gray-500">
+                                {scenario.monthsSaved > 0
+                                  ? `提早 ${Math.floor(scenario.monthsSaved / 12)} 年 ${scenario.monthsSaved % 12} 個月還清`
+                                  : `月付降為 NT$ ${(scenario.result.schedule.find(row => row.month > scenario.option.month && row.month > mortgage.graceMonths)?.payment ?? 0).toLocaleString('zh-TW', {maximumFractionDigits: 0})}`}
+                              </span>
+                            </span>
+                          </div>
+                        ))}
+                        {mortgageCombined && (
+                          <div className="flex justify-between items-baseline text-sm pt-2 border-t border-orange-100">
+                            <span className="text-gray-600">全部方案合併</span>
+                            <span className="font-semibold text-green-700">
+                              NT$ {(mortgageResult.base.totalInterest - mortgageCombined.totalInterest).toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                            </span>
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
+
+              <div className="mt-6">
+                <div className="flex flex-wrap items-center gap-3">
+                  <button
+                    onClick={() => setShowMortgageTable(!showMortgageTable)}
+                    className="text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    {showMortgageTable ? '隱藏攤還表' : '顯示攤還表'}
+                  </button>
+                  <select
+                    value={mortgageView}
+                    onChange={(e) => setMortgageView(/^\d+$/.test(e.target.value) ? Number(e.target.value) : e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                  >
+                    <option value="base">不提前還款</option>
+                    {mortgage.prepayments.map((_, index) => (
+                      <option key={index} value={index}>提前還款方案 {index + 1}</option>
+                    ))}
+                    {mortgageCombined && <option value="all">全部方案合併</option>}
+                  </select>
+                  <button
+                    onClick={() => downloadMortgageCSV(mortgageSchedule.schedule)}
+                    className="inline-flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900"
+                  >
+                    <Download className="w-4 h-4" />
+                    <span>下載 CSV</span>
+                  </button>
+                </div>
+                {showMortgageTable && (
+                  <div className="mt-3 overflow-x-auto max-h-96 overflow-y-auto">
+                    <table className="w-full text-sm text-right">
+                      <thead className="text-gray-500 border-b sticky top-0 bg-white">
+                        <tr>
+                          <th className="py-2 text-left">期數</th>
+                          <th className="py-2">年利率</th>
+                          <th className="py-2">月付金</th>
+                          <th className="py-2">本金</th>
+                          <th className="py-2">利息</th>
+                          <th className="py-2">提前還款</th>
+                          <th className="py-2">剩餘本金</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {mortgageSchedule.schedule.map(row => (
+                          <tr key={row.month} className={`border-b border-gray-100 ${row.prepayment > 0 ? 'bg-green-50' : ''} text-gray-700`}>
+                            <td className="py-1.5 text-left">{row.month}</td>
+                            <td className="py-1.5">{row.rate}%</td>
+                            {[row.payment, row.principal, row.interest, row.prepayment, row.balance].map((value, index) => (
+                              <td key={index} className="py-1.5">{value ? Math.round(value).toLocaleString('zh-TW') : '-'}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
             </div>
 
-            <div className="bg-white rounded-xl shadow-md p-6">
-              <h3 className="text-xl font-semibold text-gray-900 mb-4">退休規劃計算器</h3>
+            <div id="calculator-retirement" className="bg-white rounded-xl shadow-md p-6 scroll-mt-24">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-semibold text-gray-900">退休規劃計算器</h3>
+                <ShareLinkButton path={calculatorPath('retirement')} onNavigate={navigate} label="複製試算連結" />
+              </div>
               <div className="grid md:grid-cols-2 gap-6">
                 <div className="space-y-4">
                   <div className="grid grid-cols-2 gap-4">
@@ -406,14 +2023,110 @@ function App() {
                       className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                     />
                   </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    {[
+                      { key: 'returnRate', label: '退休前年報酬率 (%)' },
+                      { key: 'postReturnRate', label: '退休後年報酬率 (%)' },
+                      { key: 'inflationRate', label: '通膨率 (%)' },
+                      { key: 'contributionGrowth', label: '每年投入成長 (%)' },
+                      { key: 'lifeExpectancy', label: '預期壽命' }
+                    ].map(field => (
+                      <div key={field.key}>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+                        <input
+                          type="number"
+                          value={retirementCalc[field.key]}
+                          onChange={(e) => setRetirementCalc({...retirementCalc, [field.key]: Number(e.target.value)})}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                      </div>
+                    ))}
+                  </div>
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">預期年報酬率 (%)</label>
-                    <input
-                      type="number"
-                      value={retirementCalc.returnRate}
-                      onChange={(e) => setRetirementCalc({...retirementCalc, returnRate: Number(e.target.value)})}
-                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    />
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-700">一次性收支（今日幣值，支出填負數）</label>
+                      <button
+                        onClick={() => setRetirementCalc({
+                          ...retirementCalc,
+                          events: [...retirementCalc.events, { age: retirementCalc.retireAge, amount: 0, label: '' }]
+                        })}
+                        className="text-sm text-blue-600 hover:text-blue-700"
+                      >
+                        + 新增
+                      </button>
+                    </div>
+                    <div className="space-y-2">
+                      {retirementCalc.events.map((event, index) => (
+                        <div key={index} className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            value={event.age}
+                            onChange={(e) => updateRetirementEvent(index, { age: Number(e.target.value) })}
+                            className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                            title="年齡"
+                          />
+                          <input
+                            type="number"
+                            value={event.amount}
+                            onChange={(e) => updateRetirementEvent(index, { amount: Number(e.target.value) })}
+                            className="w-32 px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                            title="金額"
+                          />
+                          <input
+                            type="text"
+                            value={event.label}
+                            onChange={(e) => updateRetirementEvent(index, { label: e.target.value })}
+                            placeholder="說明（例如購屋、繼承）"
+                            className="flex-1 min-w-0 px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                          />
+                          <button
+                            onClick={() => setRetirementCalc({
+                              ...retirementCalc,
+                              events: retirementCalc.events.filter((_, i) => i !== index)
+                            })}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                            aria-label="刪除"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  <div className="pt-4 border-t">
+                    <label className="inline-flex items-center space-x-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={taiwanPension.enabled}
+                        onChange={(e) => setTaiwanPension({...taiwanPension, enabled: e.target.checked})}
+                        className="rounded text-blue-600"
+                      />
+                      <span className="text-sm font-medium text-gray-700">納入勞保老年年金與勞退個人專戶</span>
+                    </label>
+                    {taiwanPension.enabled && (
+                      <div className="grid grid-cols-2 gap-4 mt-3">
+                        {[
+                          { key: 'monthlySalary', label: '目前月薪' },
+                          { key: 'salaryGrowth', label: '每年調薪 (%)' },
+                          { key: 'insuredYears', label: '已累積勞保年資' },
+                          { key: 'pensionYears', label: '已累積勞退年資' },
+                          { key: 'pensionBalance', label: '勞退專戶目前餘額' },
+                          { key: 'voluntaryRate', label: '自願提繳率 (0–6%)' },
+                          { key: 'pensionReturn', label: '勞退基金年報酬率 (%)' },
+                          { key: 'laborInsuranceClaimAge', label: '勞保請領年齡（0 = 法定）' }
+                        ].map(field => (
+                          <div key={field.key}>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+                            <input
+                              type="number"
+                              value={taiwanPension[field.key]}
+                              onChange={(e) => setTaiwanPension({...taiwanPension, [field.key]: Number(e.target.value)})}
+                              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </div>
                 
@@ -423,15 +2136,39 @@ function App() {
                     <div>
                       <p className="text-sm text-gray-600 mb-1">退休時預計資產</p>
                       <p className="text-2xl font-bold text-blue-600">
-                        NT$ {retirementResult.futureValue.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                        NT$ {retirementResult.balanceAtRetirement.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        約當今日幣值 NT$ {retirementResult.realBalanceAtRetirement.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
                       </p>
                     </div>
                     <div>
-                      <p className="text-sm text-gray-600 mb-1">可支撐月支出</p>
+                      <p className="text-sm text-gray-600 mb-1">可支撐月支出（今日幣值，用到 {retirementCalc.lifeExpectancy} 歲）</p>
                       <p className="text-xl font-semibold text-indigo-600">
                         NT$ {retirementResult.sustainableMonthly.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
                       </p>
                     </div>
+                    {pensionPlan && (
+                      <div className="space-y-2">
+                        {[
+                          { key: 'laborInsurance', label: '勞保老年年金', lumpLabel: '勞保老年一次金', plan: pensionPlan.laborInsurance },
+                          { key: 'laborPension', label: '勞退月退休金', lumpLabel: '勞退一次領取', plan: pensionPlan.laborPension }
+                        ].map(item => (
+                          <div key={item.key} className="flex items-baseline justify-between text-sm">
+                            <span className="text-gray-600">
+                              {item.plan.type === 'annuity' ? item.label : item.lumpLabel}（{item.plan.claimAge} 歲起）
+                            </span>
+                            <span className="font-semibold text-gray-900">
+                              NT$ {item.plan.realValue.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                              {item.plan.type === 'annuity' ? ' / 月' : ''}
+                            </span>
+                          </div>
+                        ))}
+                        <p className="text-xs text-gray-500">
+                          今日幣值；勞保年金隨物價調整，勞退月退休金為固定金額。法規參數版本 {pensionPlan.rulesVersion}
+                        </p>
+                      </div>
+                    )}
                     <div className={`p-4 rounded-lg ${retirementResult.shortfall > 0 ? 'bg-red-100' : 'bg-green-100'}`}>
                       <p className="text-sm font-medium mb-1">
                         {retirementResult.shortfall > 0 ? '⚠️ 資金缺口' : '✅ 目標達成'}
@@ -442,13 +2179,177 @@ function App() {
                           : `每月盈餘 NT$ ${Math.abs(retirementResult.shortfall).toLocaleString('zh-TW', {maximumFractionDigits: 0})}`
                         }
                       </p>
+                      {retirementResult.depletedAge !== null && (
+                        <p className="text-sm text-red-700 mt-1">資產將在 {retirementResult.depletedAge} 歲耗盡</p>
+                      )}
                     </div>
+                    {retirementResult.requiredContribution !== null && (
+                      <div>
+                        <p className="text-sm text-gray-600 mb-1">
+                          {retirementResult.shortfall > 0 ? '補足缺口所需的每月投入' : '達成目標的最低每月投入'}
+                        </p>
+                        <p className="text-xl font-semibold text-gray-900">
+                          NT$ {retirementResult.requiredContribution.toLocaleString('zh-TW', {maximumFractionDigits: 0})}
+                          {retirementCalc.contributionGrowth > 0 && (
+                            <span className="text-sm font-normal text-gray-500">（之後每年調升 {retirementCalc.contributionGrowth}%）</span>
+                          )}
+                        </p>
+                      </div>
+                    )}
                     <p className="text-xs text-gray-500 pt-2">
-                      * 假設退休後存活 25 年，未考慮通脹因素
+                      * 月支出與一次性收支以今日幣值輸入，依通膨率換算；報酬率以等效月報酬率逐月複利{pensionPlan ? '；資金缺口已扣除勞保與勞退給付' : ''}
                     </p>
                   </div>
                 </div>
               </div>
+
+              <div className="mt-6">
+                <LineChart
+                  labels={retirementResult.rows.map(row => `${row.age}歲`)}
+                  series={[
+                    { label: '名目資產', color: '#2563eb', values: retirementResult.rows.map(row => Math.max(row.endBalance, 0)) },
+                    { label: '今日幣值', color: '#6366f1', dashed: true, values: retirementResult.rows.map(row => Math.max(row.realEndBalance, 0)) }
+                  ]}
+                  markers={retirementCalc.retireAge > retirementCalc.currentAge && retirementCalc.retireAge < retirementCalc.lifeExpectancy
+                    ? [{ index: retirementCalc.retireAge - retirementCalc.currentAge, label: '退休' }]
+                    : []}
+                />
+                <button
+                  onClick={() => setShowRetirementTable(!showRetirementTable)}
+                  className="mt-4 text-sm text-blue-600 hover:text-blue-700"
+                >
+                  {showRetirementTable ? '隱藏逐年明細' : '顯示逐年明細'}
+                </button>
+                {showRetirementTable && (
+                  <div className="mt-3 overflow-x-auto">
+                    <table className="w-full text-sm text-right">
+                      <thead className="text-gray-500 border-b">
+                        <tr>
+                          <th className="py-2 text-left">年齡</th>
+                          <th className="py-2">年初資產</th>
+                          <th className="py-2">投入</th>
+                          <th className="py-2">提領</th>
+                          <th className="py-2">年金收入</th>
+                          <th className="py-2">一次性收支</th>
+                          <th className="py-2">投資收益</th>
+                          <th className="py-2">年底資產</th>
+                          <th className="py-2">今日幣值</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {retirementResult.rows.map(row => (
+                          <tr key={row.age} className={`border-b border-gray-100 ${row.endBalance < 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                            <td className="py-1.5 text-left">{row.age}{row.retired ? '' : ' ·'}</td>
+                            {[row.startBalance, row.contributions, -row.withdrawals, row.income, row.lumpSum, row.growth, row.endBalance, row.realEndBalance].map((value, index) => (
+                              <td key={index} className="py-1.5">{value ? formatCompact(value) : '-'}</td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-gray-400 mt-2">· 代表退休前；金額單位為名目新台幣</p>
+                  </div>
+                )}
+              </div>
+
+              <div className="mt-6 pt-6 border-t">
+                <label className="inline-flex items-center space-x-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={simulation.enabled}
+                    onChange={(e) => setSimulation({...simulation, enabled: e.target.checked})}
+                    className="rounded text-blue-600"
+                  />
+                  <span className="font-medium text-gray-900">蒙地卡羅模擬（考慮報酬率波動與報酬順序風險）</span>
+                </label>
+
+                {simulation.enabled && (
+                  <div className="mt-4 space-y-4">
+                    <div className="flex flex-wrap items-end gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">報酬率模型</label>
+                        <select
+                          value={simulation.mode}
+                          onChange={(e) => setSimulation({...simulation, mode: e.target.value})}
+                          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="normal">平均報酬 + 波動度</option>
+                          <option value="bootstrap">歷史報酬抽樣（{HISTORY_RANGE}）</option>
+                        </select>
+                      </div>
+                      {(simulation.mode === 'normal'
+                        ? [{ key: 'volatility', label: '年波動度 (%)' }]
+                        : [
+                          { key: 'preStocks', label: '退休前股票 (%)' },
+                          { key: 'preBonds', label: '退休前債券 (%)' },
+                          { key: 'postStocks', label: '退休後股票 (%)' },
+                          { key: 'postBonds', label: '退休後債券 (%)' }
+                        ]
+                      ).concat({ key: 'paths', label: '模擬次數' }).map(field => (
+                        <div key={field.key}>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+                          <input
+                            type="number"
+                            value={simulation[field.key]}
+                            onChange={(e) => setSimulation({...simulation, [field.key]: Number(e.target.value)})}
+                            className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {simulation.mode === 'normal'
+                        ? '平均報酬率使用上方的退休前 / 退休後年報酬率。'
+                        : '每年隨機抽取一個歷史年度的美股、美債與國庫券報酬（美元名目，Damodaran 資料），股債以外為現金。'}
+                    </p>
+
+                    {simulationResult && (
+                      <div className={`grid sm:grid-cols-4 gap-4 ${simulationRunning ? 'opacity-60' : ''}`}>
+                        <div className={`p-4 rounded-lg ${simulationResult.successRate >= 0.8 ? 'bg-green-100' : simulationResult.successRate >= 0.5 ? 'bg-yellow-100' : 'bg-red-100'}`}>
+                          <p className="text-sm text-gray-600 mb-1">成功機率</p>
+                          <p className="text-2xl font-bold text-gray-900">{(simulationResult.successRate * 100).toFixed(1)}%</p>
+                          <p className="text-xs text-gray-500 mt-1">資產撐到 {retirementCalc.lifeExpectancy} 歲</p>
+                        </div>
+                        {[
+                          { key: 'p10', label: '悲觀（第 10 百分位）' },
+                          { key: 'p50', label: '中位數' },
+                          { key: 'p90', label: '樂觀（第 90 百分位）' }
+                        ].map(item => (
+                          <div key={item.key} className="p-4 rounded-lg bg-gray-50">
+                            <p className="text-sm text-gray-600 mb-1">{item.label}</p>
+                            <p className="text-lg font-semibold text-gray-900">NT$ {formatCompact(simulationResult.final[item.key])}</p>
+                            <p className="text-xs text-gray-500 mt-1">{retirementCalc.lifeExpectancy} 歲時資產</p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    {simulationResult?.depletion && (
+                      <p className="text-sm text-gray-600">
+                        失敗的情境中，資產中位數在 {Math.round(simulationResult.depletion.p50)} 歲耗盡，最早的一成在 {Math.round(simulationResult.depletion.p10)} 歲前耗盡。
+                      </p>
+                    )}
+                    {simulationResult && (
+                      <LineChart
+                        labels={simulationResult.ages.map(age => `${age}歲`)}
+                        bands={[{ label: '第 10–90 百分位', color: '#3b82f6', lower: simulationResult.bands.p10, upper: simulationResult.bands.p90 }]}
+                        series={[
+                          { label: '中位數', color: '#1d4ed8', values: simulationResult.bands.p50 },
+                          { label: '固定報酬試算', color: '#9ca3af', dashed: true, values: retirementResult.rows.map(row => Math.max(row.endBalance, 0)) }
+                        ]}
+                        markers={retirementCalc.retireAge > retirementCalc.currentAge && retirementCalc.retireAge < retirementCalc.lifeExpectancy
+                          ? [{ index: retirementCalc.retireAge - retirementCalc.currentAge, label: '退休' }]
+                          : []}
+                      />
+                    )}
+                    {simulationRunning && !simulationResult && (
+                      <div className="flex items-center space-x-2 text-gray-500 text-sm">
+                        <RefreshCw className="w-4 h-4 animate-spin" />
+                        <span>模擬中...</span>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
             </div>
 
           </div>
@@ -462,7 +2363,7 @@ function App() {
                 <h2 className="text-2xl font-bold text-gray-900">全球經濟日曆</h2>
               </div>
               <button
-                onClick={fetchCalendar}
+                onClick={() => fetchCalendar()}
                 disabled={calendarLoading}
                 className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
               >
@@ -471,9 +2372,45 @@ function App() {
               </button>
             </div>
             
+            <div className="flex space-x-2">
+              {[
+                { id: 'upcoming', label: '未來 7 天' },
+                { id: 'past', label: '過去 30 天' }
+              ].map(mode => (
+                <button
+                  key={mode.id}
+                  onClick={() => navigate(buildPath(['calendar'], mode.id === 'past' ? { mode: 'past' } : {}))}
+                  className={`px-4 py-1.5 rounded-full text-sm transition ${
+                    calendarMode === mode.id
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-white text-gray-600 border border-gray-200 hover:bg-gray-100'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+
+            {calendarError && (
+              <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded">
+                <p className="text-yellow-700">⚠️ {calendarError}</p>
+                <button onClick={() => fetchCalendar()} className="text-sm text-yellow-700 underline mt-1">重試</button>
+              </div>
+            )}
+
             <div className="space-y-4">
+              {!calendarLoading && !calendarError && economicCalendar.length === 0 && (
+                <p className="text-gray-500 text-center py-8">此區間沒有事件</p>
+              )}
+              {route.eventId && !calendarLoading && calendarLookup === route.eventId && !economicCalendar.some(event => event.id === route.eventId) && (
+                <p className="text-yellow-700 text-sm">⚠️ 找不到這個事件，可能已從資料來源移除</p>
+              )}
               {economicCalendar.map((event, index) => (
-                <div key={index} className="bg-white rounded-xl shadow-md p-6 hover:shadow-lg transition">
+                <div
+                  key={event.id || index}
+                  id={event.id ? `event-${event.id}` : undefined}
+                  className={`bg-white rounded-xl shadow-md p-6 hover:shadow-lg transition scroll-mt-24 ${route.eventId && route.eventId === event.id ? 'ring-2 ring-blue-400' : ''}`}
+                >
                   <div className="flex items-start justify-between mb-4">
                     <div className="flex-1">
                       <div className="flex items-center space-x-3 mb-2">
@@ -490,28 +2427,74 @@ function App() {
                       </div>
                       <h3 className="text-xl font-semibold text-gray-900 mb-3">{event.event}</h3>
                       
-                      <div className="flex space-x-6 text-sm mb-4">
-                        <div>
-                          <span className="text-gray-500">前值：</span>
-                          <span className="font-medium text-gray-900">{event.previous}</span>
-                        </div>
-                        <div>
-                          <span className="text-gray-500">預測：</span>
-                          <span className="font-medium text-gray-900">{event.forecast}</span>
-                        </div>
+                      <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm mb-4">
+                        {event.previous && (
+                          <div>
+                            <span className="text-gray-500">前值：</span>
+                            <span className="font-medium text-gray-900">{event.previous}</span>
+                          </div>
+                        )}
+                        {event.forecast && (
+                          <div>
+                            <span className="text-gray-500">預測：</span>
+                            <span className="font-medium text-gray-900">{event.forecast}</span>
+                          </div>
+                        )}
+                        {event.actual && (
+                          <div>
+                            <span className="text-gray-500">公布值：</span>
+                            <span className="font-medium text-gray-900">{event.actual}</span>
+                          </div>
+                        )}
+                        {event.surprise && (
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                            event.surprise.direction === 'above'
+                              ? 'bg-green-100 text-green-700'
+                              : event.surprise.direction === 'below'
+                                ? 'bg-red-100 text-red-700'
+                                : 'bg-gray-100 text-gray-600'
+                          }`}>
+                            {event.surprise.direction === 'above' ? '▲ 高於預期 ' : event.surprise.direction === 'below' ? '▼ 低於預期 ' : ''}
+                            {event.surprise.label}
+                          </span>
+                        )}
                       </div>
+                      {event.surpriseNote && (
+                        <p className="text-sm text-gray-700 mb-2">
+                          <span className="font-medium">公布後解讀：</span>{event.surpriseNote}
+                        </p>
+                      )}
+                      {event.source && (
+                        <p className="text-xs text-gray-400 mb-2">資料來源：{event.source}</p>
+                      )}
                     </div>
                   </div>
                   
-                  <div className="bg-gradient-to-r from-blue-50 to-cyan-50 rounded-lg p-4 border-l-4 border-blue-500">
-                    <div className="flex items-start space-x-2">
-                      <Sparkles className="w-5 h-5 text-blue-600 mt-0.5 flex-shrink-0" />
-                      <div>
-                        <p className="text-sm font-medium text-gray-900 mb-1">AI 影響分析</p>
-                        <p className="text-gray-700">{event.aiAnalysis}</p>
+                  {event.aiAnalysis && (
+                    <div className="bg-gradient-to-r from-blue-50 to-cyan-50 rounded-lg p-4 border-l-4 border-blue-500">
+                      <div className="flex items-start space-x-2">
+                        <Sparkles className="w-5 h-5 text-blue-600 mt-0.5 flex-shrink-0" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-900 mb-1">
+                            {event.provenance?.aiAnalysis === 'static' ? '參考說明' : 'AI 影響分析'}
+                          </p>
+                          <p className="text-gray-700">{event.aiAnalysis}</p>
+                        </div>
                       </div>
                     </div>
-                  </div>
+                  )}
+                  {event.id && event.provenance?.aiAnalysis !== 'static' && (
+                    <div className="flex items-center gap-4 mt-3">
+                      <button
+                        onClick={() => setAskTarget({ type: 'event', id: event.id, title: event.event, date: event.date })}
+                        className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-700 text-sm"
+                      >
+                        <MessageCircle className="w-4 h-4" />
+                        <span>問 AI</span>
+                      </button>
+                      <ShareLinkButton path={eventPath(event.id)} onNavigate={navigate} />
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -520,6 +2503,71 @@ function App() {
         )}
       </main>
 
+      {askTarget && (
+        <div className="fixed inset-0 z-50 flex justify-end">
+          <div className="absolute inset-0 bg-black/30" onClick={() => setAskTarget(null)} />
+          <div className="relative w-full max-w-md h-full bg-white shadow-xl flex flex-col">
+            <div className="flex items-start justify-between p-4 border-b">
+              <div className="pr-4">
+                <p className="text-xs text-purple-600 font-medium mb-1">
+                  問 AI · {askTarget.type === 'news' ? '新聞' : '經濟事件'}
+                </p>
+                <h3 className="font-semibold text-gray-900">{askTarget.title}</h3>
+              </div>
+              <button onClick={() => setAskTarget(null)} className="p-1 text-gray-500 hover:text-gray-700" aria-label="關閉">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4 space-y-3">
+              {!(askThreads[threadKey(askTarget)] || []).length && (
+                <p className="text-sm text-gray-500">
+                  針對這則{askTarget.type === 'news' ? '新聞' : '事件'}提問，例如「對台股有什麼影響？」。AI 只根據原文與摘要回答，不構成投資建議。
+                </p>
+              )}
+              {(askThreads[threadKey(askTarget)] || []).map((turn, index) => (
+                <div key={index} className={turn.role === 'user' ? 'flex justify-end' : ''}>
+                  <div className={`rounded-lg px-3 py-2 text-sm whitespace-pre-wrap ${
+                    turn.role === 'user' ? 'bg-purple-600 text-white max-w-[85%]' : 'bg-gray-100 text-gray-800'
+                  }`}>
+                    {turn.content || (!turn.error && <RefreshCw className="w-4 h-4 text-gray-400 animate-spin" />)}
+                    {turn.note && <p className="text-xs text-gray-500 mt-1">{turn.note}</p>}
+                    {turn.error && <p className="text-red-600">⚠️ {turn.error}</p>}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="p-4 border-t">
+              <div className="flex items-end space-x-2">
+                <textarea
+                  value={askInput}
+                  onChange={(e) => setAskInput(e.target.value.slice(0, MAX_QUESTION_LENGTH))}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+                      e.preventDefault();
+                      askQuestion();
+                    }
+                  }}
+                  rows={2}
+                  placeholder="輸入問題，Enter 送出"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm resize-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                />
+                <button
+                  onClick={askQuestion}
+                  disabled={askStreaming || !askInput.trim()}
+                  className="p-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                  aria-label="送出"
+                >
+                  <Send className="w-5 h-5" />
+                </button>
+              </div>
+              <p className="text-xs text-gray-400 mt-1 text-right">{askInput.length}/{MAX_QUESTION_LENGTH}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
       <footer className="bg-white border-t mt-12">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
           <div className="text-center text-gray-600 text-sm">
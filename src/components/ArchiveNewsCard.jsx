@@ -0,0 +1,72 @@
+// src/components/ArchiveNewsCard.jsx - 新聞回顧中的歸檔新聞卡片：摘要、AI 解讀、相關標的，有深度解讀時可展開
+
+import React, { useState } from 'react';
+import { ExternalLink, Sparkles, BookOpen } from 'lucide-react';
+import DeepAnalysis from './DeepAnalysis.jsx';
+
+export default function ArchiveNewsCard({ news }) {
+  const [deepOpen, setDeepOpen] = useState(false);
+  const publishedAt = news.publishedAt ? new Date(news.publishedAt) : null;
+  return (
+    <div className="bg-white rounded-xl shadow-md p-5">
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <span className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full font-medium">{news.category}</span>
+        <span className="text-gray-500">
+          {news.source}
+          {publishedAt && ` · ${publishedAt.toLocaleString('zh-TW', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`}
+        </span>
+      </div>
+      <h3 className="text-lg font-semibold text-gray-900">{news.title}</h3>
+      {news.originalTitle && news.originalTitle !== news.title && (
+        <p className="text-sm text-gray-400 mb-2">{news.originalTitle}</p>
+      )}
+      <p className="text-gray-600 mb-3">{news.summary}</p>
+
+      <div className="bg-gradient-to-r from-purple-50 to-blue-50 rounded-lg p-3 border-l-4 border-purple-500 mb-3 text-sm">
+        <div className="flex items-start space-x-2">
+          <Sparkles className="w-4 h-4 text-purple-600 mt-0.5 flex-shrink-0" />
+          <p className="text-gray-700">{news.aiInsight}</p>
+        </div>
+      </div>
+
+      {news.assets?.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {news.assets.map(asset => (
+            <span key={asset.ticker || asset.name} className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-xs font-medium">
+              {asset.ticker || asset.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {deepOpen && news.deepAnalysis && (
+        <div className="border border-indigo-100 rounded-lg p-4 mb-3 text-sm">
+          <DeepAnalysis analysis={news.deepAnalysis} />
+        </div>
+      )}
+
+      <div className="flex items-center gap-4">
+        {news.url && (
+          <a
+            href={news.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-700 text-sm"
+          >
+            <span>閱讀原文</span>
+            <ExternalLink className="w-4 h-4" />
+          </a>
+        )}
+        {news.deepAnalysis && (
+          <button
+            onClick={() => setDeepOpen(!deepOpen)}
+            className="inline-flex items-center space-x-1 text-indigo-600 hover:text-indigo-700 text-sm"
+          >
+            <BookOpen className="w-4 h-4" />
+            <span>{deepOpen ? '收合深度解讀' : '深度解讀'}</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+// src/components/Charts.jsx - 計算器用的輕量 SVG 圖表（不依賴圖表套件）
+
+import React, { useState } from 'react';
+
+const WIDTH = 640;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+export function formatCompact(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e8) return `${(value / 1e8).toFixed(1)}億`;
+  if (abs >= 1e4) return `${(value / 1e4).toFixed(0)}萬`;
+  return value.toFixed(0);
+}
+
+function niceTicks(min, max, count = 4) {
+  if (max === min) return [min];
+  const rawStep = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(value => value >= rawStep);
+  const ticks = [];
+  for (let value = Math.floor(min / step) * step; value <= max + step / 2; value += step) ticks.push(value);
+  return ticks;
+}
+
+function useScales(labels, values, height) {
+  const min = Math.min(0, ...values);
+  const ticks = niceTicks(min, Math.max(...values, 1));
+  const yMin = ticks[0];
+  const yMax = ticks[ticks.length - 1];
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const x = index => PADDING.left + (labels.length <= 1 ? 0 : (index / (labels.length - 1)) * plotWidth);
+  const y = value => PADDING.top + plotHeight - ((value - yMin) / (yMax - yMin || 1)) * plotHeight;
+  return { x, y, ticks, plotWidth, plotHeight };
+}
+
+function Axes({ labels, scales, height, formatValue }) {
+  const labelStep = Math.max(1, Math.ceil(labels.length / 8));
+  return (
+    <g className="text-gray-400" fontSize="11" fill="currentColor">
+      {scales.ticks.map(tick => (
+        <g key={tick}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={scales.y(tick)} y2={scales.y(tick)} stroke="#e5e7eb" />
+          <text x={PADDING.left - 6} y={scales.y(tick) + 4} textAnchor="end">{formatValue(tick)}</text>
+        </g>
+      ))}
+      {labels.map((label, index) => index % labelStep === 0 && (
+        <text key={index} x={scales.x(index)} y={height - 8} textAnchor="middle">{label}</text>
+      ))}
+    </g>
+  );
+}
+
+function Legend({ items }) {
+  return (
+    <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+      {items.map(item => (
+        <span key={item.label} className="inline-flex items-center space-x-1">
+          <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: item.color, opacity: item.opacity ?? 1 }} />
+          <span>{item.label}</span>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * 折線圖。series: [{ label, color, values, dashed }]；bands: [{ label, color, lower, upper }] 畫成區間帶；
+ * markers: [{ index, label }] 畫垂直參考線（例如退休年齡）。
+ */
+export function LineChart({ labels, series, bands = [], markers = [], height = 260, formatValue = formatCompact }) {
+  const [hover, setHover] = useState(null);
+  const values = [...series.flatMap(item => item.values), ...bands.flatMap(band => [...band.lower, ...band.upper])]
+    .filter(Number.isFinite);
+  const scales = useScales(labels, values, height);
+  const path = points => points.map((value, index) => `${index ? 'L' : 'M'}${scales.x(index)},${scales.y(value)}`).join('');
+
+  const onMove = event => {
+    const box = event.currentTarget.getBoundingClientRect();
+    const ratio = ((event.clientX - box.left) / box.width * WIDTH - PADDING.left) / scales.plotWidth;
+    setHover(Math.min(labels.length - 1, Math.max(0, Math.round(ratio * (labels.length - 1)))));
+  };
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" onMouseMove={onMove} onMouseLeave={() => setHover(null)}>
+        <Axes labels={labels} scales={scales} height={height} formatValue={formatValue} />
+        {bands.map(band => (
+          <path
+            key={band.label}
+            d={`${path(band.upper)}${band.lower.map((value, index) => `L${scales.x(band.lower.length - 1 - index)},${scales.y(band.lower[band.lower.length - 1 - index])}`).join('')}Z`}
+            fill={band.color}
+            opacity={band.opacity ?? 0.2}
+          />
+        ))}
+        {markers.map(marker => (
+          <g key={marker.label}>
+            <line x1={scales.x(marker.index)} x2={scales.x(marker.index)} y1={PADDING.top} y2={height - PADDING.bottom} stroke="#9ca3af" strokeDasharray="4 4" />
+            <text x={scales.x(marker.index) + 4} y={PADDING.top + 10} fontSize="11" fill="#6b7280">{marker.label}</text>
+          </g>
+        ))}
+        {series.map(item => (
+          <path key={item.label} d={path(item.values)} fill="none" stroke={item.color} strokeWidth="2" strokeDasharray={item.dashed ? '6 4' : undefined} />
+        ))}
+        {hover !== null && (
+          <line x1={scales.x(hover)} x2={scales.x(hover)} y1={PADDING.top} y2={height - PADDING.bottom} stroke="#d1d5db" />
+        )}
+      </svg>
+      {hover !== null && (
+        <div className="absolute top-2 right-2 bg-white/95 border border-gray-200 rounded-lg shadow-sm px-3 py-2 text-xs pointer-events-none">
+          <p className="font-medium text-gray-900 mb-1">{labels[hover]}</p>
+          {[...bands.flatMap(band => [
+            { label: `${band.label}（上）`, value: band.upper[hover], color: band.color },
+            { label: `${band.label}（下）`, value: band.lower[hover], color: band.color }
+          ]), ...series.map(item => ({ label: item.label, value: item.values[hover], color: item.color }))].map(row => (
+            <p key={row.label} style={{ color: row.color }}>{row.label}：{formatValue(row.value)}</p>
+          ))}
+        </div>
+      )}
+      <Legend items={[...series, ...bands.map(band => ({ ...band, opacity: band.opacity ?? 0.4 }))]} />
+    </div>
+  );
+}
+
+/**
+ * 堆疊長條圖。series: [{ label, color, values }]，同一個索引的正值往上疊、負值往下疊；
+ * lines: [{ label, color, values, dashed }] 疊在長條上方（例如實質價值）。
+ */
+export function StackedBarChart({ labels, series, lines = [], height = 260, formatValue = formatCompact }) {
+  const [hover, setHover] = useState(null);
+  const totals = labels.map((_, index) => {
+    const values = series.map(item => item.values[index] || 0);
+    return [values.filter(value => value > 0).reduce((sum, value) => sum + value, 0),
+      values.filter(value => value < 0).reduce((sum, value) => sum + value, 0)];
+  });
+  const scales = useScales(labels, [...totals.flat(), ...lines.flatMap(line => line.values)].filter(Number.isFinite), height);
+  // 長條置於每個刻度的區間中央，x 軸改用等寬分格
+  const slot = scales.plotWidth / Math.max(labels.length, 1);
+  const center = index => PADDING.left + slot * (index + 0.5);
+  const barScales = { ...scales, x: center };
+
+  const bars = labels.map((_, index) => {
+    let up = 0;
+    let down = 0;
+    return series.map(item => {
+      const value = item.values[index] || 0;
+      const from = value >= 0 ? up : down;
+      const to = from + value;
+      if (value >= 0) up = to;
+      else down = to;
+      return { key: item.label, color: item.color, y: scales.y(Math.max(from, to)), height: Math.abs(scales.y(from) - scales.y(to)) };
+    });
+  });
+
+  const onMove = event => {
+    const box = event.currentTarget.getBoundingClientRect();
+    const offset = (event.clientX - box.left) / box.width * WIDTH - PADDING.left;
+    setHover(Math.min(labels.length - 1, Math.max(0, Math.floor(offset / slot))));
+  };
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full" onMouseMove={onMove} onMouseLeave={() => setHover(null)}>
+        <Axes labels={labels} scales={barScales} height={height} formatValue={formatValue} />
+        {bars.map((segments, index) => (
+          <g key={index} opacity={hover === null || hover === index ? 1 : 0.6}>
+            {segments.map(segment => (
+              <rect key={segment.key} x={center(index) - slot * 0.35} width={slot * 0.7} y={segment.y} height={segment.height} fill={segment.color} />
+            ))}
+          </g>
+        ))}
+        {lines.map(line => (
+          <path
+            key={line.label}
+            d={line.values.map((value, index) => `${index ? 'L' : 'M'}${center(index)},${scales.y(value)}`).join('')}
+            fill="none"
+            stroke={line.color}
+            strokeWidth="2"
+            strokeDasharray={line.dashed ? '6 4' : undefined}
+          />
+        ))}
+      </svg>
+      {hover !== null && (
+        <div className="absolute top-2 left-20 bg-white/95 border border-gray-200 rounded-lg shadow-sm px-3 py-2 text-xs pointer-events-none">
+          <p className="font-medium text-gray-900 mb-1">{labels[hover]}</p>
+          {[...series, ...lines].map(item => (
+            <p key={item.label} style={{ color: item.color }}>{item.label}：{formatValue(item.values[hover] || 0)}</p>
+          ))}
+        </div>
+      )}
+      <Legend items={[...series, ...lines]} />
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+// src/components/DeepAnalysis.jsx - 新聞卡片展開後的深度解讀：一句話結論、關鍵數字、多空論點與背景
+
+import React from 'react';
+
+export default function DeepAnalysis({ analysis }) {
+  const { takeaway, keyFigures, bullPoints, bearPoints, background, basis, extraction } = analysis;
+  return (
+    <div className="space-y-4">
+      <p className="font-medium text-indigo-900">{takeaway}</p>
+
+      {keyFigures.length > 0 && (
+        <div>
+          <p className="text-gray-500 mb-2">關鍵數字</p>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+            {keyFigures.map(figure => (
+              <div key={`${figure.label}-${figure.value}`} className="bg-indigo-50 rounded-lg p-2">
+                <p className="text-xs text-gray-500">{figure.label}</p>
+                <p className="text-lg font-semibold text-gray-900">{figure.value}</p>
+                {figure.note && <p className="text-xs text-gray-600">{figure.note}</p>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-3">
+        <div className="bg-green-50 rounded-lg p-3">
+          <p className="font-medium text-green-800 mb-1">▲ 偏多論點</p>
+          <ul className="list-disc pl-5 space-y-1 text-gray-700">
+            {bullPoints.map(point => <li key={point}>{point}</li>)}
+          </ul>
+        </div>
+        <div className="bg-red-50 rounded-lg p-3">
+          <p className="font-medium text-red-800 mb-1">▼ 偏空與風險</p>
+          <ul className="list-disc pl-5 space-y-1 text-gray-700">
+            {bearPoints.map(point => <li key={point}>{point}</li>)}
+          </ul>
+        </div>
+      </div>
+
+      <div>
+        <p className="text-gray-500 mb-1">背景</p>
+        <p className="text-gray-700">{background}</p>
+      </div>
+
+      <p className="text-xs text-gray-400">
+        {basis === 'fulltext'
+          ? `根據原文全文（${extraction.length.toLocaleString()} 字${extraction.truncated ? '，已截斷' : ''}）分析`
+          : `無法取得原文（${extraction.error || '未知原因'}），僅根據摘要分析`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// src/components/ShareLinkButton.jsx - 複製目前項目（新聞、事件、試算）的分享連結，並把網址列切換到該路徑
+
+import React, { useState } from 'react';
+import { Link2, Check } from 'lucide-react';
+
+export default function ShareLinkButton({ path, onNavigate, label = '複製連結', className = 'text-gray-500 hover:text-gray-700' }) {
+  const [copied, setCopied] = useState(false);
+
+  const share = async () => {
+    onNavigate?.(path);
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${path}`);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('複製連結錯誤:', error);
+    }
+  };
+
+  return (
+    <button onClick={share} className={`inline-flex items-center space-x-1 text-sm ${className}`}>
+      {copied ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+      <span>{copied ? '已複製連結' : label}</span>
+    </button>
+  );
+}
@@ -0,0 +1,47 @@
+// src/lib/ask.js - 呼叫 /api/ask 並逐段讀取 SSE 回答（EventSource 不支援 POST，改用 fetch 讀取串流）
+
+export const MAX_QUESTION_LENGTH = 500;
+
+export function threadKey(target) {
+  return `${target.type}:${target.id}`;
+}
+
+/**
+ * 送出問題，依序以 onEvent(event, data) 回報 meta / delta / done / error。
+ * 伺服器在開始串流前就拒絕（參數錯誤、限流、額度）時回傳一般 JSON，這裡轉成 error 事件。
+ */
+export async function streamAnswer({ target, question, history }, onEvent, { signal } = {}) {
+  const response = await fetch('/api/ask', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      ...(target.type === 'news' ? { newsId: target.id } : { eventId: target.id }),
+      question,
+      history
+    }),
+    signal
+  });
+
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    const data = await response.json().catch(() => ({}));
+    onEvent('error', { error: data.error || `伺服器錯誤 (${response.status})` });
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = block.match(/^event: (.+)$/m)?.[1] || 'message';
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
@@ -0,0 +1,81 @@
+// src/lib/compound.js - 複利與定期定額試算：逐月模擬投入、費用、股利稅與通膨
+
+const MONTHS = 12;
+
+/**
+ * 逐月模擬投資，回傳每年一列的明細與總結。
+ * - rate / frequency：名目年報酬率與複利頻率，換算成等效月報酬率（無投入、無費用時與一次複利公式相同）
+ * - contribution：每期投入金額，contributionFrequency 為每年期數（12 月、4 季、1 年），
+ *   timing 為 start（期初投入，當期即參與複利）或 end（期末投入）；每年依 stepUp 調升
+ * - managementFee：年化管理費（%），按月自資產扣除；transactionFee：每筆投入（含期初本金）的固定手續費
+ * - dividendYield / dividendTax：報酬中屬於現金股利的比例與預扣稅率，稅額自資產扣除
+ * - inflationRate：換算今日幣值用
+ */
+export function projectInvestment(input) {
+  const {
+    principal, rate, years, frequency = 12,
+    contribution = 0, contributionFrequency = 12, timing = 'end', stepUp = 0,
+    managementFee = 0, transactionFee = 0, dividendYield = 0, dividendTax = 0, inflationRate = 0
+  } = input;
+  const totalMonths = Math.max(Math.round(years * MONTHS), 0);
+  const growthRate = Math.pow(1 + rate / 100 / frequency, frequency / MONTHS) - 1;
+  const interval = Math.max(Math.round(MONTHS / contributionFrequency), 1);
+  const rows = [];
+
+  const initialFee = principal > 0 ? Math.min(transactionFee, principal) : 0;
+  let balance = principal - initialFee;
+  let contributed = 0;
+  let fees = initialFee;
+  let taxes = 0;
+
+  const invest = amount => {
+    if (amount <= 0) return;
+    const fee = Math.min(transactionFee, amount);
+    balance += amount - fee;
+    contributed += amount;
+    fees += fee;
+  };
+
+  for (let month = 0; month < totalMonths; month++) {
+    const year = Math.floor(month / MONTHS);
+    const amount = contribution * Math.pow(1 + stepUp / 100, year);
+    const periodStart = month % interval === 0;
+    const periodEnd = (month + 1) % interval === 0;
+
+    if (timing === 'start' && periodStart) invest(amount);
+
+    const tax = balance * dividendYield / 100 / MONTHS * dividendTax / 100;
+    const fee = balance * managementFee / 100 / MONTHS;
+    balance += balance * growthRate - tax - fee;
+    taxes += tax;
+    fees += fee;
+
+    if (timing !== 'start' && periodEnd) invest(amount);
+
+    if ((month + 1) % MONTHS === 0 || month === totalMonths - 1) {
+      const elapsedYears = (month + 1) / MONTHS;
+      rows.push({
+        year: Math.ceil(elapsedYears),
+        principal,
+        contributions: contributed,
+        growth: balance - principal - contributed,
+        balance,
+        realBalance: balance / Math.pow(1 + inflationRate / 100, elapsedYears),
+        fees,
+        taxes
+      });
+    }
+  }
+
+  const invested = principal + contributed;
+  return {
+    rows,
+    amount: balance,
+    realAmount: balance / Math.pow(1 + inflationRate / 100, totalMonths / MONTHS),
+    invested,
+    contributed,
+    interest: balance - invested,
+    fees,
+    taxes
+  };
+}
@@ -0,0 +1,107 @@
+// src/lib/montecarlo.js - 退休規劃的蒙地卡羅模擬：每條路徑逐年抽樣報酬率，統計成功機率與百分位資產帶
+
+import { projectRetirement } from './retirement.js';
+import history from '../data/historical-returns.json';
+
+export const HISTORY_RANGE = `${history.years[0]}–${history.years[history.years.length - 1]}`;
+
+// 可重現的亂數（mulberry32），同樣的輸入得到同樣的結果，調整參數時圖表不會亂跳
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function mixReturn(index, { stocks, bonds }) {
+  const cash = Math.max(100 - stocks - bonds, 0);
+  const { series } = history;
+  return (series.stocks[index] * stocks + series.bonds[index] * bonds + series.cash[index] * cash) / 100;
+}
+
+/**
+ * 產生一條路徑的逐年報酬率（%）。
+ * normal：退休前 / 後的平均分別為 returnRate / postReturnRate，波動度共用 volatility；
+ * bootstrap：每年隨機抽一個歷史年度，股債現金使用同一年度（保留資產間的相關性），退休前後可設不同配置。
+ */
+function sampleReturns(input, settings, random) {
+  const years = Math.max(input.lifeExpectancy - input.currentAge, 0);
+  const returns = new Array(years);
+  for (let year = 0; year < years; year++) {
+    const retired = input.currentAge + year >= input.retireAge;
+    if (settings.mode === 'bootstrap') {
+      const index = Math.floor(random() * history.years.length);
+      returns[year] = mixReturn(index, retired ? settings.postMix : settings.preMix);
+    } else {
+      const mean = retired ? input.postReturnRate : input.returnRate;
+      returns[year] = Math.max(mean + settings.volatility * normal(random), -100);
+    }
+  }
+  return returns;
+}
+
+function percentile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 回傳 { successRate, ages, bands: { p10, p50, p90 }, final: { p10, p50, p90 }, depletion: { p10, p50 } }。
+ * 成功的定義：資產在預期壽命前都沒有變成負數。bands 為每年年底資產（名目，耗盡後以 0 計）。
+ */
+export function simulateRetirement(input, settings) {
+  const paths = Math.min(Math.max(Math.round(settings.paths) || 1000, 100), 20000);
+  const random = createRandom(settings.seed ?? 42);
+  const years = Math.max(input.lifeExpectancy - input.currentAge, 0);
+  const balances = Array.from({ length: years }, () => new Float64Array(paths));
+  const depletionAges = [];
+  let successes = 0;
+
+  for (let path = 0; path < paths; path++) {
+    const { rows, depletedAge } = projectRetirement(input, { annualReturns: sampleReturns(input, settings, random) });
+    let depleted = false;
+    rows.forEach((row, year) => {
+      depleted = depleted || row.endBalance < 0;
+      balances[year][path] = depleted ? 0 : row.endBalance;
+    });
+    if (depletedAge === null) successes++;
+    else depletionAges.push(depletedAge);
+  }
+
+  const bands = { p10: [], p50: [], p90: [] };
+  for (const yearBalances of balances) {
+    const sorted = yearBalances.sort();
+    bands.p10.push(percentile(sorted, 0.1));
+    bands.p50.push(percentile(sorted, 0.5));
+    bands.p90.push(percentile(sorted, 0.9));
+  }
+  depletionAges.sort((a, b) => a - b);
+
+  return {
+    paths,
+    successRate: paths ? successes / paths : 0,
+    ages: Array.from({ length: years }, (_, year) => input.currentAge + year),
+    bands,
+    final: {
+      p10: bands.p10[years - 1] ?? 0,
+      p50: bands.p50[years - 1] ?? 0,
+      p90: bands.p90[years - 1] ?? 0
+    },
+    // 失敗路徑中，資產耗盡年齡的分布（較早的 10% 與中位數）
+    depletion: depletionAges.length
+      ? { p10: percentile(depletionAges, 0.1), p50: percentile(depletionAges, 0.5) }
+      : null
+  };
+}
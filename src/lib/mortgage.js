@@ -0,0 +1,156 @@
+// src/lib/mortgage.js - 房貸試算：本息 / 本金平均攤還、寬限期、分段利率與提前還款，產生逐月攤還表
+
+export const REPAYMENT_METHODS = {
+  equalPayment: '本息平均攤還',
+  equalPrincipal: '本金平均攤還'
+};
+
+export const PREPAYMENT_MODES = {
+  shorten: '月付不變，縮短年限',
+  reduce: '年限不變，降低月付'
+};
+
+// 第 month 期（從 1 起算）適用的年利率：取起始期數 ≤ month 的最後一段，第一段一律從第 1 期開始
+export function rateForMonth(rates, month) {
+  const stages = [...rates].sort((a, b) => a.fromMonth - b.fromMonth);
+  let rate = stages[0]?.rate ?? 0;
+  for (const stage of stages) {
+    if (stage.fromMonth <= month) rate = stage.rate;
+  }
+  return rate;
+}
+
+function payment(balance, monthlyRate, months) {
+  if (months <= 0) return balance;
+  if (monthlyRate === 0) return balance / months;
+  return balance * monthlyRate / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+// 以固定月付還清 balance 需要的期數
+function periodsFor(balance, monthlyRate, monthly) {
+  if (monthlyRate === 0) return Math.ceil(balance / monthly);
+  const ratio = 1 - monthlyRate * balance / monthly;
+  return ratio > 0 ? Math.ceil(-Math.log(ratio) / Math.log(1 + monthlyRate)) : Infinity;
+}
+
+function prepaymentFor(prepayments, month) {
+  return prepayments.filter(item => {
+    const start = Number(item.month);
+    const every = Number(item.everyMonths) || 0;
+    if (!item.amount || month < start) return false;
+    return every > 0 ? (month - start) % every === 0 : month === start;
+  });
+}
+
+/**
+ * 產生逐月攤還表。
+ * - graceMonths：寬限期內只繳利息，寬限期包含在 years 內，之後以剩餘期數攤還本金
+ * - rates：分段利率 [{ fromMonth, rate }]，利率變動時依剩餘期數重算月付
+ * - prepayments：[{ month, amount, everyMonths, mode }]，於當期正常繳款後還款；
+ *   everyMonths > 0 代表每隔幾期重複一次；mode 為 shorten（月付不變、縮短期數）或 reduce（期數不變、降低月付）
+ */
+export function amortize({ principal, years, method = 'equalPayment', graceMonths = 0, rates = [], prepayments = [] }) {
+  const totalMonths = Math.max(Math.round(years * 12), 1);
+  const grace = Math.min(Math.max(Math.round(graceMonths), 0), totalMonths - 1);
+  const schedule = [];
+  let balance = principal;
+  let endMonth = totalMonths;
+  let currentRate = null;
+  let monthly = 0;
+  let principalPart = 0;
+  let recalculate = true;
+  let totalInterest = 0;
+  let totalPrepaid = 0;
+
+  for (let month = 1; month <= totalMonths && balance > 0.005; month++) {
+    const rate = rateForMonth(rates, month);
+    const monthlyRate = rate / 100 / 12;
+    const interest = balance * monthlyRate;
+    if (rate !== currentRate || month === grace + 1) recalculate = true;
+    currentRate = rate;
+
+    let principalPaid = 0;
+    if (month > grace) {
+      const remaining = Math.max(endMonth - month + 1, 1);
+      if (method === 'equalPrincipal') {
+        if (recalculate) principalPart = balance / remaining;
+        principalPaid = principalPart;
+      } else {
+        if (recalculate) monthly = payment(balance, monthlyRate, remaining);
+        principalPaid = monthly - interest;
+      }
+      recalculate = false;
+      if (month === endMonth || principalPaid > balance) principalPaid = balance;
+    }
+    balance -= principalPaid;
+
+    const due = prepaymentFor(prepayments, month);
+    const prepaid = Math.min(due.reduce((sum, item) => sum + Number(item.amount), 0), balance);
+    if (prepaid > 0) {
+      balance -= prepaid;
+      totalPrepaid += prepaid;
+      if (month > grace && balance > 0 && due.some(item => item.mode !== 'reduce')) {
+        // 月付（或每期本金）維持不變，改算還清所需的期數
+        endMonth = Math.min(month + (method === 'equalPrincipal'
+          ? Math.ceil(balance / principalPart)
+          : periodsFor(balance, monthlyRate, monthly)), totalMonths);
+      }
+      recalculate = true;
+    }
+
+    totalInterest += interest;
+    schedule.push({
+      month,
+      rate,
+      payment: principalPaid + interest,
+      principal: principalPaid,
+      interest,
+      prepayment: prepaid,
+      balance: Math.max(balance, 0)
+    });
+  }
+
+  const payments = schedule.map(row => row.payment);
+  return {
+    schedule,
+    months: schedule.length,
+    totalInterest,
+    totalPrepaid,
+    totalPaid: principal + totalInterest,
+    firstPayment: schedule.find(row => row.month > grace)?.payment ?? 0,
+    gracePayment: grace > 0 ? schedule[0].payment : null,
+    maxPayment: Math.max(...payments, 0)
+  };
+}
+
+/**
+ * 比較基本方案與每一個提前還款選項（各自單獨套用），回傳節省的利息與縮短的期數。
+ */
+export function comparePrepayments(loan, options) {
+  const base = amortize({ ...loan, prepayments: [] });
+  const scenarios = options.map(option => {
+    const result = amortize({ ...loan, prepayments: [option] });
+    return {
+      option,
+      result,
+      interestSaved: base.totalInterest - result.totalInterest,
+      monthsSaved: base.months - result.months
+    };
+  });
+  return { base, scenarios };
+}
+
+// 攤還表轉成 CSV，前面加上 BOM 讓 Excel 正確辨識 UTF-8 中文欄位
+export function scheduleToCSV(schedule) {
+  const header = ['期數', '年利率(%)', '月付金', '本金', '利息', '提前還款', '剩餘本金'];
+  const lines = schedule.map(row => [
+    row.month,
+    row.rate,
+    row.payment.toFixed(0),
+    row.principal.toFixed(0),
+    row.interest.toFixed(0),
+    row.prepayment.toFixed(0),
+    row.balance.toFixed(0)
+  ].join(','));
+  return '\uFEFF' + [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
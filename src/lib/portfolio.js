@@ -0,0 +1,138 @@
+// src/lib/portfolio.js - 投資組合：localStorage 保存、JSON 匯入匯出、配置與未實現損益計算、持股相關新聞比對
+
+export const PORTFOLIO_STORAGE_KEY = 'afh:portfolio';
+export const PORTFOLIO_VERSION = 1;
+export const HOLDING_ASSET_CLASSES = ['equities', 'bonds', 'fx', 'commodities', 'cash'];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * 整理單筆持股；欄位不合法時回傳 null。costBasis 為每單位平均成本（以持股幣別計價）。
+ */
+export function normalizeHolding(value) {
+  if (!value || typeof value !== 'object') return null;
+  const ticker = String(value.ticker || '').trim().toUpperCase().replace(/^\$/, '');
+  const quantity = Number(value.quantity);
+  const costBasis = Number(value.costBasis);
+  const currency = String(value.currency || 'TWD').trim().toUpperCase();
+  if (!ticker || !Number.isFinite(quantity) || !Number.isFinite(costBasis) || costBasis < 0 || !CURRENCY_PATTERN.test(currency)) {
+    return null;
+  }
+  return {
+    id: value.id || `${ticker}-${Math.random().toString(36).slice(2, 8)}`,
+    ticker,
+    name: value.name ? String(value.name).trim() : '',
+    quantity,
+    costBasis,
+    currency,
+    assetClass: HOLDING_ASSET_CLASSES.includes(value.assetClass) ? value.assetClass : 'equities'
+  };
+}
+
+export function loadPortfolio(storage = globalThis.localStorage) {
+  try {
+    const data = JSON.parse(storage?.getItem(PORTFOLIO_STORAGE_KEY) || 'null');
+    return (data?.holdings || []).map(normalizeHolding).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+export function savePortfolio(holdings, storage = globalThis.localStorage) {
+  storage?.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify({ version: PORTFOLIO_VERSION, holdings }));
+}
+
+export function exportPortfolio(holdings) {
+  return JSON.stringify({ version: PORTFOLIO_VERSION, exportedAt: new Date().toISOString(), holdings }, null, 2);
+}
+
+/**
+ * 解析匯入的 JSON（{ holdings: [...] } 或直接是陣列），回傳 { holdings, skipped }；格式錯誤時拋出。
+ */
+export function importPortfolio(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('檔案不是有效的 JSON');
+  }
+  const list = Array.isArray(data) ? data : data?.holdings;
+  if (!Array.isArray(list)) throw new Error('找不到 holdings 陣列');
+  const holdings = list.map(normalizeHolding).filter(Boolean);
+  return { holdings, skipped: list.length - holdings.length };
+}
+
+function groupBy(rows, key) {
+  const groups = {};
+  for (const row of rows) {
+    if (row.marketValue === null) continue;
+    groups[row[key]] = (groups[row[key]] || 0) + row.marketValue;
+  }
+  const total = Object.values(groups).reduce((sum, value) => sum + value, 0);
+  return Object.entries(groups)
+    .map(([name, value]) => ({ name, value, weight: total ? value / total : 0 }))
+    .sort((a, b) => b.value - a.value);
+}
+
+/**
+ * 以報價與匯率（1 單位外幣兌 base）計算每筆市值與未實現損益，並彙總資產類別與幣別配置。
+ * 缺報價或缺匯率的持股 marketValue 為 null，不計入配置與總計。
+ */
+export function summarizePortfolio(holdings, { quotes = {}, fx = {} } = {}) {
+  const rows = holdings.map(holding => {
+    const quote = quotes[holding.ticker];
+    const rate = fx[holding.currency];
+    const cost = holding.quantity * holding.costBasis;
+    // 報價幣別與持股幣別不同時（例如在台灣買美股但報價為 USD），以報價幣別換算
+    const quoteRate = quote ? fx[quote.currency || holding.currency] : undefined;
+    const marketValue = quote && quoteRate ? holding.quantity * quote.price * quoteRate : null;
+    const costValue = rate ? cost * rate : null;
+    const pl = marketValue !== null && costValue !== null ? marketValue - costValue : null;
+    return {
+      ...holding,
+      price: quote?.price ?? null,
+      quoteCurrency: quote?.currency ?? null,
+      dayChange: quote?.previousClose ? quote.price / quote.previousClose - 1 : null,
+      marketValue,
+      costValue,
+      pl,
+      plPercent: pl !== null && costValue ? pl / costValue : null
+    };
+  });
+
+  const priced = rows.filter(row => row.pl !== null);
+  const marketValue = priced.reduce((sum, row) => sum + row.marketValue, 0);
+  const costValue = priced.reduce((sum, row) => sum + row.costValue, 0);
+  return {
+    rows,
+    marketValue,
+    costValue,
+    pl: marketValue - costValue,
+    plPercent: costValue ? (marketValue - costValue) / costValue : null,
+    byAssetClass: groupBy(rows, 'assetClass'),
+    byCurrency: groupBy(rows, 'currency'),
+    unpriced: rows.filter(row => row.marketValue === null).map(row => row.ticker)
+  };
+}
+
+// 2330、2330.TW、2330.TWO 視為同一檔
+function tickerRoot(ticker) {
+  return String(ticker || '').toUpperCase().split('.')[0];
+}
+
+/**
+ * 回傳 { [newsId]: [符合的持股代號] }：新聞的 tickers 或 assets 命中持股代號，或標題 / 摘要提到持股名稱。
+ */
+export function matchNewsToHoldings(news, holdings) {
+  const matches = {};
+  if (!holdings.length) return matches;
+  for (const item of news) {
+    const tickers = new Set([...(item.tickers || []), ...(item.assets || []).map(asset => asset.ticker)].filter(Boolean).map(tickerRoot));
+    const text = `${item.title || ''} ${item.originalTitle || ''} ${item.summary || ''}`;
+    const hits = holdings
+      .filter(holding => tickers.has(tickerRoot(holding.ticker)) || (holding.name && holding.name.length >= 2 && text.includes(holding.name)))
+      .map(holding => holding.ticker);
+    if (hits.length) matches[item.id] = [...new Set(hits)];
+  }
+  return matches;
+}
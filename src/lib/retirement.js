@@ -0,0 +1,119 @@
+// src/lib/retirement.js - 退休規劃試算：逐月模擬累積期與提領期，考慮通膨、投入成長與一次性收支
+
+const MONTHS = 12;
+
+// 年報酬率換算成等效月報酬率，讓既有儲蓄與每月投入用同一種方式複利
+export function monthlyRate(annualPercent) {
+  return Math.pow(1 + annualPercent / 100, 1 / MONTHS) - 1;
+}
+
+/**
+ * 逐月模擬到預期壽命，回傳每年一列的明細。
+ * 金額（月支出、一次性收支）都以今日幣值輸入，依通膨換算成當年的名目金額；
+ * 退休前每月投入在月底投入，每年依 contributionGrowth 調升；退休後每月月初提領。
+ * incomes 為年金等定期收入 [{ startAge, monthly, indexed }]：indexed 為 true 時 monthly 是今日幣值並隨通膨調整，
+ * 否則為固定的名目金額；收入先抵減當月提領。
+ * annualReturns 可逐年指定報酬率（%），未指定的年份使用 returnRate / postReturnRate。
+ */
+export function projectRetirement(input, { annualReturns = null } = {}) {
+  const {
+    currentAge, retireAge, lifeExpectancy, monthlyExpense, currentSavings, monthlyContribution,
+    contributionGrowth = 0, returnRate, postReturnRate, inflationRate = 0, events = [], incomes = []
+  } = input;
+  const inflation = 1 + inflationRate / 100;
+  const totalYears = Math.max(lifeExpectancy - currentAge, 0);
+  const rows = [];
+
+  let balance = currentSavings;
+  let depletedAge = null;
+
+  for (let year = 0; year < totalYears; year++) {
+    const age = currentAge + year;
+    const retired = age >= retireAge;
+    const priceLevel = Math.pow(inflation, year);
+    const rate = monthlyRate(annualReturns?.[year] ?? (retired ? postReturnRate : returnRate));
+    const startBalance = balance;
+
+    const lumpSum = events
+      .filter(event => Number(event.age) === age)
+      .reduce((sum, event) => sum + Number(event.amount || 0) * priceLevel, 0);
+    balance += lumpSum;
+
+    const contribution = retired ? 0 : monthlyContribution * Math.pow(1 + contributionGrowth / 100, year);
+    const withdrawal = retired ? monthlyExpense * priceLevel : 0;
+    const income = incomes
+      .filter(item => age >= item.startAge)
+      .reduce((sum, item) => sum + (item.indexed ? item.monthly * priceLevel : item.monthly), 0);
+    let growth = 0;
+    for (let month = 0; month < MONTHS; month++) {
+      balance += income - withdrawal;
+      const interest = balance * rate;
+      growth += interest;
+      balance += interest + contribution;
+    }
+
+    if (balance < 0 && depletedAge === null) depletedAge = age;
+    rows.push({
+      age,
+      retired,
+      startBalance,
+      contributions: contribution * MONTHS,
+      withdrawals: withdrawal * MONTHS,
+      income: income * MONTHS,
+      lumpSum,
+      growth,
+      endBalance: balance,
+      realEndBalance: balance / Math.pow(inflation, year + 1)
+    });
+  }
+
+  return { rows, finalBalance: balance, depletedAge };
+}
+
+// 在 [low, high] 之間找出讓 finalBalance 由負轉正的值（balanceOf 需為遞增函數）
+function solve(balanceOf, low, high) {
+  if (balanceOf(high) < 0) return null;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (balanceOf(mid) >= 0) high = mid;
+    else low = mid;
+  }
+  return high;
+}
+
+/**
+ * 回傳退休規劃結果：
+ * - balanceAtRetirement / realBalanceAtRetirement：退休當下的名目與今日幣值資產
+ * - sustainableMonthly：資產剛好用到預期壽命時，每月可支出多少（今日幣值）
+ * - shortfall：月支出與 sustainableMonthly 的差距（正數代表不足）
+ * - requiredContribution：要讓資產撐到預期壽命，目前每月需投入多少
+ */
+export function planRetirement(input) {
+  const projection = projectRetirement(input);
+  const retirementRow = projection.rows.find(row => row.age === input.retireAge);
+  const yearsToRetire = Math.max(input.retireAge - input.currentAge, 0);
+
+  const sustainableMonthly = solve(
+    expense => -projectRetirement({ ...input, monthlyExpense: expense }).finalBalance,
+    0,
+    Math.max(input.monthlyExpense, 1) * 100
+  ) ?? 0;
+
+  const requiredContribution = yearsToRetire > 0
+    ? solve(
+      contribution => projectRetirement({ ...input, monthlyContribution: contribution }).finalBalance,
+      0,
+      Math.max(input.monthlyExpense, input.monthlyContribution, 1) * 100
+    )
+    : null;
+
+  return {
+    ...projection,
+    balanceAtRetirement: retirementRow ? retirementRow.startBalance : projection.finalBalance,
+    realBalanceAtRetirement: (retirementRow ? retirementRow.startBalance : projection.finalBalance) /
+      Math.pow(1 + (input.inflationRate || 0) / 100, yearsToRetire),
+    sustainableMonthly,
+    shortfall: input.monthlyExpense - sustainableMonthly,
+    requiredContribution
+  };
+}
@@ -0,0 +1,116 @@
+// src/lib/routes.js - 前端路由：網址 ↔ 分頁 / 單則新聞 / 日曆事件 / 計算器，計算器輸入以查詢字串保存
+
+export const TABS = ['news', 'briefing', 'archive', 'portfolio', 'calculator', 'calendar'];
+export const CALCULATORS = ['compound', 'mortgage', 'retirement'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EVENT_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})-[0-9a-f]{8}$/;
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * 解析網址為 { tab, newsId, eventId, archiveDate, calculator, query }。
+ * 舊的 `/#news`、`/#calculator` 等錨點網址對應到同名分頁；無法辨識的路徑回到新聞。
+ */
+export function parseRoute({ pathname = '/', search = '', hash = '' } = {}) {
+  const segments = pathname.split('/').filter(Boolean).map(decodeSegment);
+  const query = new URLSearchParams(search);
+  const legacyTab = segments.length === 0 && TABS.includes(hash.slice(1)) ? hash.slice(1) : null;
+  const [first, second] = segments;
+  const tab = legacyTab || (TABS.includes(first) ? first : 'news');
+  return {
+    tab,
+    newsId: tab === 'news' && second ? second : null,
+    eventId: tab === 'calendar' && EVENT_ID_PATTERN.test(second || '') ? second : null,
+    archiveDate: tab === 'archive' && DATE_PATTERN.test(second || '') ? second : null,
+    calculator: tab === 'calculator' && CALCULATORS.includes(second) ? second : null,
+    query
+  };
+}
+
+/**
+ * 組出路徑；query 可為物件或 URLSearchParams，空值略過。
+ */
+export function buildPath(segments, query) {
+  const path = `/${segments.filter(Boolean).map(encodeURIComponent).join('/')}`;
+  const params = query instanceof URLSearchParams ? query : new URLSearchParams(
+    Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const search = params.toString();
+  return search ? `${path}?${search}` : path;
+}
+
+export function newsPath(id) {
+  return buildPath(['news', id]);
+}
+
+export function eventPath(id) {
+  return buildPath(['calendar', id]);
+}
+
+// 事件 id 以日期開頭（見 lib/calendar/normalize.js 的 eventId）
+export function eventDate(id) {
+  return id?.match(EVENT_ID_PATTERN)?.[1] || null;
+}
+
+/**
+ * 把與預設值不同的欄位寫入查詢字串，prefix 用來區分同一頁的多組輸入（例如 `pension.`）。
+ * 數字、字串、布林直接寫入；陣列與物件以 JSON 表示。
+ */
+export function encodeInputs(values, defaults, prefix = '', params = new URLSearchParams()) {
+  for (const [key, fallback] of Object.entries(defaults)) {
+    const value = values[key];
+    if (value === undefined || JSON.stringify(value) === JSON.stringify(fallback)) continue;
+    params.set(`${prefix}${key}`, typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+  }
+  return params;
+}
+
+// 依預設值的型別轉換；陣列中的物件以預設陣列的第一筆為範本，格式不符時沿用預設值
+function coerce(value, fallback) {
+  if (typeof fallback === 'number') {
+    const number = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    return Number.isFinite(number) ? number : fallback;
+  }
+  if (typeof fallback === 'boolean') return value === true || value === 'true' || value === '1';
+  if (typeof fallback === 'string') return typeof value === 'string' ? value : fallback;
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(value)) return fallback;
+    const shape = fallback[0];
+    return shape && typeof shape === 'object'
+      ? value.filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry)).map(entry => coerce(entry, shape))
+      : value;
+  }
+  if (fallback && typeof fallback === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fallback;
+    return Object.fromEntries(Object.entries(fallback).map(([key, inner]) => [key, key in value ? coerce(value[key], inner) : inner]));
+  }
+  return value;
+}
+
+/**
+ * encodeInputs 的反向：缺少或格式不符的欄位沿用預設值，網址被竄改也不會讓計算器壞掉。
+ */
+export function decodeInputs(params, defaults, prefix = '') {
+  const values = { ...defaults };
+  for (const [key, fallback] of Object.entries(defaults)) {
+    const raw = params.get(`${prefix}${key}`);
+    if (raw === null) continue;
+    if (typeof fallback !== 'object' || fallback === null) {
+      values[key] = coerce(raw, fallback);
+      continue;
+    }
+    try {
+      values[key] = coerce(JSON.parse(raw), fallback);
+    } catch {
+      // 保留預設值
+    }
+  }
+  return values;
+}
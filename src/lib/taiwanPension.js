@@ -0,0 +1,154 @@
+// src/lib/taiwanPension.js - 勞保老年年金與勞退個人專戶試算（法定參數見 src/data/tw-pension-rules.json）
+
+import rulesFile from '../data/tw-pension-rules.json';
+
+/**
+ * 取得 date 當天已生效的最新版本規則。
+ */
+export function getPensionRules(date = new Date()) {
+  const today = date.toISOString().split('T')[0];
+  const effective = rulesFile.versions
+    .filter(version => version.effectiveFrom <= today)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  return effective[effective.length - 1] || rulesFile.versions[0];
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// 依出生年決定勞保老年年金的法定請領年齡
+export function laborInsuranceClaimAge(birthYear, rules) {
+  const match = rules.laborInsurance.claimAgeByBirthYear.find(([year]) => birthYear <= year);
+  return match ? match[1] : rules.laborInsurance.claimAge;
+}
+
+/**
+ * 勞保老年給付（名目金額）。平均月投保薪資取退休前最後 60 個月，並以投保薪資上下限截斷；
+ * 年資滿 15 年領年金：max(薪資 × 年資 × 0.775% + 3,000, 薪資 × 年資 × 1.55%)，提前 / 延後請領每年減 / 增 4%；
+ * 未滿 15 年改領一次金。
+ */
+export function estimateLaborInsurance({ salaryAtRetirement, salaryGrowth, insuredYears, claimAge, statutoryAge }, rules) {
+  const params = rules.laborInsurance;
+  const salaries = [];
+  for (let month = 0; month < params.averageSalaryMonths; month++) {
+    const yearsBefore = Math.floor(month / 12);
+    salaries.push(clamp(salaryAtRetirement / Math.pow(1 + salaryGrowth / 100, yearsBefore), params.minInsuredSalary, params.maxInsuredSalary));
+  }
+  const averageSalary = salaries.reduce((sum, value) => sum + value, 0) / salaries.length;
+
+  if (insuredYears < params.minYearsForAnnuity) {
+    const months = Math.min(
+      Math.min(insuredYears, 15) * params.lumpSum.monthsPerYearFirst15 + Math.max(insuredYears - 15, 0) * params.lumpSum.monthsPerYearAfter15,
+      params.lumpSum.maxMonths
+    );
+    return { type: 'lumpSum', averageSalary, insuredYears, claimAge: statutoryAge, amount: averageSalary * months };
+  }
+
+  const formulaA = averageSalary * insuredYears * params.formulaA.rate / 100 + params.formulaA.flat;
+  const formulaB = averageSalary * insuredYears * params.formulaB.rate / 100;
+  const shift = clamp(claimAge - statutoryAge, -params.maxAdjustmentYears, params.maxAdjustmentYears);
+  const adjustment = 1 + shift * params.adjustmentPercentPerYear / 100;
+  return {
+    type: 'annuity',
+    averageSalary,
+    insuredYears,
+    claimAge: statutoryAge + shift,
+    formula: formulaA >= formulaB ? 'A' : 'B',
+    adjustment,
+    monthly: Math.max(formulaA, formulaB) * adjustment
+  };
+}
+
+/**
+ * 勞退個人專戶（名目金額）。雇主提繳 6%、自願提繳最多 6%，月提繳工資以上下限截斷，
+ * 專戶依 pensionReturn 逐月累積到請領年齡；提繳滿 15 年可按年金生命表與預定利率月領，否則一次領取。
+ */
+export function estimateLaborPension({ monthlySalary, salaryGrowth, voluntaryRate, currentBalance, contributionYearsSoFar, workingYears, retireAge, claimAge, pensionReturn }, rules) {
+  const params = rules.laborPension;
+  const rate = (params.employerRate + clamp(voluntaryRate, 0, params.maxVoluntaryRate)) / 100;
+  const monthlyReturn = Math.pow(1 + pensionReturn / 100, 1 / 12) - 1;
+  let balance = currentBalance;
+  let contributed = 0;
+
+  for (let year = 0; year < workingYears; year++) {
+    const wage = clamp(monthlySalary * Math.pow(1 + salaryGrowth / 100, year), params.minContributionWage, params.maxContributionWage);
+    for (let month = 0; month < 12; month++) {
+      balance = balance * (1 + monthlyReturn) + wage * rate;
+      contributed += wage * rate;
+    }
+  }
+  // 離職後到請領年齡之間不再提繳，只累積收益
+  balance *= Math.pow(1 + pensionReturn / 100, Math.max(claimAge - retireAge, 0));
+
+  const years = contributionYearsSoFar + workingYears;
+  if (years < params.minYearsForMonthly) {
+    return { type: 'lumpSum', claimAge, contributionYears: years, balance, contributed, amount: balance };
+  }
+  const annuityRate = params.annuity.assumedRate / 100 / 12;
+  const months = params.annuity.lifeYears * 12;
+  const monthly = annuityRate > 0 ? balance * annuityRate / (1 - Math.pow(1 + annuityRate, -months)) : balance / months;
+  return { type: 'annuity', claimAge, contributionYears: years, balance, contributed, monthly };
+}
+
+/**
+ * 依退休規劃與勞保勞退輸入，換算成 projectRetirement 可用的 incomes（定期收入）與 events（一次領取）。
+ * 勞保年金會隨物價調整，以今日幣值計入；勞退月退休金為固定名目金額。
+ */
+export function buildTaiwanPensionPlan(retirement, taiwan, rules = getPensionRules()) {
+  const { currentAge, retireAge, inflationRate = 0 } = retirement;
+  const workingYears = Math.max(retireAge - currentAge, 0);
+  const salaryAtRetirement = taiwan.monthlySalary * Math.pow(1 + taiwan.salaryGrowth / 100, Math.max(workingYears - 1, 0));
+  const birthYear = new Date().getFullYear() - currentAge;
+  const statutoryAge = laborInsuranceClaimAge(birthYear, rules);
+  const priceLevelAt = age => Math.pow(1 + inflationRate / 100, Math.max(age - currentAge, 0));
+
+  const laborInsurance = estimateLaborInsurance({
+    salaryAtRetirement,
+    salaryGrowth: taiwan.salaryGrowth,
+    insuredYears: taiwan.insuredYears + workingYears,
+    claimAge: taiwan.laborInsuranceClaimAge || statutoryAge,
+    statutoryAge
+  }, rules);
+
+  const pensionClaimAge = Math.max(retireAge, rules.laborPension.claimAge);
+  const laborPension = estimateLaborPension({
+    monthlySalary: taiwan.monthlySalary,
+    salaryGrowth: taiwan.salaryGrowth,
+    voluntaryRate: taiwan.voluntaryRate,
+    currentBalance: taiwan.pensionBalance,
+    contributionYearsSoFar: taiwan.pensionYears,
+    workingYears,
+    retireAge,
+    claimAge: pensionClaimAge,
+    pensionReturn: taiwan.pensionReturn
+  }, rules);
+
+  const incomes = [];
+  const events = [];
+  // 勞保金額以退休當年的名目薪資計算，換回今日幣值
+  const laborInsuranceReal = laborInsurance.type === 'annuity'
+    ? laborInsurance.monthly / priceLevelAt(retireAge)
+    : laborInsurance.amount / priceLevelAt(retireAge);
+  if (laborInsurance.type === 'annuity') {
+    incomes.push({ source: 'laborInsurance', startAge: laborInsurance.claimAge, monthly: laborInsuranceReal, indexed: true });
+  } else {
+    events.push({ source: 'laborInsurance', age: laborInsurance.claimAge, amount: laborInsuranceReal, label: '勞保老年一次金' });
+  }
+  if (laborPension.type === 'annuity') {
+    incomes.push({ source: 'laborPension', startAge: laborPension.claimAge, monthly: laborPension.monthly, indexed: false });
+  } else {
+    events.push({ source: 'laborPension', age: laborPension.claimAge, amount: laborPension.amount / priceLevelAt(laborPension.claimAge), label: '勞退一次領取' });
+  }
+
+  return {
+    rulesVersion: rules.version,
+    laborInsurance: { ...laborInsurance, realValue: laborInsuranceReal },
+    laborPension: {
+      ...laborPension,
+      realValue: (laborPension.type === 'annuity' ? laborPension.monthly : laborPension.amount) / priceLevelAt(laborPension.claimAge)
+    },
+    incomes,
+    events
+  };
+}
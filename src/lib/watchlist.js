@@ -0,0 +1,33 @@
+// src/lib/watchlist.js - 個人化新聞用的關注清單（代號 / 產業 / 關鍵字），只存在瀏覽器的 localStorage
+
+export const WATCHLIST_STORAGE_KEY = 'afh:watchlist';
+
+const EMPTY_WATCHLIST = { enabled: false, tickers: [], sectors: [], keywords: [] };
+
+// 逗號、頓號或換行分隔的輸入轉成去重後的清單
+export function parseTerms(text) {
+  return [...new Set(String(text || '').split(/[,，、\n]/).map(term => term.trim()).filter(Boolean))];
+}
+
+export function hasWatchlistTerms(watchlist) {
+  return watchlist.tickers.length > 0 || watchlist.sectors.length > 0 || watchlist.keywords.length > 0;
+}
+
+export function loadWatchlist(storage = globalThis.localStorage) {
+  try {
+    const data = JSON.parse(storage?.getItem(WATCHLIST_STORAGE_KEY) || 'null');
+    if (!data) return EMPTY_WATCHLIST;
+    return {
+      enabled: Boolean(data.enabled),
+      tickers: Array.isArray(data.tickers) ? data.tickers.map(String) : [],
+      sectors: Array.isArray(data.sectors) ? data.sectors.map(String) : [],
+      keywords: Array.isArray(data.keywords) ? data.keywords.map(String) : []
+    };
+  } catch {
+    return EMPTY_WATCHLIST;
+  }
+}
+
+export function saveWatchlist(watchlist, storage = globalThis.localStorage) {
+  storage?.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(watchlist));
+}
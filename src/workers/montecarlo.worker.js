@@ -0,0 +1,13 @@
+// src/workers/montecarlo.worker.js - 在背景執行蒙地卡羅模擬，避免大量路徑運算卡住計算器頁面
+
+import { simulateRetirement } from '../lib/montecarlo.js';
+
+// 每個請求帶 id，主執行緒只採用最新一次的結果
+self.onmessage = event => {
+  const { id, input, settings } = event.data;
+  try {
+    self.postMessage({ id, result: simulateRetirement(input, settings) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -1,8 +1,51 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const TEMPLATE_FILE = 'build/app.html'
+
+// 建置後的 index.html 移到 build/app.html，當作 api/page.js 預先渲染的範本；
+// 所有頁面（包含首頁）都經由 vercel.json 的改寫交給 api/page.js。範本不放在 dist/，
+// 否則 Vercel 會把它當成靜態檔案，在 /app.html 直接回傳沒有預先渲染內容的頁面
+function pageTemplate() {
+  let root = process.cwd()
+  let html = null
+  return {
+    name: 'page-template',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root
+    },
+    generateBundle(_, bundle) {
+      const entry = bundle['index.html']
+      if (!entry) return
+      delete bundle['index.html']
+      html = entry.source
+    },
+    async writeBundle() {
+      if (html === null) return
+      const file = path.resolve(root, TEMPLATE_FILE)
+      await mkdir(path.dirname(file), { recursive: true })
+      await writeFile(file, html)
+    },
+    // vite preview 沒有 api/page.js，頁面請求直接回傳範本
+    configurePreviewServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        if (req.method !== 'GET' || !req.headers.accept?.includes('text/html')) return next()
+        try {
+          res.setHeader('Content-Type', 'text/html; charset=utf-8')
+          res.end(await readFile(path.resolve(root, TEMPLATE_FILE), 'utf8'))
+        } catch (error) {
+          next(error)
+        }
+      })
+    }
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pageTemplate()],
   build: {
     outDir: 'dist',
     assetsDir: 'assets'